@@ -2,9 +2,16 @@ const express = require('express');
 const cors = require('cors');
 const config = require('./config/config');
 const pollRoutes = require('./routes/pollRoutes');
+const authRoutes = require('./routes/authRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const fundingRoutes = require('./routes/fundingRoutes');
+const contributionRoutes = require('./routes/contributionRoutes');
+const payoutRoutes = require('./routes/payoutRoutes');
+const rewardRoutes = require('./routes/rewardRoutes');
 const blockchainRoutes = require('./routes/blockchainRoutes');
 const simpleBlockchainRoutes = require('./routes/simpleBlockchainRoutes');
-const simpleTonService = require('./services/simpleTonService');
+const { getChainAdapter } = require('./services/chainAdapter');
+const operatorWallet = require('./services/operatorWalletService');
 
 // Initialize Express app
 const app = express();
@@ -13,34 +20,39 @@ const app = express();
 app.use(express.json());
 app.use(cors({
   origin: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
   credentials: true
 }));
 
-// Initialize simplified TON service
-simpleTonService.init().then((success) => {
+// Initialize chain adapter (SimpleTonService unless configured otherwise)
+getChainAdapter().init().then((success) => {
   if (success) {
-    console.log('Simple TON service initialized successfully');
+    console.log('Chain adapter initialized successfully');
   } else {
-    console.warn('Simple TON service initialization failed');
+    console.warn('Chain adapter initialization failed');
   }
 }).catch((error) => {
-  console.error('Simple TON service initialization error:', error);
+  console.error('Chain adapter initialization error:', error);
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
+// Offline AI generation when no API key is configured
+if (config.llm.provider === 'stub') {
+  console.warn('Using the deterministic stub LLM provider (no OPENAI_API_KEY configured)');
+}
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  process.exit(0);
+// Initialize operator wallet for sponsored poll registration and reward payouts (optional)
+operatorWallet.init().catch((error) => {
+  console.error('Operator wallet initialization error:', error);
 });
 
 // Routes
 app.use('/api', pollRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/funding', fundingRoutes);
+app.use('/api/contributions', contributionRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/rewards', rewardRoutes);
 app.use('/api/blockchain', blockchainRoutes);
 app.use('/api/simple-blockchain', simpleBlockchainRoutes);
 
@@ -51,6 +63,15 @@ app.get('/health', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Body parser errors (malformed JSON, oversized uploads) carry their own 4xx status
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.status === 413 ? 'Request body too large' : 'Invalid request body',
+      error: err.message
+    });
+  }
+
   console.error('Unhandled error:', err);
   res.status(500).json({
     success: false,
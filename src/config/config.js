@@ -1,23 +1,154 @@
 require('dotenv').config();
 
+/**
+ * Parse an integer setting, keeping 0 and falling back only when unset or invalid
+ * @param {string} value - Environment value
+ * @param {number} fallback - Default
+ * @returns {number} Parsed value
+ */
+function parseIntSetting(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
 module.exports = {
   port: process.env.PORT || 3000,
   openaiApiKey: process.env.OPENAI_API_KEY,
   mongodbUri: process.env.MONGODB_URI || 'mongodb://localhost:27017/tpolls-ai',
   allowedOrigins: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['http://localhost:3000'],
   
+  // LLM provider used by openaiService
+  llm: {
+    // 'openai', 'azure', 'local' (OpenAI-compatible) or 'stub'; defaults to the offline stub without an API key
+    provider: process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'stub'),
+    model: process.env.LLM_MODEL || 'gpt-4o-mini',
+    stubSeed: process.env.LLM_STUB_SEED || 'tpolls',
+    defaultLanguage: process.env.LLM_DEFAULT_LANGUAGE || 'en',
+    maxRepairAttempts: Math.max(0, parseIntSetting(process.env.LLM_MAX_REPAIR_ATTEMPTS, 2)), // Re-prompts after invalid output (0 disables repair)
+    maxTranslationLanguages: parseInt(process.env.LLM_MAX_TRANSLATION_LANGUAGES) || 5, // Languages per translation request
+    
+    // Per-function model overrides (fall back to llm.model)
+    models: {
+      generatePollFromPrompt: process.env.LLM_MODEL_GENERATE_POLL,
+      generatePollOptions: process.env.LLM_MODEL_POLL_OPTIONS,
+      streamPollOptions: process.env.LLM_MODEL_POLL_OPTIONS,
+      generatePollSubject: process.env.LLM_MODEL_POLL_SUBJECT,
+      generateDescription: process.env.LLM_MODEL_DESCRIPTION,
+      determineCategory: process.env.LLM_MODEL_CATEGORY,
+      extractPollSettings: process.env.LLM_MODEL_SETTINGS,
+      regeneratePollFromFeedback: process.env.LLM_MODEL_REGENERATE,
+      translatePoll: process.env.LLM_MODEL_TRANSLATE,
+      generateOptionImagePrompts: process.env.LLM_MODEL_IMAGE_PROMPTS
+    },
+    azure: {
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+    },
+    local: {
+      baseUrl: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.LLM_API_KEY || 'local'
+    }
+  },
+  
+  // Moderation of AI poll prompts and generated content
+  moderation: {
+    enabled: process.env.MODERATION_ENABLED !== 'false',
+    useProvider: process.env.MODERATION_USE_PROVIDER !== 'false', // Falls back to keyword rules when unavailable
+    model: process.env.MODERATION_MODEL || 'omni-moderation-latest'
+  },
+  
+  // Uploaded option images for gallery polls
+  images: {
+    storage: process.env.IMAGE_STORAGE || 'local', // 'local' (filesystem) or 'gridfs' (MongoDB)
+    localDir: process.env.IMAGE_LOCAL_DIR || 'uploads/images',
+    maxBytes: parseInt(process.env.IMAGE_MAX_BYTES) || 5 * 1024 * 1024,
+    publicBaseUrl: process.env.IMAGE_PUBLIC_BASE_URL || '/api/images'
+  },
+  
+  // Poll category taxonomy (Category collection)
+  categories: {
+    fallback: process.env.CATEGORY_FALLBACK || 'other', // Used when no category matches; cannot be deleted
+    refreshSeconds: parseInt(process.env.CATEGORY_REFRESH_SECONDS) || 300
+  },
+  
+  // Poll reward currencies; AI polls store amounts in the currency's smallest unit (nanotons for TON)
+  rewards: {
+    jettons: process.env.REWARD_JETTONS ? process.env.REWARD_JETTONS.split(',') : [], // "SYMBOL:masterAddress:decimals"
+    defaultRewardPool: process.env.REWARD_DEFAULT_POOL || '0.1', // Equal-share polls, in the poll currency
+    defaultMinContribution: process.env.REWARD_DEFAULT_MIN_CONTRIBUTION || '0.0001'
+  },
+  
+  // Funding quotes (fundingService)
+  funding: {
+    platformFeeBps: parseInt(process.env.FUNDING_PLATFORM_FEE_BPS) || 0, // Fee on the reward pool, in basis points
+    gasPerPayout: process.env.FUNDING_GAS_PER_PAYOUT || '0.006', // TON reserved per voter payout
+    jettonGasPerPayout: process.env.FUNDING_JETTON_GAS_PER_PAYOUT || '0.05', // TON reserved per jetton payout
+    escrowAddress: process.env.FUNDING_ESCROW_ADDRESS, // Receives crowdfunding contributions (default: operator wallet)
+    deadlineDays: parseInt(process.env.FUNDING_DEADLINE_DAYS) || 7 // Days a crowdfunded poll collects after registration
+  },
+  
+  // Voter reward payouts from the operator wallet when a poll closes
+  payouts: {
+    enabled: process.env.PAYOUTS_ENABLED !== 'false',
+    batchSize: Math.min(parseInt(process.env.PAYOUT_BATCH_SIZE) || 4, 4), // Messages per operator wallet transfer (wallet v4: at most 4)
+    maxBatchesPerRun: parseInt(process.env.PAYOUT_MAX_BATCHES_PER_RUN) || 10,
+    maxAttempts: parseInt(process.env.PAYOUT_MAX_ATTEMPTS) || 5,
+    retryMinutes: parseInt(process.env.PAYOUT_RETRY_MINUTES) || 5, // Doubles after each failed attempt
+    mode: process.env.PAYOUT_MODE === 'claim' ? 'claim' : 'push', // 'push' (operator wallet pays) or 'claim' (voters claim with Merkle proofs)
+    distributorAddress: process.env.REWARD_DISTRIBUTOR_ADDRESS, // Holds claimable rewards and their Merkle roots (claim mode)
+    publishGas: process.env.REWARD_PUBLISH_GAS || '0.05', // TON sent on top of the rewards when publishing a root
+    claimGas: process.env.REWARD_CLAIM_GAS || '0.05' // TON a voter attaches to a claim
+  },
+  
+  // Wallet authentication (TON Connect ton_proof)
+  auth: {
+    jwtSecret: process.env.JWT_SECRET, // Required
+    tokenTtl: process.env.AUTH_TOKEN_TTL || '24h',
+    proofTtlSeconds: parseInt(process.env.TON_PROOF_TTL_SECONDS) || 900,
+    allowedDomains: process.env.TON_PROOF_DOMAINS ? process.env.TON_PROOF_DOMAINS.split(',').map(domain => domain.trim()).filter(Boolean) : [], // Required: hosts allowed in ton_proof
+    adminWallets: process.env.ADMIN_WALLETS ? process.env.ADMIN_WALLETS.split(',') : [] // Wallets allowed to use admin routes
+  },
+  
   // TON Blockchain Configuration
   ton: {
     network: process.env.TON_NETWORK || 'testnet',
+    adapter: process.env.CHAIN_ADAPTER || 'simple', // 'simple' or 'fake' (in-memory, offline)
     endpoint: process.env.TONCENTER_ENDPOINT || 'https://testnet.toncenter.com/api/v2/jsonRPC',
     apiKey: process.env.TONCENTER_API_KEY,
-    contractAddress: process.env.TPOLLS_CONTRACT_ADDRESS || 'EQALr5-FARSMfmifCqViREbvSGpQnz9I4-ld9OUM8Tj2Qn7B'
+    contractAddress: process.env.TPOLLS_CONTRACT_ADDRESS || 'EQALr5-FARSMfmifCqViREbvSGpQnz9I4-ld9OUM8Tj2Qn7B',
+    operatorMnemonic: process.env.TON_OPERATOR_MNEMONIC, // Optional backend wallet for sponsored poll registration
+    
+    // Read-through cache for contract getter calls (TTLs in seconds)
+    cache: {
+      enabled: process.env.GETTER_CACHE_ENABLED !== 'false',
+      defaultTtl: parseInt(process.env.GETTER_CACHE_TTL_SECONDS) || 10,
+      maxEntries: parseInt(process.env.GETTER_CACHE_MAX_ENTRIES) || 1000,
+      ttls: {
+        getPoll: 30,
+        getPollCreator: 300,
+        getOptionResult: 10,
+        getPollCount: 10,
+        getNextPollId: 10,
+        getActivePolls: 15,
+        hasUserVoted: 5,
+        getUserVote: 5,
+        get_wallet_address: 3600 // Jetton wallet of an owner, never changes
+      }
+    }
   },
   
   // Blockchain Sync Configuration
   sync: {
+    enabled: process.env.SYNC_ENABLED !== 'false',
+    leaseTtlSeconds: parseInt(process.env.SYNC_LEASE_TTL_SECONDS) || 60,
     intervalMinutes: parseInt(process.env.SYNC_INTERVAL_MINUTES) || 5,
     maxRegistrationAttempts: parseInt(process.env.MAX_REGISTRATION_ATTEMPTS) || 3,
-    confirmationBlocks: parseInt(process.env.BLOCKCHAIN_CONFIRMATION_BLOCKS) || 3
+    confirmationBlocks: parseInt(process.env.BLOCKCHAIN_CONFIRMATION_BLOCKS) || 3,
+    registrationTimeoutMinutes: parseInt(process.env.REGISTRATION_TIMEOUT_MINUTES) || 15,
+    voteTimeoutMinutes: parseInt(process.env.VOTE_TIMEOUT_MINUTES) || 30,
+    contributionTimeoutMinutes: parseInt(process.env.CONTRIBUTION_TIMEOUT_MINUTES) || 30,
+    transactionLookupLimit: parseInt(process.env.TRANSACTION_LOOKUP_LIMIT) || 100, // Transactions per page
+    transactionLookupPages: parseInt(process.env.TRANSACTION_LOOKUP_PAGES) || 20 // Pages scanned for one transaction
   }
 };
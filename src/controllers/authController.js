@@ -0,0 +1,66 @@
+const tonProofService = require('../services/tonProofService');
+
+/**
+ * Controller for wallet authentication (TON Connect ton_proof)
+ */
+const authController = {
+  /**
+   * Issue a ton_proof payload for the wallet to sign
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async generatePayload(req, res) {
+    try {
+      const { payload, expiresAt } = tonProofService.generatePayload();
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          payload,
+          expiresAt
+        }
+      });
+    } catch (error) {
+      console.error('Error in generatePayload controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to generate proof payload',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Verify a signed ton_proof and issue a session token
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async verifyProof(req, res) {
+    try {
+      const { address, network, public_key, proof } = req.body;
+
+      if (!address || !proof) {
+        return res.status(400).json({
+          success: false,
+          message: 'Wallet address and proof are required'
+        });
+      }
+
+      const session = await tonProofService.verifyProof({ address, network, public_key, proof });
+
+      return res.status(200).json({
+        success: true,
+        data: session
+      });
+    } catch (error) {
+      console.error('Error in verifyProof controller:', error);
+      return res.status(401).json({
+        success: false,
+        message: 'Wallet proof verification failed',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = authController;
@@ -1,4 +1,12 @@
-const simpleTonService = require('../services/simpleTonService');
+const mongoose = require('mongoose');
+const { getChainAdapter } = require('../services/chainAdapter');
+const { isAuthenticatedWallet } = require('../middleware/walletAuth');
+const operatorWallet = require('../services/operatorWalletService');
+const categoryService = require('../services/categoryService');
+const fundingService = require('../services/fundingService');
+const { toUnits, isUnits, resolveCurrency } = require('../utils/currency');
+const { resolveSchedule } = require('../utils/pollSchedule');
+const config = require('../config/config');
 const AiGeneratedPoll = require('../models/AiGeneratedPoll');
 const BlockchainPoll = require('../models/BlockchainPoll');
 const PollSync = require('../models/PollSync');
@@ -14,10 +22,10 @@ class BlockchainController {
    */
   async initializeTonService(req, res) {
     try {
-      const success = await simpleTonService.init();
+      const success = await getChainAdapter().init();
       
       if (success) {
-        const status = await simpleTonService.getContractStatus();
+        const status = await getChainAdapter().getContractStatus();
         res.json({
           success: true,
           message: 'TON service initialized successfully',
@@ -44,7 +52,7 @@ class BlockchainController {
    */
   async getContractStatus(req, res) {
     try {
-      const status = await simpleTonService.getContractStatus();
+      const status = await getChainAdapter().getContractStatus();
       res.json({
         success: true,
         status
@@ -69,14 +77,86 @@ class BlockchainController {
         transactionHash, 
         contractAddress, 
         aiData, 
+        draftId,
         pollData, 
         createdBy 
       } = req.body;
       
-      if (!blockchainPollId || !transactionHash || !pollData) {
+      if (!blockchainPollId || !transactionHash || (!pollData && !draftId)) {
         return res.status(400).json({
           success: false,
-          message: 'Blockchain poll ID, transaction hash, and poll data are required'
+          message: 'Blockchain poll ID, transaction hash, and poll data or draft ID are required'
+        });
+      }
+
+      if (!isAuthenticatedWallet(req, createdBy)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Creator does not match the authenticated wallet'
+        });
+      }
+
+      // Resolve the AI draft first so a bad ID fails before anything is stored
+      let draft = null;
+      if (draftId) {
+        if (!mongoose.isValidObjectId(draftId)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid draft ID'
+          });
+        }
+
+        draft = await AiGeneratedPoll.findDraft(draftId);
+        if (!draft) {
+          return res.status(404).json({
+            success: false,
+            message: 'Draft not found or already registered on blockchain'
+          });
+        }
+
+        if (!draft.isOwnedBy(req.walletRawAddress)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Draft belongs to a different wallet'
+          });
+        }
+      }
+
+      // Drafts are funded as quoted by the server; other polls send amounts in nanotons
+      let funding = null;
+      if (draft) {
+        try {
+          funding = fundingService.quoteForPoll(draft);
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            message: `Draft funding is invalid: ${error.message}`
+          });
+        }
+      }
+      const rewardPerVote = String(funding ? funding.rewardPerResponse : pollData?.rewardPerVote ?? toUnits('0.01'));
+      const totalFunding = String(funding ? funding.targetFund : pollData?.totalFunding ?? toUnits('1'));
+      if (!isUnits(rewardPerVote) || !isUnits(totalFunding)) {
+        return res.status(400).json({
+          success: false,
+          message: 'rewardPerVote and totalFunding must be integer amounts in nanotons'
+        });
+      }
+
+      // Voting window: pollData overrides the draft or AI data; a start time already past opens now
+      const pollSettings = draft || aiData || {};
+      let schedule;
+      try {
+        schedule = resolveSchedule({
+          startTime: pollData?.startTime ?? pollSettings.startTime,
+          endTime: pollData?.endTime,
+          durationDays: pollData?.durationDays ?? pollSettings.durationDays,
+          durationSeconds: pollData?.duration
+        });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
         });
       }
 
@@ -85,30 +165,34 @@ class BlockchainController {
         blockchainPollId,
         contractAddress,
         registrationTxHash: transactionHash,
-        creator: createdBy,
-        optionCount: pollData.options?.length || 0,
-        startTime: new Date(),
-        endTime: new Date(Date.now() + (pollData.duration || 86400) * 1000),
+        creator: req.walletAddress,
+        optionCount: pollData?.options?.length || draft?.options.length || 0,
+        ...schedule,
         isActive: true,
         totalVotes: 0,
-        rewardPerVote: parseFloat(pollData.rewardPerVote || '0.01') * 1000000000, // Convert to nanoTON
-        totalFunding: pollData.totalFunding || '1.0',
+        rewardPerVote: Number(rewardPerVote),
+        totalFunding,
         syncStatus: 'synced'
       });
 
       await blockchainPoll.save();
+      getChainAdapter().invalidatePoll(blockchainPollId);
 
-      // If AI data is provided, create a connection record
+      // Link the AI draft (by ID), or create a record from AI data
       let aiPollRecord = null;
-      if (aiData) {
+      if (draft) {
+        aiPollRecord = await AiGeneratedPoll.linkDraftToBlockchainPoll(draft._id, blockchainPollId);
+      } else if (aiData) {
         try {
           aiPollRecord = new AiGeneratedPoll({
             subject: aiData.subject,
             description: aiData.description,
-            category: aiData.category || 'other',
+            category: categoryService.resolveOrFallback(aiData.category),
             options: aiData.options,
+            rewardCurrency: resolveCurrency(aiData.rewardCurrency),
             rewardPerResponse: aiData.rewardPerResponse,
             durationDays: aiData.durationDays,
+            startTime: aiData.startTime,
             maxResponses: aiData.maxResponses,
             targetFund: aiData.targetFund,
             fundingType: aiData.fundingType || 'self-funded',
@@ -124,12 +208,21 @@ class BlockchainController {
         }
       }
 
+      // Crowdfunded polls start collecting contributions once registered; voting waits for the target fund
+      if (aiPollRecord && !aiPollRecord.isNew && aiPollRecord.startFunding()) {
+        await aiPollRecord.save();
+        blockchainPoll.set(aiPollRecord.getVotingSchedule());
+        await blockchainPoll.save();
+      }
+
       res.json({
         success: true,
         message: 'Poll metadata stored successfully',
         blockchainPoll: blockchainPoll._id,
         aiPoll: aiPollRecord?._id,
-        blockchainPollId
+        blockchainPollId,
+        startTime: blockchainPoll.startTime,
+        endTime: blockchainPoll.endTime
       });
 
     } catch (error) {
@@ -142,6 +235,99 @@ class BlockchainController {
     }
   }
 
+  /**
+   * Queue an AI poll for registration through the operator wallet
+   * The sync service sends the CreatePoll message, so the creator needs no TON.
+   * Only the draft's creator can request it, once per poll.
+   */
+  async requestSponsoredRegistration(req, res) {
+    try {
+      const { aiPollId } = req.body;
+
+      if (!aiPollId) {
+        return res.status(400).json({
+          success: false,
+          message: 'AI poll ID is required'
+        });
+      }
+
+      if (!operatorWallet.isEnabled()) {
+        return res.status(503).json({
+          success: false,
+          message: 'Sponsored registration is not enabled'
+        });
+      }
+
+      const aiPoll = await AiGeneratedPoll.findById(aiPollId);
+      if (!aiPoll) {
+        return res.status(404).json({
+          success: false,
+          message: 'AI poll not found'
+        });
+      }
+
+      if (!aiPoll.isOwnedBy(req.walletRawAddress)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Draft belongs to a different wallet'
+        });
+      }
+
+      if (aiPoll.status === 'registered') {
+        return res.status(400).json({
+          success: false,
+          message: 'AI poll is already registered on blockchain'
+        });
+      }
+
+      if (aiPoll.options.length < 2 || aiPoll.options.length > 10) {
+        return res.status(400).json({
+          success: false,
+          message: 'Poll must have 2-10 options'
+        });
+      }
+
+      // Failed registrations are retried by the sync service; a second request
+      // could register the poll twice
+      const existingSync = await PollSync.findOne({ aiPollId: aiPoll._id });
+      if (existingSync) {
+        return res.status(409).json({
+          success: false,
+          message: 'Registration already requested',
+          syncInfo: existingSync
+        });
+      }
+
+      const pollSync = new PollSync({
+        aiPollId: aiPoll._id,
+        syncStatus: 'pending',
+        maxRegistrationAttempts: config.sync.maxRegistrationAttempts,
+        createdBy: req.walletAddress,
+        metadata: {
+          userAgent: req.get('User-Agent'),
+          ipAddress: req.ip
+        }
+      });
+
+      await pollSync.save();
+
+      res.status(202).json({
+        success: true,
+        message: 'Poll queued for sponsored registration',
+        syncId: pollSync._id,
+        syncStatus: pollSync.syncStatus
+      });
+
+    } catch (error) {
+      console.error('Error requesting sponsored registration:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to request sponsored registration',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Get poll data from blockchain
    */
@@ -161,25 +347,28 @@ class BlockchainController {
       // Try to get from database first
       let blockchainPoll = await BlockchainPoll.findOne({ blockchainPollId });
       
-      // If not in database, fetch from blockchain
+      // If not in database, read it from blockchain. The contract does not store the
+      // voting window, so the poll is returned without one and left for the sync
+      // service to record.
       if (!blockchainPoll) {
-        const pollData = await simpleTonService.getPoll(blockchainPollId);
-        
-        // Save to database for caching
-        blockchainPoll = new BlockchainPoll({
+        const pollData = await getChainAdapter().getPoll(blockchainPollId);
+        if (!pollData) {
+          return res.status(404).json({
+            success: false,
+            message: 'Poll not found'
+          });
+        }
+
+        blockchainPoll = {
           blockchainPollId,
-          contractAddress: simpleTonService.contractAddress,
+          contractAddress: getChainAdapter().contractAddress,
           creator: pollData.creator,
           optionCount: pollData.optionCount,
-          startTime: new Date(),
-          endTime: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days default
+          startTime: null,
+          endTime: null,
           isActive: pollData.isActive,
-          totalVotes: pollData.totalVotes,
-          rewardPerVote: 0,
-          totalFunding: '0.000 TON'
-        });
-        
-        await blockchainPoll.save();
+          totalVotes: pollData.totalVotes
+        };
       }
 
       // Get corresponding AI poll data if available
@@ -218,11 +407,16 @@ class BlockchainController {
 
       if (source === 'blockchain' || source === 'both') {
         // Get polls from blockchain
-        const blockchainPolls = await simpleTonService.getActivePolls();
+        const blockchainPolls = await getChainAdapter().getActivePolls();
         console.log('blockchainPolls', blockchainPolls)
         
-        // Enhance with AI data where available
+        // Enhance with AI data where available; scheduled polls are listed once voting starts
         for (const blockchainPoll of blockchainPolls) {
+          const pollRecord = await BlockchainPoll.findOne({ blockchainPollId: blockchainPoll.id });
+          if (pollRecord && pollRecord.getVotingStatus() === 'scheduled') {
+            continue;
+          }
+
           const pollSync = await PollSync.findByBlockchainPoll(blockchainPoll.id);
           let aiPollData = null;
           
@@ -280,12 +474,20 @@ class BlockchainController {
    */
   async createVoteTransaction(req, res) {
     try {
-      const { pollId, optionId, voterAddress } = req.body;
+      const { pollId, optionId } = req.body;
+      const voterAddress = req.walletAddress;
       
-      if (!pollId || optionId === undefined || !voterAddress) {
+      if (!pollId || optionId === undefined) {
         return res.status(400).json({
           success: false,
-          message: 'Poll ID, option ID, and voter address are required'
+          message: 'Poll ID and option ID are required'
+        });
+      }
+
+      if (!isAuthenticatedWallet(req, req.body.voterAddress)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Voter address does not match the authenticated wallet'
         });
       }
 
@@ -298,6 +500,28 @@ class BlockchainController {
         });
       }
 
+      // Crowdfunded polls only take votes once their target fund is raised
+      const aiPoll = await AiGeneratedPoll.findOne({ blockchainPollId });
+      if (aiPoll && !aiPoll.isOpen) {
+        return res.status(409).json({
+          success: false,
+          message: `Poll is not open for voting (funding ${aiPoll.fundingStatus})`
+        });
+      }
+
+      // Votes are only taken between the poll's start and end time
+      const pollRecord = await BlockchainPoll.findOne({ blockchainPollId });
+      const votingStatus = pollRecord ? pollRecord.getVotingStatus() : 'open';
+      if (votingStatus !== 'open') {
+        return res.status(409).json({
+          success: false,
+          message: votingStatus === 'scheduled'
+            ? `Poll voting starts at ${pollRecord.startTime.toISOString()}`
+            : 'Poll is closed for voting',
+          votingStatus
+        });
+      }
+
       // Check if user has already voted on this poll
       const existingVote = await BlockchainVote.hasUserVoted(voterAddress, blockchainPollId);
       if (existingVote) {
@@ -308,7 +532,7 @@ class BlockchainController {
       }
 
       // Create vote transaction payload
-      const voteTransaction = await simpleTonService.createVoteTransaction(blockchainPollId, optionId);
+      const voteTransaction = await getChainAdapter().createVoteTransaction(blockchainPollId, optionId);
       
       // Create vote record
       const voteId = `${blockchainPollId}_${voterAddress}_${Date.now()}`;
@@ -366,12 +590,22 @@ class BlockchainController {
         });
       }
 
+      if (!isAuthenticatedWallet(req, vote.voterAddress)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Vote belongs to a different wallet'
+        });
+      }
+
       // Update vote with transaction hash
       vote.txHash = txHash;
       vote.txTimestamp = new Date();
       vote.lastSyncedAt = new Date();
       await vote.save();
 
+      // Vote changes the poll's on-chain results
+      getChainAdapter().invalidatePoll(vote.blockchainPollId);
+
       res.json({
         success: true,
         message: 'Vote confirmation recorded',
@@ -415,10 +649,17 @@ class BlockchainController {
         pollInfo = await AiGeneratedPoll.findById(pollSync.aiPollId);
       }
 
+      // Attach the option each result counts votes for
+      const { optionDetails } = AiGeneratedPoll.formatOptions(pollInfo ? pollInfo.options : []);
+      const detailedResults = results.map(result => ({
+        ...result,
+        option: optionDetails[result._id] || null
+      }));
+
       res.json({
         success: true,
         pollId: blockchainPollId,
-        results,
+        results: detailedResults,
         pollInfo,
         totalVotes: results.reduce((sum, option) => sum + option.voteCount, 0)
       });
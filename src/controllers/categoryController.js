@@ -0,0 +1,308 @@
+const Category = require('../models/Category');
+const AiGeneratedPoll = require('../models/AiGeneratedPoll');
+const categoryService = require('../services/categoryService');
+
+const UPDATABLE_FIELDS = ['name', 'description', 'aliases', 'isActive', 'sortOrder'];
+
+/**
+ * Find slugs, names or aliases that already refer to another category
+ * @param {Array<string>} values - Slug, name and aliases being saved
+ * @param {string|null} slug - Slug of the category being updated (null when creating)
+ * @returns {Array<string>} Conflicting values
+ */
+function findConflicts(values, slug = null) {
+  return values.filter(value => {
+    const existing = categoryService.find(value);
+    return existing && existing.slug !== slug;
+  });
+}
+
+function slugify(value) {
+  return String(value).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Controller for the poll category taxonomy
+ */
+const categoryController = {
+  /**
+   * List categories (active only unless ?includeInactive=true)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listCategories(req, res) {
+    try {
+      const categories = categoryService.list({ includeInactive: req.query.includeInactive === 'true' });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          categories,
+          fallback: categoryService.fallbackSlug
+        }
+      });
+    } catch (error) {
+      console.error('Error in listCategories controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to list categories',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Get a category by slug, name or alias
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getCategory(req, res) {
+    try {
+      const category = categoryService.find(req.params.slug);
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          category
+        }
+      });
+    } catch (error) {
+      console.error('Error in getCategory controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get category',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Create a category (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createCategory(req, res) {
+    try {
+      const { name, description, aliases = [], isActive, sortOrder } = req.body;
+
+      if (!name) {
+        return res.status(400).json({
+          success: false,
+          message: 'Category name is required'
+        });
+      }
+
+      if (!Array.isArray(aliases)) {
+        return res.status(400).json({
+          success: false,
+          message: 'aliases must be an array of strings'
+        });
+      }
+
+      const slug = req.body.slug ? String(req.body.slug).toLowerCase().trim() : slugify(name);
+      const conflicts = findConflicts([slug, name, ...aliases]);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Slug, name or alias is already used by another category',
+          conflicts
+        });
+      }
+
+      const category = await Category.create({ slug, name, description, aliases, isActive, sortOrder });
+      await categoryService.refresh();
+
+      return res.status(201).json({
+        success: true,
+        data: {
+          category
+        }
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category',
+          error: error.message
+        });
+      }
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'Category already exists'
+        });
+      }
+
+      console.error('Error in createCategory controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create category',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Update a category's name, description, aliases, status or sort order (admin)
+   * The slug is immutable because polls reference it.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateCategory(req, res) {
+    try {
+      const { slug } = req.params;
+
+      if (req.body.slug !== undefined && req.body.slug !== slug) {
+        return res.status(400).json({
+          success: false,
+          message: 'Category slug cannot be changed; create a new category and delete this one with reassignTo'
+        });
+      }
+
+      const updates = {};
+      for (const field of UPDATABLE_FIELDS) {
+        if (req.body[field] !== undefined) {
+          updates[field] = req.body[field];
+        }
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `No updatable fields provided. Updatable fields: ${UPDATABLE_FIELDS.join(', ')}`
+        });
+      }
+
+      if (updates.aliases !== undefined && !Array.isArray(updates.aliases)) {
+        return res.status(400).json({
+          success: false,
+          message: 'aliases must be an array of strings'
+        });
+      }
+
+      if (slug === categoryService.fallbackSlug && updates.isActive === false) {
+        return res.status(400).json({
+          success: false,
+          message: 'The fallback category cannot be deactivated'
+        });
+      }
+
+      const category = await Category.findOne({ slug });
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      const conflicts = findConflicts([updates.name, ...(updates.aliases || [])].filter(Boolean), slug);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Name or alias is already used by another category',
+          conflicts
+        });
+      }
+
+      category.set(updates);
+      await category.save();
+      await categoryService.refresh();
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          category
+        }
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category update',
+          error: error.message
+        });
+      }
+
+      console.error('Error in updateCategory controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update category',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Delete a category (admin)
+   * Categories used by polls need ?reassignTo=<slug> to move those polls first;
+   * deactivating the category (PATCH isActive: false) keeps them as they are.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteCategory(req, res) {
+    try {
+      const { slug } = req.params;
+      const { reassignTo } = req.query;
+
+      if (slug === categoryService.fallbackSlug) {
+        return res.status(400).json({
+          success: false,
+          message: 'The fallback category cannot be deleted'
+        });
+      }
+
+      const category = await Category.findOne({ slug });
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      const pollCount = await AiGeneratedPoll.countDocuments({ category: slug });
+      if (pollCount > 0) {
+        if (!reassignTo) {
+          return res.status(409).json({
+            success: false,
+            message: `Category is used by ${pollCount} poll(s); pass reassignTo=<slug> or deactivate it instead`,
+            pollCount
+          });
+        }
+        if (reassignTo === slug || !categoryService.isValid(reassignTo)) {
+          return res.status(400).json({
+            success: false,
+            message: 'reassignTo must be another active category'
+          });
+        }
+        await AiGeneratedPoll.updateMany({ category: slug }, { $set: { category: reassignTo } });
+      }
+
+      await category.deleteOne();
+      await categoryService.refresh();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Category deleted',
+        data: {
+          reassignedPolls: pollCount,
+          reassignedTo: pollCount > 0 ? reassignTo : null
+        }
+      });
+    } catch (error) {
+      console.error('Error in deleteCategory controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete category',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = categoryController;
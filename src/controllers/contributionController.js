@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const contributionService = require('../services/contributionService');
+const { isAuthenticatedWallet } = require('../middleware/walletAuth');
+const AiGeneratedPoll = require('../models/AiGeneratedPoll');
+const Contribution = require('../models/Contribution');
+
+const { ContributionError } = contributionService;
+
+/**
+ * Controller for crowdfunded poll contributions
+ */
+const contributionController = {
+  /**
+   * Create a contribution and the transfer payload the contributor signs
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createContributionTransaction(req, res) {
+    try {
+      const { aiPollId, amount } = req.body;
+
+      if (!aiPollId || amount === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'AI poll ID and amount are required'
+        });
+      }
+
+      if (!isAuthenticatedWallet(req, req.body.contributorAddress)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Contributor address does not match the authenticated wallet'
+        });
+      }
+
+      if (!mongoose.isValidObjectId(aiPollId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid AI poll ID'
+        });
+      }
+
+      const poll = await AiGeneratedPoll.findById(aiPollId);
+      if (!poll) {
+        return res.status(404).json({
+          success: false,
+          message: 'AI poll not found'
+        });
+      }
+
+      const { contribution, transactionData } = await contributionService.createContribution(
+        poll,
+        req.walletAddress,
+        String(amount)
+      );
+
+      return res.status(201).json({
+        success: true,
+        message: 'Contribution transaction created',
+        data: {
+          contributionId: contribution._id,
+          memo: contribution.memo,
+          transactionData,
+          funding: contributionService.getProgress(poll)
+        }
+      });
+    } catch (error) {
+      if (error instanceof ContributionError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      console.error('Error in createContributionTransaction controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create contribution transaction',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Record the transaction hash of a sent contribution
+   * The sync service confirms it on chain and counts it toward the target fund.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async confirmContribution(req, res) {
+    try {
+      const { contributionId, txHash } = req.body;
+
+      if (!contributionId || !txHash) {
+        return res.status(400).json({
+          success: false,
+          message: 'Contribution ID and transaction hash are required'
+        });
+      }
+
+      if (!mongoose.isValidObjectId(contributionId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid contribution ID'
+        });
+      }
+
+      const contribution = await Contribution.findById(contributionId);
+      if (!contribution) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contribution not found'
+        });
+      }
+
+      if (!isAuthenticatedWallet(req, contribution.contributorAddress)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Contribution belongs to a different wallet'
+        });
+      }
+
+      if (contribution.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          message: `Contribution is already ${contribution.status}`
+        });
+      }
+
+      contribution.txHash = txHash;
+      contribution.txTimestamp = new Date();
+      contribution.lastSyncedAt = new Date();
+      await contribution.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Contribution confirmation recorded',
+        data: {
+          contributionId: contribution._id,
+          status: contribution.status
+        }
+      });
+    } catch (error) {
+      console.error('Error in confirmContribution controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to confirm contribution',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Get a contribution's status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getContribution(req, res) {
+    try {
+      const { contributionId } = req.params;
+
+      if (!mongoose.isValidObjectId(contributionId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid contribution ID'
+        });
+      }
+
+      const contribution = await Contribution.findById(contributionId);
+      if (!contribution) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contribution not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          contribution
+        }
+      });
+    } catch (error) {
+      console.error('Error in getContribution controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get contribution',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Get a poll's funding progress and its contributions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPollContributions(req, res) {
+    try {
+      const { pollId } = req.params;
+
+      if (!mongoose.isValidObjectId(pollId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid AI poll ID'
+        });
+      }
+
+      const poll = await AiGeneratedPoll.findById(pollId);
+      if (!poll) {
+        return res.status(404).json({
+          success: false,
+          message: 'AI poll not found'
+        });
+      }
+
+      const contributions = await Contribution.findByPoll(poll._id);
+      const contributors = new Set(contributions
+        .filter(contribution => contribution.status === 'confirmed')
+        .map(contribution => contribution.contributorAddress)).size;
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          funding: contributionService.getProgress(poll, { contributors }),
+          contributions: contributions.map(contribution => ({
+            id: contribution._id,
+            contributorAddress: contribution.contributorAddress,
+            amount: contribution.amount,
+            refundableAmount: contribution.refundableAmount,
+            status: contribution.status,
+            txHash: contribution.txHash,
+            refundTxHash: contribution.refundTxHash || null,
+            createdAt: contribution.createdAt,
+            confirmedAt: contribution.confirmedAt || null
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('Error in getPollContributions controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get poll contributions',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = contributionController;
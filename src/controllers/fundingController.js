@@ -0,0 +1,61 @@
+const fundingService = require('../services/fundingService');
+const { CurrencyError, resolveCurrency } = require('../utils/currency');
+
+const { FundingError } = fundingService;
+
+/**
+ * Controller for poll funding quotes
+ */
+const fundingController = {
+  /**
+   * Quote target fund, per-response reward, platform fee and gas reserve
+   * Amounts are integer strings in the currency's smallest unit (nanotons for TON).
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getQuote(req, res) {
+    try {
+      const { rewardDistribution, maxResponses, rewardPerResponse, targetFund, rewardPool } = req.body;
+
+      if (!rewardDistribution || maxResponses === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'rewardDistribution and maxResponses are required'
+        });
+      }
+
+      const quote = fundingService.quote({
+        rewardDistribution,
+        maxResponses,
+        rewardPerResponse,
+        targetFund,
+        rewardPool,
+        currency: resolveCurrency(req.body.currency)
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          quote
+        }
+      });
+    } catch (error) {
+      if (error instanceof FundingError || error instanceof CurrencyError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      console.error('Error in getQuote controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to quote poll funding',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = fundingController;
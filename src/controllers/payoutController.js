@@ -0,0 +1,114 @@
+const payoutService = require('../services/payoutService');
+const { formatAmount } = require('../utils/currency');
+const BlockchainPoll = require('../models/BlockchainPoll');
+const RewardPayout = require('../models/RewardPayout');
+
+/**
+ * Controller for voter reward payouts
+ */
+const payoutController = {
+  /**
+   * Get a poll's payout status and its payouts
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPollPayouts(req, res) {
+    try {
+      const { pollId } = req.params;
+
+      if (!pollId || isNaN(pollId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid poll ID is required'
+        });
+      }
+
+      const blockchainPollId = parseInt(pollId);
+      const blockchainPoll = await BlockchainPoll.findOne({ blockchainPollId });
+      if (!blockchainPoll) {
+        return res.status(404).json({
+          success: false,
+          message: 'Poll not found'
+        });
+      }
+
+      const payouts = await RewardPayout.find({ blockchainPollId }).sort({ createdAt: 1 });
+      const { counts, total, paid } = await RewardPayout.getSummary(blockchainPollId);
+      const currency = payouts.length > 0 ? payouts[0].currency.toObject() : undefined;
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          blockchainPollId,
+          payoutStatus: blockchainPoll.payoutStatus || null,
+          payoutComputedAt: blockchainPoll.payoutComputedAt || null,
+          currency: currency || null,
+          counts,
+          total: total.toString(),
+          paid: paid.toString(),
+          formatted: {
+            total: formatAmount(total, currency),
+            paid: formatAmount(paid, currency)
+          },
+          payouts: payouts.map(payout => ({
+            id: payout._id,
+            voteId: payout.voteId,
+            voterAddress: payout.voterAddress,
+            amount: payout.amount,
+            status: payout.status,
+            attempts: payout.attempts,
+            lastError: payout.lastError,
+            txHash: payout.txHash,
+            paidAt: payout.paidAt || null
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('Error in getPollPayouts controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get poll payouts',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Queue a poll's failed payouts to be sent again
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async retryPollPayouts(req, res) {
+    try {
+      const { pollId } = req.params;
+
+      if (!pollId || isNaN(pollId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid poll ID is required'
+        });
+      }
+
+      const blockchainPollId = parseInt(pollId);
+      const retried = await payoutService.retryFailed(blockchainPollId);
+
+      return res.status(200).json({
+        success: true,
+        message: retried > 0 ? `${retried} failed payouts queued for retry` : 'No failed payouts to retry',
+        data: {
+          blockchainPollId,
+          retried
+        }
+      });
+    } catch (error) {
+      console.error('Error in retryPollPayouts controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retry poll payouts',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = payoutController;
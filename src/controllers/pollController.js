@@ -1,5 +1,155 @@
+const mongoose = require('mongoose');
 const openaiService = require('../services/openaiService');
+const moderationService = require('../services/moderationService');
+const imageStorageService = require('../services/imageStorageService');
+const categoryService = require('../services/categoryService');
 const AiGeneratedPoll = require('../models/AiGeneratedPoll');
+const { LlmOutputError } = require('../services/llmResponseValidator');
+const fundingService = require('../services/fundingService');
+const { TON, CurrencyError, resolveCurrency, toUnits, fromUnits, isUnits } = require('../utils/currency');
+const config = require('../config/config');
+
+const { FundingError } = fundingService;
+
+const VIEW_TYPES = AiGeneratedPoll.schema.path('viewType').enumValues;
+
+// Draft fields the funding quote depends on
+const FUNDING_FIELDS = ['rewardDistribution', 'maxResponses', 'rewardPerResponse', 'targetFund', 'rewardCurrency'];
+
+/**
+ * Quote funding for extracted settings, whose rewardPerResponse is a decimal amount
+ * @param {Object} settings - { rewardDistribution, maxResponses, rewardPerResponse }
+ * @param {Object} currency - Poll currency
+ * @param {string} rewardPool - Pool to share for equal-share polls (default: config.rewards.defaultRewardPool)
+ * @returns {Object} Quote from fundingService
+ */
+function quoteSettings(settings, currency, rewardPool) {
+  const fixed = settings.rewardDistribution === 'fixed';
+  return fundingService.quote({
+    rewardDistribution: settings.rewardDistribution,
+    maxResponses: settings.maxResponses,
+    rewardPerResponse: fixed ? toUnits(settings.rewardPerResponse, currency.decimals) : undefined,
+    rewardPool: fixed ? undefined : rewardPool,
+    currency
+  });
+}
+
+/**
+ * Build the preview poll object from generated content and extracted settings
+ * @param {Object} generated - { settings, category, subject, description, options }
+ * @param {Object} params - { prompt, language, viewType, currency }
+ * @returns {Object} Poll fields for AiGeneratedPoll (amounts in the currency's smallest unit)
+ */
+function buildPreviewPoll({ settings, category, subject, description, options }, { prompt, language, viewType = 'text', currency = TON }) {
+  // Settings carry decimal amounts; the poll stores nanotons (or the jetton's smallest unit)
+  const { rewardPerResponse, targetFund } = quoteSettings(settings, currency);
+
+  // Create poll object with extracted settings
+  return {
+    subject,
+    description,
+    category,
+    viewType,
+    options,
+    language,
+    rewardCurrency: currency,
+    rewardPerResponse,
+    durationDays: settings.durationDays,
+    maxResponses: settings.maxResponses,
+    minContribution: toUnits(config.rewards.defaultMinContribution, currency.decimals),
+    fundingType: settings.fundingType,
+    isOpenImmediately: settings.isOpenImmediately,
+    targetFund,
+    rewardDistribution: settings.rewardDistribution,
+    originalPrompt: prompt
+  };
+}
+
+/**
+ * Generate image prompts and alt text for the options of a gallery poll
+ * Setting the result on a draft keeps uploaded images of options whose label did not change.
+ * @param {Object} poll - { subject, options, language } with option labels
+ * @param {AbortSignal} signal - Optional; stops the LLM call
+ * @returns {Promise<Array>} Option objects { label, imagePrompt, altText }
+ */
+async function buildGalleryOptions({ subject, options, language }, signal) {
+  const prompts = await openaiService.generateOptionImagePrompts(subject, options, language, signal);
+  return prompts.map(({ option, imagePrompt, altText }) => ({ label: option, imagePrompt, altText }));
+}
+
+/**
+ * Persist a generated preview as a draft so it can be resumed and linked later
+ * Output rejected by moderation is kept for review as a failed record instead.
+ * Anonymous previews are not saved, since no wallet could open the draft.
+ * @param {Object} poll - Poll fields from buildPreviewPoll
+ * @param {Object} moderation - Verdict from moderationService.checkGenerated
+ * @param {string} creatorAddress - Raw address of the wallet that generated it, if any
+ * @returns {Promise<Object|null>} Draft (unsaved when anonymous), or null if the content was rejected
+ */
+async function saveGeneratedDraft(poll, moderation, creatorAddress) {
+  if (moderation.status === 'rejected') {
+    await AiGeneratedPoll.create({
+      ...poll,
+      creatorAddress,
+      status: 'failed',
+      errorMessage: 'Generated content rejected by moderation',
+      moderation
+    });
+    return null;
+  }
+
+  const draft = new AiGeneratedPoll({ ...poll, creatorAddress, status: 'pending', moderation });
+  if (!creatorAddress) {
+    return draft;
+  }
+
+  draft.recordVersion({ source: 'generated' });
+  await draft.save();
+  return draft;
+}
+
+/**
+ * Delete uploaded images that a draft no longer refers to
+ * Images stay while the draft or a kept version uses them; they are dropped once
+ * the versions that used them fall out of the history.
+ * @param {Object} draft - Saved draft
+ * @param {Array<string>} previousKeys - draft.getImageKeys() from before the change
+ */
+async function removeUnusedImages(draft, previousKeys) {
+  const kept = new Set(draft.getImageKeys());
+  await Promise.all(previousKeys.filter(key => !kept.has(key)).map(key => imageStorageService.remove(key)));
+}
+
+/**
+ * Keep the verdict of a regeneration rejected by moderation on its draft for review
+ * @param {Object|null} draft - Draft being regenerated, if any
+ * @param {string} feedback - Regeneration feedback
+ * @param {Object} moderation - Rejected verdict
+ */
+async function recordRejectedRegeneration(draft, feedback, moderation) {
+  if (draft) {
+    await AiGeneratedPoll.updateOne({ _id: draft._id }, { rejectedRegeneration: { feedback, moderation } });
+  }
+}
+
+/**
+ * Answer 403 unless the authenticated wallet created the draft
+ * @param {Object} req - Express request with walletRawAddress set
+ * @param {Object} res - Express response object
+ * @param {Object} draft - AI poll draft
+ * @returns {boolean} True if the request may use the draft
+ */
+function checkDraftOwner(req, res, draft) {
+  if (draft.isOwnedBy(req.walletRawAddress)) {
+    return true;
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Draft belongs to a different wallet'
+  });
+  return false;
+}
 
 /**
  * Controller for poll-related endpoints
@@ -23,23 +173,56 @@ const pollController = {
         });
       }
       
+      const language = openaiService.normalizeLanguage(req.body.language || config.llm.defaultLanguage);
+      if (!language) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid language code (expected e.g. "en", "ru", "pt-BR")'
+        });
+      }
+      
+      // Reject disallowed topics and strip injection attempts before generation
+      const inputVerdict = await moderationService.checkInput(subject);
+      if (inputVerdict.status === 'rejected') {
+        return res.status(422).json({
+          success: false,
+          message: 'Poll subject violates the content policy',
+          code: 'CONTENT_REJECTED',
+          categories: inputVerdict.categories
+        });
+      }
+      
       // Call OpenAI service to generate options
       const options = await openaiService.generatePollOptions(
-        subject,
+        inputVerdict.text,
         category,
-        numOptions || 4
+        numOptions || 4,
+        language
       );
       
+      const moderation = await moderationService.checkGenerated({ subject, description: '', options }, inputVerdict);
+      
       // Return generated options
       return res.status(200).json({
         success: true,
         data: {
           question: subject,
-          options
+          options,
+          language,
+          moderation
         }
       });
     } catch (error) {
       console.error('Error in generateOptions controller:', error);
+      if (error instanceof LlmOutputError) {
+        return res.status(502).json({
+          success: false,
+          message: 'Failed to generate poll options',
+          error: error.message,
+          code: error.code,
+          issues: error.issues
+        });
+      }
       return res.status(500).json({
         success: false,
         message: 'Failed to generate poll options',
@@ -65,62 +248,265 @@ const pollController = {
         });
       }
       
-      // Extract poll settings from the user's prompt
-      const pollSettings = await openaiService.extractPollSettings(prompt);
+      const language = openaiService.normalizeLanguage(req.body.language || config.llm.defaultLanguage);
+      if (!language) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid language code (expected e.g. "en", "ru", "pt-BR")'
+        });
+      }
+      
+      const viewType = req.body.viewType || 'text';
+      if (!VIEW_TYPES.includes(viewType)) {
+        return res.status(400).json({
+          success: false,
+          message: `viewType must be one of: ${VIEW_TYPES.join(', ')}`
+        });
+      }
       
-      // Generate poll components using AI
-      const category = await openaiService.determineCategory(prompt);
-      const subject = await openaiService.generatePollSubject(prompt);
-      const description = await openaiService.generateDescription(subject);
-      const options = await openaiService.generatePollOptions(subject, category, 4);
+      // TON unless a jetton is requested
+      const currency = resolveCurrency(req.body.currency);
       
-      // Calculate target fund based on distribution type
-      let targetFund;
-      if (pollSettings.rewardDistribution === 'fixed') {
-        // For fixed distribution, target fund = maxResponses * rewardPerResponse
-        const rewardPerResponseEth = parseFloat(pollSettings.rewardPerResponse);
-        targetFund = (pollSettings.maxResponses * rewardPerResponseEth).toFixed(4);
-      } else {
-        // For equal-share distribution, use a default target fund
-        // The rewardPerResponse will be ignored in this case
-        targetFund = "0.1"; // Default 0.1 ETH target fund for equal-share distribution
+      // Reject disallowed topics and strip injection attempts before generation
+      const inputVerdict = await moderationService.checkInput(prompt);
+      if (inputVerdict.status === 'rejected') {
+        return res.status(422).json({
+          success: false,
+          message: 'Poll topic violates the content policy',
+          code: 'CONTENT_REJECTED',
+          categories: inputVerdict.categories
+        });
       }
       
-      // Create poll object with extracted settings
-      const poll = {
+      // Generate settings and poll components using AI (single call, multi-call fallback)
+      const {
+        settings: pollSettings,
+        category,
         subject,
         description,
-        category,
-        viewType: "text",
-        options,
-        rewardPerResponse: pollSettings.rewardPerResponse,
-        durationDays: pollSettings.durationDays,
-        maxResponses: pollSettings.maxResponses,
-        minContribution: "0.0001", // Default 0.0001 ETH minimum contribution
-        fundingType: pollSettings.fundingType,
-        isOpenImmediately: true,
-        targetFund,
-        rewardToken: "0x0000000000000000000000000000000000000000", // Zero address for ETH
-        rewardDistribution: pollSettings.rewardDistribution,
-        originalPrompt: prompt
-      };
+        options
+      } = await openaiService.generatePoll(inputVerdict.text, 4, language, currency);
+      
+      // Check the generated content; flagged options are kept but reported
+      const moderation = await moderationService.checkGenerated({ subject, description, options }, inputVerdict);
+      
+      const poll = buildPreviewPoll(
+        { settings: pollSettings, category, subject, description, options },
+        { prompt, language, viewType, currency }
+      );
+      
+      // Gallery polls get an image prompt and alt text per option
+      if (viewType === 'gallery' && moderation.status !== 'rejected') {
+        poll.options = await buildGalleryOptions(poll);
+      }
+      
+      const draft = await saveGeneratedDraft(poll, moderation, req.walletRawAddress);
+      if (!draft) {
+        return res.status(422).json({
+          success: false,
+          message: 'Generated poll violates the content policy',
+          code: 'CONTENT_REJECTED',
+          categories: moderation.categories
+        });
+      }
       
-      // Return generated poll
+      // Return generated poll; anonymous previews have no draft ID
+      const draftId = draft.isNew ? null : draft._id;
       return res.status(200).json({
         success: true,
         data: {
-          poll,
+          draftId,
+          poll: {
+            _id: draftId,
+            ...poll,
+            ...AiGeneratedPoll.formatOptions(draft.options),
+            formattedAmounts: AiGeneratedPoll.formatAmounts(poll),
+            moderation
+          },
+          funding: fundingService.quoteForPoll(poll),
           message: `Successfully generated poll: "${subject}" with ${pollSettings.maxResponses} max responses and ${pollSettings.rewardDistribution} distribution`
         }
       });
     } catch (error) {
       console.error('Error in generateAIPollPreview controller:', error);
+      if (error instanceof CurrencyError || error instanceof FundingError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+      if (error instanceof LlmOutputError) {
+        return res.status(502).json({
+          success: false,
+          message: 'Failed to generate poll preview',
+          error: error.message,
+          code: error.code,
+          issues: error.issues
+        });
+      }
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to generate poll preview',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Generate a poll preview over Server-Sent Events
+   * Streams each stage as it completes: settings, category, subject, description,
+   * each option as it is produced, the final options, moderation, then done (or error).
+   * Accepts the /poll-ai parameters as JSON body (POST) or query string (GET).
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async streamAIPollPreview(req, res) {
+    const params = { ...req.query, ...req.body };
+    const { prompt } = params;
+
+    if (!prompt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Prompt is required'
+      });
+    }
+
+    const language = openaiService.normalizeLanguage(params.language || config.llm.defaultLanguage);
+    if (!language) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid language code (expected e.g. "en", "ru", "pt-BR")'
+      });
+    }
+
+    const viewType = params.viewType || 'text';
+    if (!VIEW_TYPES.includes(viewType)) {
+      return res.status(400).json({
+        success: false,
+        message: `viewType must be one of: ${VIEW_TYPES.join(', ')}`
+      });
+    }
+
+    let currency;
+    try {
+      currency = resolveCurrency(params.currency);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    let inputVerdict;
+    try {
+      inputVerdict = await moderationService.checkInput(prompt);
+    } catch (error) {
+      console.error('Error in streamAIPollPreview controller:', error);
       return res.status(500).json({
         success: false,
         message: 'Failed to generate poll preview',
         error: error.message
       });
     }
+
+    if (inputVerdict.status === 'rejected') {
+      return res.status(422).json({
+        success: false,
+        message: 'Poll topic violates the content policy',
+        code: 'CONTENT_REJECTED',
+        categories: inputVerdict.categories
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    let closed = false;
+    const send = (event, data) => {
+      if (!closed) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+
+    // Keep proxies from closing the connection during slow stages
+    const heartbeat = setInterval(() => {
+      if (!closed) {
+        res.write(': ping\n\n');
+      }
+    }, 15000);
+
+    // A client that disconnects stops the remaining LLM calls, and no draft is saved
+    const abort = new AbortController();
+    res.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      abort.abort();
+    });
+
+    try {
+      const generated = await openaiService.generatePollStaged(inputVerdict.text, {
+        numOptions: 4,
+        language,
+        currency,
+        onStage: send,
+        signal: abort.signal
+      });
+
+      const moderation = await moderationService.checkGenerated(generated, inputVerdict);
+      send('moderation', moderation);
+
+      const poll = buildPreviewPoll(generated, { prompt, language, viewType, currency });
+      if (viewType === 'gallery' && moderation.status !== 'rejected') {
+        poll.options = await buildGalleryOptions(poll, abort.signal);
+        send('optionImages', poll.options);
+      }
+
+      abort.signal.throwIfAborted();
+      const draft = await saveGeneratedDraft(poll, moderation, req.walletRawAddress);
+      if (!draft) {
+        send('error', {
+          message: 'Generated poll violates the content policy',
+          code: 'CONTENT_REJECTED',
+          categories: moderation.categories
+        });
+      } else {
+        // Anonymous previews have no draft ID
+        const draftId = draft.isNew ? null : draft._id;
+        send('done', {
+          draftId,
+          poll: {
+            _id: draftId,
+            ...poll,
+            ...AiGeneratedPoll.formatOptions(draft.options),
+            formattedAmounts: AiGeneratedPoll.formatAmounts(poll),
+            moderation
+          },
+          funding: fundingService.quoteForPoll(poll)
+        });
+      }
+    } catch (error) {
+      if (abort.signal.aborted) {
+        console.log('Client disconnected, poll generation stopped');
+        return;
+      }
+
+      console.error('Error in streamAIPollPreview controller:', error);
+      send('error', {
+        message: 'Failed to generate poll preview',
+        error: error.message,
+        code: error.code,
+        issues: error.issues
+      });
+    } finally {
+      clearInterval(heartbeat);
+      res.end();
+    }
   },
 
   async handleAIRegeneratePollAction(req, res) {
@@ -131,75 +517,898 @@ const pollController = {
         return res.status(400).json({ success: false, message: 'Invalid request. Action must be "regenerate" and pollData and feedback are required.' });
       }
 
+      // Regenerations of a saved draft are recorded as versions under it
+      const draftId = req.body.draftId || pollData._id;
+      let draft = null;
+      if (draftId) {
+        if (!req.walletRawAddress) {
+          return res.status(401).json({ success: false, message: 'Wallet authentication required to regenerate a saved draft' });
+        }
+        if (!mongoose.isValidObjectId(draftId)) {
+          return res.status(400).json({ success: false, message: 'Valid draft ID is required' });
+        }
+        draft = await AiGeneratedPoll.findDraft(draftId);
+        if (!draft) {
+          return res.status(404).json({ success: false, message: 'Draft not found or already registered on blockchain' });
+        }
+        if (!checkDraftOwner(req, res, draft)) {
+          return;
+        }
+      }
+
+      // Keep the poll's language unless the request asks for another one
+      const language = openaiService.normalizeLanguage(
+        req.body.language || pollData.language || (draft && draft.language) || config.llm.defaultLanguage
+      );
+      if (!language) {
+        return res.status(400).json({ success: false, message: 'Invalid language code (expected e.g. "en", "ru", "pt-BR")' });
+      }
+
+      const viewType = req.body.viewType || pollData.viewType || (draft && draft.viewType) || 'text';
+      if (!VIEW_TYPES.includes(viewType)) {
+        return res.status(400).json({ success: false, message: `viewType must be one of: ${VIEW_TYPES.join(', ')}` });
+      }
+
+      // Reject disallowed feedback and strip injection attempts before regeneration
+      const feedbackVerdict = await moderationService.checkInput(feedback);
+      if (feedbackVerdict.status === 'rejected') {
+        await recordRejectedRegeneration(draft, feedback, feedbackVerdict);
+        return res.status(422).json({ success: false, message: 'Feedback violates the content policy', code: 'CONTENT_REJECTED', categories: feedbackVerdict.categories });
+      }
+      const safeFeedback = feedbackVerdict.text;
+
+      // pollData comes from the client and is quoted into the prompt, so its text gets the same checks
+      const pollVerdict = await moderationService.checkPollInput({
+        ...pollData,
+        options: AiGeneratedPoll.optionLabels(pollData.options || [])
+      });
+      if (pollVerdict.status === 'rejected') {
+        await recordRejectedRegeneration(draft, feedback, pollVerdict);
+        return res.status(422).json({ success: false, message: 'Poll data violates the content policy', code: 'CONTENT_REJECTED', categories: pollVerdict.categories });
+      }
+      const inputVerdict = {
+        ...feedbackVerdict,
+        injectionDetected: feedbackVerdict.injectionDetected || pollVerdict.injectionDetected,
+        injectionPatterns: [...new Set([...feedbackVerdict.injectionPatterns, ...pollVerdict.injectionPatterns])]
+      };
+
+      // Regeneration keeps the poll's currency; pollData amounts are in its smallest unit
+      const currency = draft ? draft.rewardCurrency.toObject() : resolveCurrency(pollData.rewardCurrency);
+
       // Extract poll settings from feedback if user is requesting changes to poll parameters
       // Pass existing poll settings to preserve unchanged values
       const existingSettings = {
         maxResponses: pollData.maxResponses,
-        rewardPerResponse: pollData.rewardPerResponse,
+        rewardPerResponse: isUnits(pollData.rewardPerResponse)
+          ? fromUnits(pollData.rewardPerResponse, currency.decimals)
+          : pollData.rewardPerResponse,
         rewardDistribution: pollData.rewardDistribution,
         durationDays: pollData.durationDays,
         fundingType: pollData.fundingType,
         isOpenImmediately: pollData.isOpenImmediately
       };
-      const pollSettings = await openaiService.extractPollSettings(feedback, existingSettings);
+      const pollSettings = await openaiService.extractPollSettings(safeFeedback, existingSettings, currency);
       console.log('pollSettings', pollSettings);
       
       // Regenerate poll content based on feedback
-      const regeneratedParts = await openaiService.regeneratePollFromFeedback(pollData, feedback);
-      
-      // Calculate target fund based on distribution type
-      let targetFund;
-      if (pollSettings.rewardDistribution === 'fixed') {
-        // For fixed distribution, target fund = maxResponses * rewardPerResponse
-        const rewardPerResponseEth = parseFloat(pollSettings.rewardPerResponse);
-        targetFund = (pollSettings.maxResponses * rewardPerResponseEth).toFixed(4);
-      } else {
-        // For equal-share distribution, use a default target fund
-        // The rewardPerResponse will be ignored in this case
-        targetFund = "0.1"; // Default 0.1 ETH target fund for equal-share distribution
-      }
-
-      // If the user mentioned specific target fund calculation in their feedback, use that
-      if (typeof feedback === 'string' && (feedback.toLowerCase().includes('target fund') || feedback.toLowerCase().includes('multiplied by'))) {
-        // Extract target fund calculation from feedback if present
-        const targetFundMatch = feedback.match(/(\d+(?:\.\d+)?)\s*(?:TON|ETH).*?multiplied by\s*(\d+(?:\.\d+)?)/i);
-        if (targetFundMatch) {
-          const rewardPerResponse = parseFloat(targetFundMatch[1]);
-          const maxResponses = parseFloat(targetFundMatch[2]);
-          targetFund = (rewardPerResponse * maxResponses).toFixed(4);
+      // pollData may carry option objects and optionDetails; the model works on labels
+      const previousPoll = {
+        ...pollData,
+        ...pollVerdict.poll,
+        category: categoryService.resolveOrFallback(pollData.category)
+      };
+      delete previousPoll.optionDetails;
+      const regeneratedParts = await openaiService.regeneratePollFromFeedback(previousPoll, safeFeedback, language);
+      
+      // Equal-share polls keep sharing the same reward pool
+      let previousPool;
+      const previous = draft || { ...pollData, rewardCurrency: currency };
+      if (fundingService.normalizeDistribution(previous.rewardDistribution) === 'equal-share') {
+        try {
+          previousPool = fundingService.quoteForPoll(previous).rewardPool;
+        } catch (error) {
+          previousPool = undefined;
         }
       }
+      const funding = quoteSettings(pollSettings, currency, previousPool);
       
       // Create new poll data with updated settings
       const newPollData = {
-        ...pollData,
+        ...previousPoll,
         subject: regeneratedParts.subject,
         description: regeneratedParts.description,
         options: regeneratedParts.options,
-        category: regeneratedParts.category || pollData.category,
+        language,
+        viewType,
+        category: categoryService.isValid(regeneratedParts.category)
+          ? regeneratedParts.category
+          : previousPoll.category,
         // Update poll settings if they were mentioned in feedback
         maxResponses: pollSettings.maxResponses,
-        rewardPerResponse: pollSettings.rewardPerResponse,
+        rewardCurrency: currency,
+        rewardPerResponse: funding.rewardPerResponse,
         rewardDistribution: pollSettings.rewardDistribution,
         durationDays: pollSettings.durationDays,
         fundingType: pollSettings.fundingType,
         isOpenImmediately: pollSettings.isOpenImmediately,
-        targetFund
+        targetFund: funding.targetFund
       };
       console.log('newPollData', newPollData);
+
+      newPollData.moderation = await moderationService.checkGenerated(newPollData, inputVerdict);
+      if (newPollData.moderation.status === 'rejected') {
+        await recordRejectedRegeneration(draft, feedback, newPollData.moderation);
+        return res.status(422).json({ success: false, message: 'Regenerated poll violates the content policy', code: 'CONTENT_REJECTED', categories: newPollData.moderation.categories });
+      }
+
+      if (viewType === 'gallery') {
+        newPollData.options = await buildGalleryOptions(newPollData);
+      }
+
+      if (draft) {
+        const imageKeys = draft.getImageKeys();
+        const before = draft.snapshot();
+        for (const field of AiGeneratedPoll.EDITABLE_FIELDS) {
+          if (newPollData[field] !== undefined) {
+            draft.set(field, newPollData[field]);
+          }
+        }
+        draft.moderation = newPollData.moderation;
+        draft.recordVersion({ source: 'regenerated', before, feedback });
+        await draft.save();
+        await removeUnusedImages(draft, imageKeys);
+        newPollData._id = draft._id;
+      }
       
       return res.status(200).json({ 
         success: true, 
         data: { 
-          poll: newPollData,
+          poll: {
+            ...newPollData,
+            ...AiGeneratedPoll.formatOptions(draft ? draft.options : newPollData.options),
+            formattedAmounts: AiGeneratedPoll.formatAmounts(newPollData)
+          },
+          funding,
+          version: draft ? draft.currentVersion : null,
           message: `Successfully regenerated poll with ${pollSettings.maxResponses} max responses and ${pollSettings.rewardDistribution} distribution`
         } 
       });
 
     } catch (error) {
       console.error('Error in handleAIRegeneratePollAction controller:', error);
+      if (error instanceof CurrencyError || error instanceof FundingError) {
+        return res.status(400).json({ success: false, message: error.message, code: error.code });
+      }
+      if (error instanceof LlmOutputError) {
+        return res.status(502).json({ success: false, message: 'Failed to handle AI poll action', error: error.message, code: error.code, issues: error.issues });
+      }
       return res.status(500).json({ success: false, message: 'Failed to handle AI poll action', error: error.message });
     }
+  },
+
+  /**
+   * Get an AI poll draft
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getDraft(req, res) {
+    try {
+      const { draftId } = req.params;
+
+      if (!mongoose.isValidObjectId(draftId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid draft ID is required'
+        });
+      }
+
+      const draft = await AiGeneratedPoll.findById(draftId);
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found'
+        });
+      }
+
+      if (!checkDraftOwner(req, res, draft)) {
+        return;
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          poll: draft
+        }
+      });
+    } catch (error) {
+      console.error('Error in getDraft controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get draft',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Update editable fields of an AI poll draft
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateDraft(req, res) {
+    try {
+      const { draftId } = req.params;
+
+      if (!mongoose.isValidObjectId(draftId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid draft ID is required'
+        });
+      }
+
+      const updates = {};
+      for (const field of AiGeneratedPoll.EDITABLE_FIELDS) {
+        if (req.body[field] !== undefined) {
+          updates[field] = req.body[field];
+        }
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `No editable fields provided. Editable fields: ${AiGeneratedPoll.EDITABLE_FIELDS.join(', ')}`
+        });
+      }
+
+      const draft = await AiGeneratedPoll.findDraft(draftId);
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found or already registered on blockchain'
+        });
+      }
+
+      if (!checkDraftOwner(req, res, draft)) {
+        return;
+      }
+
+      // Amounts not sent along with a new currency keep their face value in it
+      if (updates.rewardCurrency !== undefined) {
+        updates.rewardCurrency = resolveCurrency(updates.rewardCurrency);
+        const { decimals } = draft.rewardCurrency;
+        if (updates.rewardCurrency.decimals !== decimals) {
+          for (const field of AiGeneratedPoll.AMOUNT_FIELDS) {
+            if (updates[field] === undefined) {
+              updates[field] = toUnits(fromUnits(draft[field], decimals), updates.rewardCurrency.decimals);
+            }
+          }
+        }
+      }
+
+      const imageKeys = draft.getImageKeys();
+      const before = draft.snapshot();
+      draft.set(updates);
+
+      // Funding is recomputed on the server whenever its inputs change (targetFund for fixed
+      // rewards, rewardPerResponse for equal-share)
+      let funding = null;
+      if (FUNDING_FIELDS.some(field => updates[field] !== undefined)) {
+        funding = fundingService.quoteForPoll(draft);
+        draft.rewardPerResponse = funding.rewardPerResponse;
+        draft.targetFund = funding.targetFund;
+      }
+
+      // Edited text goes through the same moderation as generated text
+      if (['subject', 'description', 'options'].some(field => updates[field] !== undefined)) {
+        const moderation = await moderationService.checkGenerated(draft);
+        if (moderation.status === 'rejected') {
+          return res.status(422).json({
+            success: false,
+            message: 'Draft update violates the content policy',
+            code: 'CONTENT_REJECTED',
+            categories: moderation.categories
+          });
+        }
+        draft.moderation = moderation;
+      }
+
+      // New or renamed options of a gallery poll need image prompts
+      const unprompted = draft.viewType === 'gallery' ? draft.options.filter(option => !option.imagePrompt) : [];
+      if (unprompted.length > 0) {
+        const prompts = await openaiService.generateOptionImagePrompts(
+          draft.subject, unprompted.map(option => option.label), draft.language
+        );
+        unprompted.forEach((option, i) => {
+          option.imagePrompt = prompts[i].imagePrompt;
+          option.altText = prompts[i].altText;
+        });
+      }
+
+      draft.recordVersion({ source: 'edited', before });
+      await draft.save();
+      await removeUnusedImages(draft, imageKeys);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          poll: draft,
+          funding
+        }
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError' || error instanceof CurrencyError || error instanceof FundingError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid draft update',
+          error: error.message
+        });
+      }
+
+      console.error('Error in updateDraft controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update draft',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Delete an AI poll draft that has not been registered
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteDraft(req, res) {
+    try {
+      const { draftId } = req.params;
+
+      if (!mongoose.isValidObjectId(draftId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid draft ID is required'
+        });
+      }
+
+      const draft = await AiGeneratedPoll.findDraft(draftId);
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found or already registered on blockchain'
+        });
+      }
+
+      if (!checkDraftOwner(req, res, draft)) {
+        return;
+      }
+
+      const imageKeys = draft.getImageKeys();
+      await draft.deleteOne();
+      await Promise.all(imageKeys.map(key => imageStorageService.remove(key)));
+
+      return res.status(200).json({
+        success: true,
+        message: 'Draft deleted'
+      });
+    } catch (error) {
+      console.error('Error in deleteDraft controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete draft',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * List the version history of an AI poll draft
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listDraftVersions(req, res) {
+    try {
+      const { draftId } = req.params;
+
+      if (!mongoose.isValidObjectId(draftId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid draft ID is required'
+        });
+      }
+
+      const draft = await AiGeneratedPoll.findById(draftId);
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found'
+        });
+      }
+
+      if (!checkDraftOwner(req, res, draft)) {
+        return;
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          currentVersion: draft.currentVersion,
+          versions: draft.versions
+        }
+      });
+    } catch (error) {
+      console.error('Error in listDraftVersions controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to list draft versions',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Diff two versions of an AI poll draft field by field
+   * Query: from (defaults to the version before "to"), to (defaults to the latest)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async diffDraftVersions(req, res) {
+    try {
+      const { draftId } = req.params;
+
+      if (!mongoose.isValidObjectId(draftId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid draft ID is required'
+        });
+      }
+
+      const draft = await AiGeneratedPoll.findById(draftId);
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found'
+        });
+      }
+
+      if (!checkDraftOwner(req, res, draft)) {
+        return;
+      }
+
+      const to = req.query.to !== undefined ? Number(req.query.to) : draft.currentVersion;
+      const from = req.query.from !== undefined ? Number(req.query.from) : to - 1;
+      const fromVersion = draft.getVersion(from);
+      const toVersion = draft.getVersion(to);
+
+      if (!fromVersion || !toVersion) {
+        return res.status(404).json({
+          success: false,
+          message: `Version ${!fromVersion ? from : to} not found`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          from,
+          to,
+          changes: AiGeneratedPoll.diffSnapshots(fromVersion.snapshot, toVersion.snapshot)
+        }
+      });
+    } catch (error) {
+      console.error('Error in diffDraftVersions controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to diff draft versions',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Revert an AI poll draft to an earlier version
+   * The revert is recorded as a new version, so it can itself be undone.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async revertDraftVersion(req, res) {
+    try {
+      const { draftId, version } = req.params;
+
+      if (!mongoose.isValidObjectId(draftId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid draft ID is required'
+        });
+      }
+
+      const draft = await AiGeneratedPoll.findDraft(draftId);
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found or already registered on blockchain'
+        });
+      }
+
+      if (!checkDraftOwner(req, res, draft)) {
+        return;
+      }
+
+      const target = draft.getVersion(version);
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: `Version ${version} not found`
+        });
+      }
+
+      const imageKeys = draft.getImageKeys();
+      const before = draft.snapshot();
+      draft.set(target.snapshot);
+      draft.recordVersion({ source: 'reverted', before, revertedFrom: target.version });
+      await draft.save();
+      await removeUnusedImages(draft, imageKeys);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          poll: draft,
+          version: draft.currentVersion
+        }
+      });
+    } catch (error) {
+      console.error('Error in revertDraftVersion controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to revert draft',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Translate an AI poll's subject, description and options into additional locales
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async translatePoll(req, res) {
+    try {
+      const { pollId } = req.params;
+      const requested = [].concat(req.body.languages || req.body.language || []);
+
+      if (!mongoose.isValidObjectId(pollId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid poll ID is required'
+        });
+      }
+
+      if (requested.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one target language is required'
+        });
+      }
+
+      const languages = requested.map(language => openaiService.normalizeLanguage(language));
+      const invalid = requested.filter((language, i) => !languages[i]);
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid language code(s): ${invalid.join(', ')}`
+        });
+      }
+
+      // Each language is a separate LLM call
+      const targets = [...new Set(languages)];
+      if (targets.length > config.llm.maxTranslationLanguages) {
+        return res.status(400).json({
+          success: false,
+          message: `At most ${config.llm.maxTranslationLanguages} languages can be translated per request`
+        });
+      }
+
+      const poll = await AiGeneratedPoll.findById(pollId);
+      if (!poll) {
+        return res.status(404).json({
+          success: false,
+          message: 'Poll not found'
+        });
+      }
+
+      if (!checkDraftOwner(req, res, poll)) {
+        return;
+      }
+
+      const translated = [];
+      const failed = [];
+      for (const language of targets) {
+        if (language === poll.language) {
+          continue;
+        }
+
+        try {
+          const translation = await openaiService.translatePoll(poll.getLocalized(poll.language), language);
+          const moderation = await moderationService.checkGenerated(translation);
+          if (moderation.status === 'rejected') {
+            failed.push({ language, error: 'Translation rejected by moderation' });
+            continue;
+          }
+
+          poll.translations.set(language, {
+            ...translation,
+            source: config.llm.provider
+          });
+          translated.push(language);
+        } catch (error) {
+          console.error(`Error translating poll ${pollId} to ${language}:`, error);
+          failed.push({ language, error: error.message, code: error.code });
+        }
+      }
+
+      if (translated.length > 0) {
+        await poll.save();
+      }
+
+      return res.status(failed.length > 0 && translated.length === 0 ? 502 : 200).json({
+        success: translated.length > 0 || failed.length === 0,
+        data: {
+          language: poll.language,
+          translated,
+          failed,
+          translations: Object.fromEntries(poll.translations)
+        }
+      });
+    } catch (error) {
+      console.error('Error in translatePoll controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to translate poll',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Upload the image of a gallery poll option (raw image body)
+   * The replaced image stays stored while a kept draft version still uses it.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async uploadOptionImage(req, res) {
+    try {
+      const { draftId } = req.params;
+      const index = Number(req.params.index);
+
+      if (!mongoose.isValidObjectId(draftId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid draft ID is required'
+        });
+      }
+
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Image body is required (Content-Type: image/png, image/jpeg, image/gif or image/webp)'
+        });
+      }
+
+      if (!imageStorageService.detectFormat(req.body)) {
+        return res.status(415).json({
+          success: false,
+          message: 'Unsupported image format (expected PNG, JPEG, GIF or WebP)'
+        });
+      }
+
+      const draft = await AiGeneratedPoll.findDraft(draftId);
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found or already registered on blockchain'
+        });
+      }
+
+      if (!checkDraftOwner(req, res, draft)) {
+        return;
+      }
+
+      if (draft.viewType !== 'gallery') {
+        return res.status(400).json({
+          success: false,
+          message: 'Option images are only supported for gallery polls'
+        });
+      }
+
+      if (!Number.isInteger(index) || index < 0 || index >= draft.options.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Option index must be between 0 and ${draft.options.length - 1}`
+        });
+      }
+
+      const image = await imageStorageService.save(req.body);
+
+      const imageKeys = draft.getImageKeys();
+      const before = draft.snapshot();
+      draft.setOptionImage(index, image);
+      draft.recordVersion({ source: 'edited', before });
+      await draft.save();
+      await removeUnusedImages(draft, imageKeys);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          image,
+          option: AiGeneratedPoll.formatOptions(draft.options).optionDetails[index]
+        }
+      });
+    } catch (error) {
+      console.error('Error in uploadOptionImage controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to upload option image',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Remove the image of a gallery poll option
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteOptionImage(req, res) {
+    try {
+      const { draftId } = req.params;
+      const index = Number(req.params.index);
+
+      if (!mongoose.isValidObjectId(draftId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid draft ID is required'
+        });
+      }
+
+      const draft = await AiGeneratedPoll.findDraft(draftId);
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found or already registered on blockchain'
+        });
+      }
+
+      if (!checkDraftOwner(req, res, draft)) {
+        return;
+      }
+
+      if (!Number.isInteger(index) || index < 0 || index >= draft.options.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Option index must be between 0 and ${draft.options.length - 1}`
+        });
+      }
+
+      const imageKeys = draft.getImageKeys();
+      const before = draft.snapshot();
+      const removed = draft.setOptionImage(index, null);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Option has no image'
+        });
+      }
+
+      draft.recordVersion({ source: 'edited', before });
+      await draft.save();
+      await removeUnusedImages(draft, imageKeys);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          option: AiGeneratedPoll.formatOptions(draft.options).optionDetails[index]
+        }
+      });
+    } catch (error) {
+      console.error('Error in deleteOptionImage controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete option image',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Serve an uploaded option image
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getImage(req, res) {
+    try {
+      const image = await imageStorageService.open(req.params.key);
+      if (!image) {
+        return res.status(404).json({
+          success: false,
+          message: 'Image not found'
+        });
+      }
+
+      res.set({
+        'Content-Type': image.contentType,
+        'Content-Length': image.size,
+        'Cache-Control': 'public, max-age=31536000, immutable',
+        'X-Content-Type-Options': 'nosniff'
+      });
+      image.stream.on('error', error => {
+        console.error('Error streaming image:', error);
+        res.destroy(error);
+      });
+      image.stream.pipe(res);
+    } catch (error) {
+      if (error.message === 'Invalid image key') {
+        return res.status(404).json({
+          success: false,
+          message: 'Image not found'
+        });
+      }
+
+      console.error('Error in getImage controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get image',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Get an AI poll's translations, or its text in one language (?language=ru)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getTranslations(req, res) {
+    try {
+      const { pollId } = req.params;
+
+      if (!mongoose.isValidObjectId(pollId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid poll ID is required'
+        });
+      }
+
+      const poll = await AiGeneratedPoll.findById(pollId);
+      if (!poll) {
+        return res.status(404).json({
+          success: false,
+          message: 'Poll not found'
+        });
+      }
+
+      if (req.query.language) {
+        return res.status(200).json({
+          success: true,
+          data: {
+            poll: poll.getLocalized(openaiService.normalizeLanguage(req.query.language))
+          }
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          language: poll.language,
+          languages: [poll.language, ...poll.translations.keys()],
+          translations: Object.fromEntries(poll.translations)
+        }
+      });
+    } catch (error) {
+      console.error('Error in getTranslations controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get translations',
+        error: error.message
+      });
+    }
   }
 };
 
@@ -0,0 +1,141 @@
+const { Address } = require('@ton/core');
+const { getChainAdapter } = require('../services/chainAdapter');
+const rewardClaimService = require('../services/rewardClaimService');
+const { TON, formatAmount } = require('../utils/currency');
+const RewardDistribution = require('../models/RewardDistribution');
+
+/**
+ * Controller for claimable voter rewards
+ */
+const rewardController = {
+  /**
+   * Get a poll's reward distribution: Merkle root, publication and claims
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPollRewards(req, res) {
+    try {
+      const { pollId } = req.params;
+
+      if (!pollId || isNaN(pollId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid poll ID is required'
+        });
+      }
+
+      const blockchainPollId = parseInt(pollId);
+      const distribution = await RewardDistribution.findOne({ blockchainPollId });
+      if (!distribution) {
+        return res.status(404).json({
+          success: false,
+          message: 'Poll has no claimable rewards'
+        });
+      }
+
+      const claimed = distribution.entries.filter(entry => entry.claimedAt);
+      const claimedAmount = claimed.reduce((sum, entry) => sum + BigInt(entry.amount), 0n);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          blockchainPollId,
+          root: distribution.root,
+          status: distribution.status,
+          txHash: distribution.txHash,
+          publishedAt: distribution.publishedAt || null,
+          lastError: distribution.lastError,
+          total: distribution.total,
+          claimedAmount: claimedAmount.toString(),
+          voters: distribution.entries.length,
+          claimed: claimed.length,
+          formatted: {
+            total: formatAmount(distribution.total, TON),
+            claimedAmount: formatAmount(claimedAmount, TON)
+          },
+          entries: distribution.entries.map(entry => ({
+            voterAddress: entry.voterAddress,
+            amount: entry.amount,
+            claimTxHash: entry.claimTxHash,
+            claimedAt: entry.claimedAt || null
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('Error in getPollRewards controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get poll rewards',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Get a voter's reward, its Merkle proof and the claim transaction
+   * The transaction is only returned once the root is published and the reward unclaimed.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRewardProof(req, res) {
+    try {
+      const { pollId, address } = req.params;
+
+      if (!pollId || isNaN(pollId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid poll ID is required'
+        });
+      }
+
+      if (!Address.isFriendly(address) && !Address.isRaw(address)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid voter address'
+        });
+      }
+
+      const blockchainPollId = parseInt(pollId);
+      const result = await rewardClaimService.getProof(blockchainPollId, address);
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'No claimable reward for this address'
+        });
+      }
+
+      const { distribution, entry, proof } = result;
+      const claimed = Boolean(entry.claimedAt);
+      const claimable = distribution.status === 'published' && !claimed;
+      const transactionData = claimable
+        ? await getChainAdapter().createRewardClaimTransaction({ pollId: blockchainPollId, proof })
+        : null;
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          blockchainPollId,
+          voterAddress: entry.voterAddress,
+          amount: entry.amount,
+          formattedAmount: formatAmount(entry.amount, TON),
+          root: distribution.root,
+          proof,
+          status: distribution.status,
+          claimable,
+          claimed,
+          claimTxHash: entry.claimTxHash,
+          transactionData
+        }
+      });
+    } catch (error) {
+      console.error('Error in getRewardProof controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get reward proof',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = rewardController;
@@ -1,4 +1,9 @@
-const simpleTonService = require('../services/simpleTonService');
+const mongoose = require('mongoose');
+const { getChainAdapter } = require('../services/chainAdapter');
+const { isAuthenticatedWallet } = require('../middleware/walletAuth');
+const categoryService = require('../services/categoryService');
+const { resolveCurrency } = require('../utils/currency');
+const { DEFAULT_DURATION_DAYS, resolveSchedule } = require('../utils/pollSchedule');
 const AiGeneratedPoll = require('../models/AiGeneratedPoll');
 const BlockchainPoll = require('../models/BlockchainPoll');
 const BlockchainVote = require('../models/BlockchainVote');
@@ -15,10 +20,10 @@ class SimpleBlockchainController {
    */
   async initializeTonService(req, res) {
     try {
-      const success = await simpleTonService.init();
+      const success = await getChainAdapter().init();
       
       if (success) {
-        const status = await simpleTonService.getContractStatus();
+        const status = await getChainAdapter().getContractStatus();
         res.json({
           success: true,
           message: 'Simple TON service initialized successfully',
@@ -45,7 +50,7 @@ class SimpleBlockchainController {
    */
   async getContractStatus(req, res) {
     try {
-      const status = await simpleTonService.getContractStatus();
+      const status = await getChainAdapter().getContractStatus();
       res.json({
         success: true,
         status
@@ -75,10 +80,10 @@ class SimpleBlockchainController {
       }
 
       // Get next poll ID from contract
-      const nextPollId = await simpleTonService.getNextPollId();
+      const nextPollId = await getChainAdapter().getNextPollId();
 
       // Create transaction payload
-      const transactionData = await simpleTonService.createPoll(optionCount);
+      const transactionData = await getChainAdapter().createPoll(optionCount);
       
       res.json({
         success: true,
@@ -107,6 +112,7 @@ class SimpleBlockchainController {
         transactionHash, 
         contractAddress, 
         aiData, 
+        draftId,
         pollData, 
         createdBy 
       } = req.body;
@@ -118,65 +124,115 @@ class SimpleBlockchainController {
         });
       }
 
+      if (!isAuthenticatedWallet(req, createdBy)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Creator does not match the authenticated wallet'
+        });
+      }
+
+      // Resolve the AI draft first so a bad ID fails before anything is stored
+      let draft = null;
+      if (draftId) {
+        if (!mongoose.isValidObjectId(draftId)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid draft ID'
+          });
+        }
+
+        draft = await AiGeneratedPoll.findDraft(draftId);
+        if (!draft) {
+          return res.status(404).json({
+            success: false,
+            message: 'Draft not found or already registered on blockchain'
+          });
+        }
+
+        if (!draft.isOwnedBy(req.walletRawAddress)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Draft belongs to a different wallet'
+          });
+        }
+      }
+
+      // Voting window: pollData overrides the draft or AI data; a start time already past opens now
+      const pollSettings = draft || aiData || {};
+      let schedule;
+      try {
+        schedule = resolveSchedule({
+          startTime: pollData?.startTime ?? pollSettings.startTime,
+          endTime: pollData?.endTime,
+          durationDays: pollData?.durationDays ?? pollSettings.durationDays
+        });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       // Store basic blockchain poll record for tracking
       const blockchainPoll = new BlockchainPoll({
         blockchainPollId,
-        contractAddress: contractAddress || simpleTonService.contractAddress,
+        contractAddress: contractAddress || getChainAdapter().contractAddress,
         registrationTxHash: transactionHash,
-        creator: createdBy,
-        optionCount: pollData?.optionCount || 2,
-        startTime: new Date(),
-        endTime: pollData?.endTime ? new Date(pollData.endTime) : new Date(Date.now() + 7 * 24 * 3600 * 1000), // 7 days default
+        creator: req.walletAddress,
+        optionCount: pollData?.optionCount || draft?.options.length || 2,
+        ...schedule,
         isActive: true,
         totalVotes: 0,
         syncStatus: 'synced'
       });
 
       await blockchainPoll.save();
+      getChainAdapter().invalidatePoll(blockchainPollId);
 
-      // If AI data is provided, link it to the blockchain poll
+      // Link the AI draft (by ID), or create a record from AI data; existing AI polls
+      // are only linked through draftId, which checks ownership
       let aiPollRecord = null;
-      if (aiData) {
+      if (draft) {
+        aiPollRecord = await AiGeneratedPoll.linkDraftToBlockchainPoll(draft._id, blockchainPollId);
+      } else if (aiData) {
         try {
-          // Update existing AI poll or create new one
-          aiPollRecord = await AiGeneratedPoll.findByIdAndUpdate(
-            aiData._id || aiData.id,
-            { 
-              blockchainPollId: blockchainPollId,
-              status: 'registered'
-            },
-            { new: true, upsert: false }
-          );
-
-          // If no existing AI poll found, create a new record
-          if (!aiPollRecord) {
-            aiPollRecord = new AiGeneratedPoll({
-              subject: aiData.subject || pollData?.title || 'Blockchain Poll',
-              description: aiData.description || pollData?.description || '',
-              category: aiData.category || 'other',
-              options: aiData.options || [],
-              rewardPerResponse: aiData.rewardPerResponse || '0',
-              durationDays: aiData.durationDays || 7,
-              maxResponses: aiData.maxResponses || 1000,
-              targetFund: aiData.targetFund || '0',
-              originalPrompt: aiData.originalPrompt || 'Created via blockchain',
-              blockchainPollId: blockchainPollId,
-              status: 'registered'
-            });
-
-            await aiPollRecord.save();
-          }
+          aiPollRecord = new AiGeneratedPoll({
+            subject: aiData.subject || pollData?.title || 'Blockchain Poll',
+            description: aiData.description || pollData?.description || '',
+            category: categoryService.resolveOrFallback(aiData.category),
+            options: aiData.options || [],
+            rewardCurrency: resolveCurrency(aiData.rewardCurrency),
+            rewardPerResponse: aiData.rewardPerResponse || '0',
+            durationDays: aiData.durationDays || DEFAULT_DURATION_DAYS,
+            startTime: aiData.startTime || null,
+            maxResponses: aiData.maxResponses || 1000,
+            targetFund: aiData.targetFund || '0',
+            originalPrompt: aiData.originalPrompt || 'Created via blockchain',
+            blockchainPollId: blockchainPollId,
+            status: 'registered'
+          });
+
+          await aiPollRecord.save();
         } catch (aiError) {
-          console.warn('Failed to save/update AI poll record:', aiError);
+          console.warn('Failed to save AI poll record:', aiError);
         }
       }
 
+      // Crowdfunded polls start collecting contributions once registered; voting waits for the target fund
+      if (aiPollRecord && !aiPollRecord.isNew && aiPollRecord.startFunding()) {
+        await aiPollRecord.save();
+        blockchainPoll.set(aiPollRecord.getVotingSchedule());
+        await blockchainPoll.save();
+      }
+
       res.json({
         success: true,
         message: 'Poll metadata stored successfully',
         blockchainPoll: blockchainPoll._id,
         aiPoll: aiPollRecord?._id,
-        blockchainPollId
+        blockchainPollId,
+        startTime: blockchainPoll.startTime,
+        endTime: blockchainPoll.endTime
       });
 
     } catch (error) {
@@ -206,7 +262,7 @@ class SimpleBlockchainController {
       const blockchainPollId = parseInt(pollId);
       
       // Get poll data from blockchain
-      const blockchainPoll = await simpleTonService.getPoll(blockchainPollId);
+      const blockchainPoll = await getChainAdapter().getPoll(blockchainPollId);
       
       if (!blockchainPoll) {
         return res.status(404).json({
@@ -220,7 +276,7 @@ class SimpleBlockchainController {
       const aiPollData = await AiGeneratedPoll.findOne({ blockchainPollId });
 
       // Get poll results
-      const results = await simpleTonService.getPollResults(blockchainPollId);
+      const results = await getChainAdapter().getPollResults(blockchainPollId);
 
       res.json({
         success: true,
@@ -235,12 +291,16 @@ class SimpleBlockchainController {
           // Enhanced metadata (from MongoDB)
           title: aiPollData?.subject || `Poll ${blockchainPoll.id}`,
           description: aiPollData?.description || 'No description available',
-          options: aiPollData?.options || Array.from({ length: blockchainPoll.optionCount }, (_, i) => `Option ${i + 1}`),
+          // options: labels (legacy clients), optionDetails: full option objects
+          ...AiGeneratedPoll.formatOptions(
+            aiPollData?.options || Array.from({ length: blockchainPoll.optionCount }, (_, i) => `Option ${i + 1}`)
+          ),
           category: aiPollData?.category || 'general',
           
           // Timestamps (from MongoDB metadata)
           startTime: mongoMetadata?.startTime || new Date(),
           endTime: mongoMetadata?.endTime || new Date(),
+          votingStatus: mongoMetadata ? mongoMetadata.getVotingStatus() : null,
           
           // Results from blockchain
           results: results?.results || []
@@ -271,7 +331,7 @@ class SimpleBlockchainController {
       let blockchainPolls = [];
       
       try {
-        blockchainPolls = await simpleTonService.getActivePolls();
+        blockchainPolls = await getChainAdapter().getActivePolls();
         console.log(`Found ${blockchainPolls.length} active polls on blockchain`);
       } catch (blockchainError) {
         console.error('Error fetching polls from blockchain:', blockchainError);
@@ -305,8 +365,11 @@ class SimpleBlockchainController {
             // Enhanced metadata
             title: aiData?.subject || `Poll ${pollId}`,
             description: aiData?.description || 'No description',
-            options: aiData?.options || [],
+            ...AiGeneratedPoll.formatOptions(aiData?.options || []),
             category: aiData?.category || 'general',
+            startTime: mongoData?.startTime || null,
+            endTime: mongoData?.endTime || null,
+            votingStatus: mongoData ? mongoData.getVotingStatus() : null,
             
             // Metadata flags
             hasAiData: !!aiData,
@@ -316,10 +379,13 @@ class SimpleBlockchainController {
         })
       );
 
+      // Scheduled polls are listed once voting starts
+      const polls = enhancedPolls.filter(poll => poll.votingStatus !== 'scheduled');
+
       res.json({
         success: true,
-        polls: enhancedPolls,
-        count: enhancedPolls.length,
+        polls,
+        count: polls.length,
         debug: {
           blockchainPolls: blockchainPolls.length,
           aiPolls: aiPolls.length,
@@ -342,12 +408,20 @@ class SimpleBlockchainController {
    */
   async createVoteTransaction(req, res) {
     try {
-      const { pollId, optionIndex, voterAddress } = req.body;
+      const { pollId, optionIndex } = req.body;
+      const voterAddress = req.walletAddress;
       
-      if (!pollId || optionIndex === undefined || !voterAddress) {
+      if (!pollId || optionIndex === undefined) {
         return res.status(400).json({
           success: false,
-          message: 'Poll ID, option index, and voter address are required'
+          message: 'Poll ID and option index are required'
+        });
+      }
+
+      if (!isAuthenticatedWallet(req, req.body.voterAddress)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Voter address does not match the authenticated wallet'
         });
       }
 
@@ -360,7 +434,7 @@ class SimpleBlockchainController {
       }
 
       // Check if poll exists
-      const poll = await simpleTonService.getPoll(blockchainPollId);
+      const poll = await getChainAdapter().getPoll(blockchainPollId);
       if (!poll) {
         return res.status(404).json({
           success: false,
@@ -375,6 +449,28 @@ class SimpleBlockchainController {
         });
       }
 
+      // Crowdfunded polls only take votes once their target fund is raised
+      const aiPoll = await AiGeneratedPoll.findOne({ blockchainPollId });
+      if (aiPoll && !aiPoll.isOpen) {
+        return res.status(409).json({
+          success: false,
+          message: `Poll is not open for voting (funding ${aiPoll.fundingStatus})`
+        });
+      }
+
+      // Votes are only taken between the poll's start and end time
+      const pollRecord = await BlockchainPoll.findOne({ blockchainPollId });
+      const votingStatus = pollRecord ? pollRecord.getVotingStatus() : 'open';
+      if (votingStatus !== 'open') {
+        return res.status(409).json({
+          success: false,
+          message: votingStatus === 'scheduled'
+            ? `Poll voting starts at ${pollRecord.startTime.toISOString()}`
+            : 'Poll is closed for voting',
+          votingStatus
+        });
+      }
+
       // Validate option index
       if (optionIndex < 0 || optionIndex >= poll.optionCount) {
         return res.status(400).json({
@@ -384,7 +480,7 @@ class SimpleBlockchainController {
       }
 
       // Check if user has already voted (from blockchain)
-      const hasVoted = await simpleTonService.hasUserVoted(voterAddress, blockchainPollId);
+      const hasVoted = await getChainAdapter().hasUserVoted(voterAddress, blockchainPollId);
       if (hasVoted) {
         return res.status(400).json({
           success: false,
@@ -393,7 +489,7 @@ class SimpleBlockchainController {
       }
 
       // Create vote transaction
-      const transactionData = await simpleTonService.createVoteTransaction(blockchainPollId, optionIndex);
+      const transactionData = await getChainAdapter().createVoteTransaction(blockchainPollId, optionIndex);
       
       // Create vote record for tracking
       const voteId = `${blockchainPollId}_${voterAddress}_${Date.now()}`;
@@ -451,13 +547,22 @@ class SimpleBlockchainController {
         });
       }
 
+      if (!isAuthenticatedWallet(req, vote.voterAddress)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Vote belongs to a different wallet'
+        });
+      }
+
       // Update vote with transaction hash
       vote.txHash = txHash;
       vote.txTimestamp = new Date();
-      vote.status = 'submitted';
       vote.lastSyncedAt = new Date();
       await vote.save();
 
+      // Vote changes the poll's on-chain results
+      getChainAdapter().invalidatePoll(vote.blockchainPollId);
+
       res.json({
         success: true,
         message: 'Vote confirmation recorded',
@@ -491,7 +596,7 @@ class SimpleBlockchainController {
       const blockchainPollId = parseInt(pollId);
       
       // Get results from blockchain
-      const blockchainResults = await simpleTonService.getPollResults(blockchainPollId);
+      const blockchainResults = await getChainAdapter().getPollResults(blockchainPollId);
       
       if (!blockchainResults) {
         return res.status(404).json({
@@ -503,10 +608,12 @@ class SimpleBlockchainController {
       // Get metadata for option labels
       const aiPollData = await AiGeneratedPoll.findOne({ blockchainPollId });
       
-      // Enhance results with option labels
+      // Enhance results with option labels and details
+      const { optionDetails } = AiGeneratedPoll.formatOptions(aiPollData?.options || []);
       const enhancedResults = blockchainResults.results.map((result, index) => ({
         optionIndex: result.optionIndex,
-        optionText: aiPollData?.options?.[index] || `Option ${index + 1}`,
+        optionText: optionDetails[index]?.label || `Option ${index + 1}`,
+        option: optionDetails[index] || null,
         voteCount: result.voteCount,
         percentage: blockchainResults.totalVotes > 0 
           ? ((result.voteCount / blockchainResults.totalVotes) * 100).toFixed(1)
@@ -540,9 +647,9 @@ class SimpleBlockchainController {
    */
   async getContractStats(req, res) {
     try {
-      const totalPolls = await simpleTonService.getTotalPolls();
-      const nextPollId = await simpleTonService.getNextPollId();
-      const activePolls = await simpleTonService.getActivePolls();
+      const totalPolls = await getChainAdapter().getTotalPolls();
+      const nextPollId = await getChainAdapter().getNextPollId();
+      const activePolls = await getChainAdapter().getActivePolls();
       
       res.json({
         success: true,
@@ -550,7 +657,7 @@ class SimpleBlockchainController {
           totalPolls,
           nextPollId,
           activePolls: activePolls.length,
-          contractAddress: simpleTonService.contractAddress
+          contractAddress: getChainAdapter().contractAddress
         }
       });
 
@@ -0,0 +1,109 @@
+const { Address } = require('@ton/core');
+const tonProofService = require('../services/tonProofService');
+const config = require('../config/config');
+
+/**
+ * Verify a session token and set req.walletAddress / req.walletRawAddress
+ * @param {string} token - Session token, or undefined if none was sent
+ */
+function authenticate(req, res, next, token) {
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Wallet authentication required'
+    });
+  }
+
+  try {
+    const claims = tonProofService.verifyToken(token);
+    req.walletAddress = claims.address;
+    req.walletRawAddress = claims.sub;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired session token',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Read a Bearer token from the Authorization header
+ * @returns {string|undefined} Token
+ */
+function bearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' ? token : undefined;
+}
+
+/**
+ * Require a wallet session token issued by /api/auth/ton-proof/verify
+ * Sets req.walletAddress to the authenticated wallet address.
+ */
+function requireWalletAuth(req, res, next) {
+  return authenticate(req, res, next, bearerToken(req));
+}
+
+/**
+ * Authenticate the wallet if a session token is sent
+ * Also accepts the token as ?access_token= for EventSource clients, which cannot set
+ * request headers. Requests without a token continue anonymously, without
+ * req.walletAddress; an invalid token still answers 401.
+ */
+function optionalWalletAuth(req, res, next) {
+  const queryToken = typeof req.query.access_token === 'string' ? req.query.access_token : undefined;
+  const token = bearerToken(req) || queryToken;
+  if (!token) {
+    return next();
+  }
+  return authenticate(req, res, next, token);
+}
+
+/**
+ * Require the authenticated wallet to be one of config.auth.adminWallets
+ * Use after requireWalletAuth.
+ */
+function requireAdmin(req, res, next) {
+  const isAdmin = config.auth.adminWallets.some(address => {
+    try {
+      return Address.parse(address.trim()).toRawString() === req.walletRawAddress;
+    } catch (error) {
+      return false;
+    }
+  });
+
+  if (!isAdmin) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin wallet required'
+    });
+  }
+  next();
+}
+
+/**
+ * Check that a client-supplied address refers to the authenticated wallet
+ * @param {Object} req - Express request with walletRawAddress set
+ * @param {string} address - Address from the request body
+ * @returns {boolean} True if the address is absent or matches
+ */
+function isAuthenticatedWallet(req, address) {
+  if (!address) {
+    return true;
+  }
+
+  try {
+    return Address.parse(address).toRawString() === req.walletRawAddress;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  requireWalletAuth,
+  optionalWalletAuth,
+  requireAdmin,
+  isAuthenticatedWallet
+};
@@ -0,0 +1,50 @@
+const AiGeneratedPoll = require('../models/AiGeneratedPoll');
+
+/**
+ * Migration: nanoton amounts
+ * Rewrites AiGeneratedPoll documents stored with decimal amounts ("0.001") and an
+ * EVM zero-address `rewardToken` to amounts in nanotons with a TON `rewardCurrency`,
+ * including version snapshots. Idempotent; the server runs it on start.
+ *
+ * Standalone: node src/migrations/nanotonAmounts.js
+ */
+async function up() {
+  const collection = AiGeneratedPoll.collection;
+  const cursor = collection.find({ rewardCurrency: { $exists: false } });
+
+  let migrated = 0;
+  for await (const raw of cursor) {
+    if (!AiGeneratedPoll.upgradeLegacyAmounts(raw)) {
+      continue;
+    }
+
+    const $set = { rewardCurrency: raw.rewardCurrency };
+    for (const field of [...AiGeneratedPoll.AMOUNT_FIELDS, 'versions']) {
+      if (raw[field] !== undefined) {
+        $set[field] = raw[field];
+      }
+    }
+    await collection.updateOne({ _id: raw._id }, { $set, $unset: { rewardToken: '' } });
+    migrated++;
+  }
+
+  if (migrated > 0) {
+    console.log(`Migrated ${migrated} AI poll(s) to nanoton amounts`);
+  }
+  return migrated;
+}
+
+module.exports = { up };
+
+if (require.main === module) {
+  const { connectDB, disconnectDB } = require('../config/database');
+
+  connectDB()
+    .then(up)
+    .then(migrated => console.log(`Nanoton amounts migration done (${migrated} updated)`))
+    .catch(error => {
+      console.error('Nanoton amounts migration failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(disconnectDB);
+}
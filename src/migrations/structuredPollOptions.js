@@ -0,0 +1,46 @@
+const AiGeneratedPoll = require('../models/AiGeneratedPoll');
+
+/**
+ * Migration: structured poll options
+ * Rewrites AiGeneratedPoll documents whose options are plain strings into option
+ * objects ({ id, label, description, image, link, order, ... }). Idempotent; the
+ * server runs it on start.
+ *
+ * Standalone: node src/migrations/structuredPollOptions.js
+ */
+async function up() {
+  const collection = AiGeneratedPoll.collection;
+  const cursor = collection.find({ options: { $type: 'string' } });
+
+  let migrated = 0;
+  for await (const raw of cursor) {
+    if (!AiGeneratedPoll.upgradeLegacyOptions(raw)) {
+      continue;
+    }
+    await collection.updateOne(
+      { _id: raw._id },
+      { $set: { options: raw.options } }
+    );
+    migrated++;
+  }
+
+  if (migrated > 0) {
+    console.log(`Migrated ${migrated} AI poll(s) to structured options`);
+  }
+  return migrated;
+}
+
+module.exports = { up };
+
+if (require.main === module) {
+  const { connectDB, disconnectDB } = require('../config/database');
+
+  connectDB()
+    .then(up)
+    .then(migrated => console.log(`Structured poll options migration done (${migrated} updated)`))
+    .catch(error => {
+      console.error('Structured poll options migration failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(disconnectDB);
+}
@@ -1,4 +1,227 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const categoryService = require('../services/categoryService');
+const { TON, toUnits, formatAmount, isUnits, normalizeAddress } = require('../utils/currency');
+const { DEFAULT_DURATION_DAYS, resolveSchedule } = require('../utils/pollSchedule');
+const config = require('../config/config');
+
+// Fields a creator may edit while the poll is still a draft (also what each version snapshots)
+const EDITABLE_FIELDS = [
+  'subject', 'description', 'category', 'viewType', 'options',
+  'rewardPerResponse', 'durationDays', 'maxResponses', 'minContribution',
+  'fundingType', 'isOpenImmediately', 'startTime', 'targetFund', 'rewardCurrency', 'rewardDistribution', 'language'
+];
+
+// Fields that are translated into additional locales
+const TRANSLATED_FIELDS = ['subject', 'description', 'options'];
+
+// Reward/funding settings tracked before and after each regeneration
+const SETTINGS_FIELDS = [
+  'maxResponses', 'rewardPerResponse', 'rewardDistribution',
+  'durationDays', 'fundingType', 'isOpenImmediately'
+];
+
+// Amounts stored in the smallest unit of rewardCurrency (nanotons for TON)
+const AMOUNT_FIELDS = ['rewardPerResponse', 'minContribution', 'targetFund'];
+
+// Keep only the most recent versions of a draft
+const MAX_VERSIONS = 50;
+
+const pollVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  source: {
+    type: String,
+    required: true,
+    enum: ['generated', 'regenerated', 'edited', 'reverted']
+  },
+  feedback: {
+    type: String,
+    default: null
+  },
+  revertedFrom: {
+    type: Number,
+    default: null
+  },
+  changedFields: [String],
+  settingsBefore: mongoose.Schema.Types.Mixed,
+  settingsAfter: mongoose.Schema.Types.Mixed,
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const imageRefSchema = new mongoose.Schema({
+  storage: {
+    type: String,
+    enum: ['local', 'gridfs'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  contentType: String,
+  size: Number,
+  url: String,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A poll option; its position in `options` (also stored as `order`) is the on-chain option index
+const pollOptionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    default: generateOptionId
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: 500
+  },
+  image: {
+    type: imageRefSchema,
+    default: null
+  },
+  imagePrompt: {
+    type: String,
+    default: null // Gallery polls: prompt for an image generator or illustrator
+  },
+  altText: {
+    type: String,
+    default: null
+  },
+  link: {
+    type: String,
+    default: null,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return v === null || /^https?:\/\/\S+$/i.test(v);
+      },
+      message: 'Option link must be an http(s) URL'
+    }
+  },
+  order: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+// Currency rewards are paid in: native TON or a jetton identified by its master address
+const rewardCurrencySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['ton', 'jetton'],
+    default: 'ton'
+  },
+  symbol: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  decimals: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 18
+  },
+  masterAddress: {
+    type: String,
+    default: null,
+    validate: {
+      validator: function(v) {
+        if (this.type === 'ton') {
+          return v === null;
+        }
+        try {
+          return v !== null && normalizeAddress(v) === v;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Jettons need a normalized master address; native TON has none'
+    }
+  }
+}, { _id: false });
+
+const amountField = defaultAmount => ({
+  type: String,
+  default: () => toUnits(defaultAmount),
+  validate: {
+    validator: isUnits,
+    message: props => `${props.path} must be an integer amount in the currency's smallest unit (got ${props.value})`
+  }
+});
+
+const pollTranslationSchema = new mongoose.Schema({
+  subject: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  options: {
+    type: [String],
+    required: true
+  },
+  source: String, // LLM provider that produced the translation
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const moderationVerdictSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['passed', 'flagged', 'rejected'],
+    default: 'passed'
+  },
+  categories: [String],
+  injectionDetected: {
+    type: Boolean,
+    default: false
+  },
+  injectionPatterns: [String],
+  flaggedOptions: [Number], // Indexes into options that failed moderation
+  source: String, // Provider name, 'rules' or 'disabled'
+  checkedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Last regeneration request turned down by moderation; the draft keeps its content
+const rejectedRegenerationSchema = new mongoose.Schema({
+  feedback: String,
+  moderation: moderationVerdictSchema,
+  rejectedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const aiGeneratedPollSchema = new mongoose.Schema({
   subject: {
@@ -14,8 +237,19 @@ const aiGeneratedPollSchema = new mongoose.Schema({
   category: {
     type: String,
     required: true,
-    enum: ['art', 'design', 'tech', 'defi', 'lifestyle', 'environment', 'web3', 'food', 'other'],
-    default: 'other'
+    lowercase: true,
+    trim: true,
+    default: () => categoryService.fallbackSlug,
+    validate: {
+      validator: function(value) {
+        // Polls keep a category that was deactivated later; only new values must be active
+        if (this instanceof mongoose.Document && !this.isNew && !this.isModified('category')) {
+          return true;
+        }
+        return categoryService.isValid(value);
+      },
+      message: props => `${props.value} is not an active category`
+    }
   },
   viewType: {
     type: String,
@@ -23,8 +257,9 @@ const aiGeneratedPollSchema = new mongoose.Schema({
     enum: ['text', 'gallery']
   },
   options: {
-    type: [String],
+    type: [pollOptionSchema],
     required: true,
+    set: normalizeOptions,
     validate: {
       validator: function(v) {
         return v.length >= 2;
@@ -32,13 +267,24 @@ const aiGeneratedPollSchema = new mongoose.Schema({
       message: 'Poll must have at least 2 options'
     }
   },
-  rewardPerResponse: {
+  language: {
     type: String,
-    default: '0.001'
+    default: 'en',
+    trim: true
+  },
+  translations: {
+    type: Map,
+    of: pollTranslationSchema,
+    default: {}
+  },
+  rewardCurrency: {
+    type: rewardCurrencySchema,
+    default: () => ({ ...TON })
   },
+  rewardPerResponse: amountField('0.001'),
   durationDays: {
     type: Number,
-    default: 7,
+    default: DEFAULT_DURATION_DAYS,
     min: 1,
     max: 365
   },
@@ -47,10 +293,7 @@ const aiGeneratedPollSchema = new mongoose.Schema({
     default: 100,
     min: 1
   },
-  minContribution: {
-    type: String,
-    default: '0.0001'
-  },
+  minContribution: amountField(config.rewards.defaultMinContribution),
   fundingType: {
     type: String,
     default: 'self-funded',
@@ -60,24 +303,49 @@ const aiGeneratedPollSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
-  targetFund: {
+  // Scheduled start of voting; null (or a time already past) opens the poll when it is registered
+  startTime: {
+    type: Date,
+    default: null
+  },
+  targetFund: amountField(config.rewards.defaultRewardPool),
+  // Crowdfunded polls collect contributions once registered and open when targetFund is raised
+  fundingStatus: {
     type: String,
-    default: '0.1'
+    default: null,
+    enum: [null, 'collecting', 'funded', 'refundable']
   },
-  rewardToken: {
+  fundingDeadline: {
+    type: Date,
+    default: null
+  },
+  raisedAmount: {
     type: String,
-    default: '0x0000000000000000000000000000000000000000'
+    default: '0',
+    validate: {
+      validator: isUnits,
+      message: props => `raisedAmount must be an integer amount in the currency's smallest unit (got ${props.value})`
+    }
+  },
+  fundedAt: {
+    type: Date,
+    default: null
   },
   rewardDistribution: {
     type: String,
-    default: 'split',
-    enum: ['split', 'fixed', 'none']
+    default: 'equal-share',
+    enum: ['equal-share', 'split', 'fixed', 'none'] // 'split' is the old name of 'equal-share'
   },
   originalPrompt: {
     type: String,
     required: true,
     trim: true
   },
+  // Raw address of the wallet that generated the draft; only it may see or change the draft
+  creatorAddress: {
+    type: String,
+    default: null
+  },
   status: {
     type: String,
     default: 'pending',
@@ -100,6 +368,18 @@ const aiGeneratedPollSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  moderation: {
+    type: moderationVerdictSchema,
+    default: null
+  },
+  rejectedRegeneration: {
+    type: rejectedRegenerationSchema,
+    default: null
+  },
+  versions: {
+    type: [pollVersionSchema],
+    default: []
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -115,12 +395,460 @@ const aiGeneratedPollSchema = new mongoose.Schema({
 
 // Index for efficient querying
 aiGeneratedPollSchema.index({ status: 1, createdAt: 1 });
+aiGeneratedPollSchema.index({ creatorAddress: 1, createdAt: -1 });
 aiGeneratedPollSchema.index({ originalPrompt: 'text', subject: 'text', description: 'text' });
 
+aiGeneratedPollSchema.statics.EDITABLE_FIELDS = EDITABLE_FIELDS;
+aiGeneratedPollSchema.statics.AMOUNT_FIELDS = AMOUNT_FIELDS;
+
+// Clients that expect plain string options keep getting them; the full objects are in optionDetails.
+// Amounts stay in smallest units, with display strings under formattedAmounts.
+aiGeneratedPollSchema.set('toJSON', {
+  transform(doc, ret) {
+    return Object.assign(ret, formatOptions(ret.options), { formattedAmounts: formatAmounts(ret), isOpen: doc.isOpen });
+  }
+});
+
+// Virtual fields
+aiGeneratedPollSchema.virtual('currentVersion').get(function() {
+  const latest = this.versions[this.versions.length - 1];
+  return latest ? latest.version : 0;
+});
+
+// Voting is closed while a crowdfunded poll is raising its target fund or after it failed to
+aiGeneratedPollSchema.virtual('isOpen').get(function() {
+  return !['collecting', 'refundable'].includes(this.fundingStatus);
+});
+
+// Instance methods
+aiGeneratedPollSchema.methods.snapshot = function(fields = EDITABLE_FIELDS) {
+  const poll = this.toObject();
+  return fields.reduce((snapshot, field) => {
+    snapshot[field] = poll[field];
+    return snapshot;
+  }, {});
+};
+
+/**
+ * Record the current state as a new version
+ * @param {Object} params - Version details
+ * @param {string} params.source - generated, regenerated, edited or reverted
+ * @param {Object} params.before - Snapshot taken before the change (omit for the first version)
+ * @param {string} params.feedback - Regeneration feedback
+ * @param {number} params.revertedFrom - Version restored by a revert
+ */
+aiGeneratedPollSchema.methods.recordVersion = function({ source, before = null, feedback = null, revertedFrom = null }) {
+  const after = this.snapshot();
+
+  this.versions.push({
+    version: this.currentVersion + 1,
+    source,
+    feedback,
+    revertedFrom,
+    changedFields: before ? diffSnapshots(before, after).map(change => change.field) : [],
+    settingsBefore: before ? pick(before, SETTINGS_FIELDS) : null,
+    settingsAfter: pick(after, SETTINGS_FIELDS),
+    snapshot: after
+  });
+
+  if (this.versions.length > MAX_VERSIONS) {
+    this.versions = this.versions.slice(-MAX_VERSIONS);
+  }
+};
+
+/**
+ * Attach an uploaded image to an option (by index), replacing any previous one
+ * @param {number} index - Option index
+ * @param {Object|null} image - Image reference from imageStorageService.save, or null to remove it
+ * @returns {Object|null} Replaced image reference, if any
+ */
+aiGeneratedPollSchema.methods.setOptionImage = function(index, image) {
+  const option = this.options[index];
+  const previous = option.image ? option.image.toObject() : null;
+  option.image = image;
+  return previous;
+};
+
+/**
+ * Start collecting contributions for a crowdfunded poll that was just registered
+ * Polls that are not crowdfunded, or already past this step, are left unchanged.
+ * @param {Date} now - Registration time
+ * @returns {boolean} True if the poll started collecting
+ */
+aiGeneratedPollSchema.methods.startFunding = function(now = new Date()) {
+  if (this.fundingType !== 'crowdfunded' || this.fundingStatus) {
+    return false;
+  }
+  this.fundingStatus = 'collecting';
+  this.fundingDeadline = new Date(now.getTime() + config.funding.deadlineDays * 24 * 60 * 60 * 1000);
+  return true;
+};
+
+/**
+ * Voting window of the registered poll
+ * Crowdfunded polls still collecting are scheduled to start at their funding deadline;
+ * they open earlier if they reach targetFund first (see contributionService).
+ * @param {Date} now - Registration time
+ * @returns {Object} { startTime, endTime }
+ */
+aiGeneratedPollSchema.methods.getVotingSchedule = function(now = new Date()) {
+  return resolveSchedule({
+    startTime: this.fundingStatus === 'collecting' ? this.fundingDeadline : this.startTime,
+    durationDays: this.durationDays
+  }, now);
+};
+
+/**
+ * Option labels in on-chain index order
+ * @returns {Array<string>} Labels
+ */
+aiGeneratedPollSchema.methods.getOptionLabels = function() {
+  return optionLabels(this.options);
+};
+
+/**
+ * Keys of every uploaded image the draft or its version history refers to
+ * Replaced images stay stored while a kept version still uses them.
+ * @returns {Array<string>} Image keys
+ */
+aiGeneratedPollSchema.methods.getImageKeys = function() {
+  const keys = new Set();
+  const collect = items => (items || []).forEach(item => {
+    if (item && item.image && item.image.key) {
+      keys.add(item.image.key);
+    }
+  });
+
+  collect(this.options);
+  (this.versions || []).forEach(version => {
+    if (version.snapshot) {
+      collect(version.snapshot.options);
+    }
+  });
+  return [...keys];
+};
+
+/**
+ * Whether a wallet created the draft
+ * Drafts saved before creators were recorded belong to no wallet.
+ * @param {string} rawAddress - Raw address of the authenticated wallet
+ * @returns {boolean} True if the wallet is the draft's creator
+ */
+aiGeneratedPollSchema.methods.isOwnedBy = function(rawAddress) {
+  return Boolean(this.creatorAddress) && this.creatorAddress === rawAddress;
+};
+
+aiGeneratedPollSchema.methods.getVersion = function(version) {
+  return this.versions.find(v => v.version === Number(version)) || null;
+};
+
+/**
+ * Poll text in a language, falling back to the original
+ * @param {string} language - Language code
+ * @returns {Object} { language, subject, description, options, translated }
+ */
+aiGeneratedPollSchema.methods.getLocalized = function(language) {
+  const translation = language && language !== this.language ? this.translations.get(language) : null;
+  const source = translation || this;
+
+  return {
+    language: translation ? language : this.language,
+    subject: source.subject,
+    description: source.description,
+    options: translation ? [...translation.options] : this.getOptionLabels(),
+    translated: Boolean(translation)
+  };
+};
+
+// Static methods
+aiGeneratedPollSchema.statics.diffSnapshots = function(from, to) {
+  return diffSnapshots(from, to);
+};
+
+aiGeneratedPollSchema.statics.optionLabels = function(options) {
+  return optionLabels(options);
+};
+
+aiGeneratedPollSchema.statics.formatOptions = function(options) {
+  return formatOptions(options);
+};
+
+aiGeneratedPollSchema.statics.upgradeLegacyOptions = function(raw) {
+  return upgradeLegacyOptions(raw);
+};
+
+aiGeneratedPollSchema.statics.formatAmounts = function(poll) {
+  return formatAmounts(poll);
+};
+
+aiGeneratedPollSchema.statics.upgradeLegacyAmounts = function(raw) {
+  return upgradeLegacyAmounts(raw);
+};
+
+aiGeneratedPollSchema.statics.findDraft = function(id) {
+  return this.findOne({ _id: id, status: 'pending', blockchainPollId: null });
+};
+
+aiGeneratedPollSchema.statics.linkDraftToBlockchainPoll = function(id, blockchainPollId) {
+  return this.findOneAndUpdate(
+    { _id: id, status: 'pending', blockchainPollId: null },
+    { blockchainPollId, status: 'registered' },
+    { new: true }
+  );
+};
+
+// Documents stored before structured options or nanoton amounts are upgraded as they are loaded
+aiGeneratedPollSchema.pre('init', function(raw) {
+  upgradeLegacyOptions(raw);
+  this.$locals.upgradedAmounts = upgradeLegacyAmounts(raw);
+});
+
+// Remember the stored option labels to tell text edits from image or link changes
+aiGeneratedPollSchema.post('init', function() {
+  this.$locals.loadedOptionLabels = this.getOptionLabels();
+
+  // Upgraded amounts are written back with the next save, not only the fields that change
+  if (this.$locals.upgradedAmounts) {
+    ['rewardCurrency', ...AMOUNT_FIELDS, 'versions'].forEach(path => this.markModified(path));
+  }
+});
+
+aiGeneratedPollSchema.post('save', function() {
+  this.$locals.loadedOptionLabels = this.getOptionLabels();
+});
+
+// Keep each option's order in step with its position
+aiGeneratedPollSchema.pre('validate', function(next) {
+  this.options.forEach((option, index) => {
+    option.order = index;
+  });
+
+  // Crowdfunded polls open once funded, never immediately
+  if (this.fundingType === 'crowdfunded') {
+    this.isOpenImmediately = false;
+  }
+  next();
+});
+
 // Pre-save middleware to update the updatedAt field
 aiGeneratedPollSchema.pre('save', function(next) {
   this.updatedAt = new Date();
+
+  // Translations no longer match once the original text changes (option images, links etc. do not count)
+  if (!this.isNew && this.translations.size > 0 && TRANSLATED_FIELDS.some(field => this._isTextModified(field))) {
+    this.set('translations', {});
+  }
   next();
 });
 
+/**
+ * @private
+ */
+aiGeneratedPollSchema.methods._isTextModified = function(field) {
+  if (field !== 'options') {
+    return this.isModified(field);
+  }
+  const loaded = this.$locals.loadedOptionLabels;
+  return !loaded || JSON.stringify(loaded) !== JSON.stringify(this.getOptionLabels());
+};
+
+function generateOptionId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+function toPlain(value) {
+  return value && typeof value.toObject === 'function' ? value.toObject() : value;
+}
+
+/**
+ * Labels of options given as strings or option objects
+ */
+function optionLabels(options) {
+  return (options || []).map(option => (typeof option === 'string' ? option : option && option.label));
+}
+
+/**
+ * Response shape for options: legacy string labels plus the option objects
+ * @param {Array} options - Strings or option objects
+ * @returns {Object} { options, optionDetails }
+ */
+function formatOptions(options) {
+  const details = (options || []).map((option, index) => {
+    const item = typeof option === 'string' ? { label: option } : toPlain(option);
+    return {
+      id: item.id || null,
+      label: item.label,
+      description: item.description || null,
+      image: item.image ? item.image.url : null,
+      imagePrompt: item.imagePrompt || null,
+      altText: item.altText || null,
+      link: item.link || null,
+      order: index
+    };
+  });
+  return { options: details.map(item => item.label), optionDetails: details };
+}
+
+/**
+ * Setter for options: accepts strings (labels) or option objects
+ * Options keep their id, image and other details when the same id or label is set again,
+ * so edits and regenerations that send plain strings do not drop them. Image references are
+ * only kept if they already belong to this poll.
+ */
+function normalizeOptions(options, priorOptions) {
+  if (!Array.isArray(options)) {
+    return options;
+  }
+
+  const prior = (priorOptions || []).map(toPlain);
+  const knownImageKeys = typeof this.getImageKeys === 'function' ? this.getImageKeys() : [];
+
+  return options.map(option => {
+    const input = typeof option === 'string' ? { label: option } : { ...toPlain(option) };
+    const existing = prior.find(item => (input.id ? item.id === input.id : item.label === input.label));
+    if (!existing) {
+      delete input.id;
+    }
+    if (input.image && !knownImageKeys.includes(input.image.key)) {
+      delete input.image;
+    }
+    delete input.order;
+    return { ...existing, ...input };
+  });
+}
+
+/**
+ * Convert a raw document with string options to option objects
+ * @param {Object} raw - Raw MongoDB document, modified in place
+ * @returns {boolean} True if the document was changed
+ */
+function upgradeLegacyOptions(raw) {
+  const legacy = Array.isArray(raw.options) && raw.options.some(option => typeof option === 'string');
+  if (!legacy) {
+    return false;
+  }
+
+  raw.options = raw.options.map((option, index) => {
+    if (typeof option !== 'string') {
+      return option;
+    }
+    return {
+      id: generateOptionId(),
+      label: option,
+      description: null,
+      image: null,
+      imagePrompt: null,
+      altText: null,
+      link: null,
+      order: index
+    };
+  });
+  return true;
+}
+
+/**
+ * Display strings for a poll's amounts, e.g. { rewardPerResponse: "0.001 TON", ... }
+ * @param {Object} poll - Poll with rewardCurrency and amounts in smallest units
+ * @returns {Object} Formatted amounts (fields that are not valid amounts are left out)
+ */
+function formatAmounts(poll) {
+  const currency = poll.rewardCurrency || TON;
+  return AMOUNT_FIELDS.reduce((formatted, field) => {
+    if (isUnits(poll[field])) {
+      formatted[field] = formatAmount(poll[field], currency);
+    }
+    return formatted;
+  }, {});
+}
+
+/**
+ * Convert a raw document stored with decimal amounts and an EVM-style rewardToken
+ * to nanoton amounts with a TON rewardCurrency (the platform has only ever paid in TON)
+ * Version snapshots and their settings are converted the same way. Amounts that
+ * cannot be parsed are logged and left unchanged.
+ * @param {Object} raw - Raw MongoDB document, modified in place
+ * @returns {boolean} True if the document was changed
+ */
+function upgradeLegacyAmounts(raw) {
+  if (raw.rewardCurrency !== undefined) {
+    return false;
+  }
+
+  const upgrade = (item, path) => {
+    if (!item) {
+      return;
+    }
+    for (const field of AMOUNT_FIELDS) {
+      if (item[field] !== undefined && item[field] !== null) {
+        const units = legacyAmountToUnits(item[field]);
+        if (units === null) {
+          // Left for manual review rather than silently zeroed
+          console.warn(`AI poll ${raw._id}: cannot convert ${path}${field} ${JSON.stringify(item[field])} to nanotons, leaving it unchanged`);
+        } else {
+          item[field] = units;
+        }
+      }
+    }
+    if ('rewardToken' in item) {
+      delete item.rewardToken;
+      item.rewardCurrency = { ...TON };
+    }
+  };
+
+  upgrade(raw, '');
+  raw.rewardCurrency = { ...TON };
+  (raw.versions || []).forEach((version, index) => {
+    upgrade(version.snapshot, `versions.${index}.snapshot.`);
+    upgrade(version.settingsBefore, `versions.${index}.settingsBefore.`);
+    upgrade(version.settingsAfter, `versions.${index}.settingsAfter.`);
+  });
+  return true;
+}
+
+/**
+ * Convert a legacy decimal TON amount to nanotons
+ * @param {*} amount - Stored amount
+ * @returns {string|null} Nanotons, or null if the amount cannot be parsed
+ */
+function legacyAmountToUnits(amount) {
+  try {
+    // Digits beyond nanoton precision are dropped
+    return toUnits(String(amount).trim().replace(/(\.\d{9})\d+$/, '$1'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function pick(source, fields) {
+  return fields.reduce((result, field) => {
+    result[field] = source[field];
+    return result;
+  }, {});
+}
+
+/**
+ * Field-by-field differences between two snapshots
+ * Array fields (options) also report which entries were added and removed.
+ */
+function diffSnapshots(from, to) {
+  const changes = [];
+
+  for (const field of EDITABLE_FIELDS) {
+    if (JSON.stringify(from[field]) === JSON.stringify(to[field])) {
+      continue;
+    }
+
+    const change = { field, from: from[field], to: to[field] };
+    if (Array.isArray(from[field]) && Array.isArray(to[field])) {
+      const fromItems = from[field].map(item => JSON.stringify(item));
+      const toItems = to[field].map(item => JSON.stringify(item));
+      change.added = to[field].filter((item, i) => !fromItems.includes(toItems[i]));
+      change.removed = from[field].filter((item, i) => !toItems.includes(fromItems[i]));
+    }
+    changes.push(change);
+  }
+
+  return changes;
+}
+
 module.exports = mongoose.model('AiGeneratedPoll', aiGeneratedPollSchema); 
\ No newline at end of file
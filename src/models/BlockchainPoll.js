@@ -52,6 +52,7 @@ const blockchainPollSchema = new mongoose.Schema({
     required: true
   },
   
+  // False once the poll is closed; scheduled polls are active before their startTime
   isActive: {
     type: Boolean,
     default: true
@@ -64,6 +65,7 @@ const blockchainPollSchema = new mongoose.Schema({
     min: 0
   },
   
+  // Amounts in nanotons
   rewardPerVote: {
     type: Number,
     required: true,
@@ -80,6 +82,18 @@ const blockchainPollSchema = new mongoose.Schema({
     required: false
   },
   
+  // Voter reward payouts; records stored before payouts existed have no status and are never paid
+  payoutStatus: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'partial', 'none'],
+    default: 'pending'
+  },
+  
+  payoutComputedAt: {
+    type: Date,
+    required: false
+  },
+  
   // Sync status
   lastSyncedAt: {
     type: Date,
@@ -118,15 +132,38 @@ const blockchainPollSchema = new mongoose.Schema({
 // Indexes for efficient querying
 blockchainPollSchema.index({ creator: 1 });
 blockchainPollSchema.index({ isActive: 1 });
+blockchainPollSchema.index({ startTime: 1 });
 blockchainPollSchema.index({ endTime: 1 });
 blockchainPollSchema.index({ syncStatus: 1 });
 blockchainPollSchema.index({ lastSyncedAt: 1 });
+blockchainPollSchema.index({ payoutStatus: 1, endTime: 1 });
 
 // Methods
 blockchainPollSchema.methods.isExpired = function() {
   return new Date() > this.endTime;
 };
 
+/**
+ * Whether the poll takes votes at a given time
+ * @param {Date} now - Time to check
+ * @returns {string} 'scheduled' (before startTime), 'open' or 'closed'
+ */
+blockchainPollSchema.methods.getVotingStatus = function(now = new Date()) {
+  if (!this.isActive || now >= this.endTime) {
+    return 'closed';
+  }
+  return now < this.startTime ? 'scheduled' : 'open';
+};
+
+/**
+ * Whether a vote cast at a given time falls within the voting window
+ * @param {Date} time - Time of the vote transaction
+ * @returns {boolean}
+ */
+blockchainPollSchema.methods.isInVotingWindow = function(time) {
+  return time >= this.startTime && time < this.endTime;
+};
+
 blockchainPollSchema.methods.getDaysRemaining = function() {
   const now = new Date();
   const remaining = this.endTime - now;
@@ -156,9 +193,11 @@ blockchainPollSchema.methods.markSynced = function() {
 
 // Static methods
 blockchainPollSchema.statics.findActivePolls = function() {
+  const now = new Date();
   return this.find({
     isActive: true,
-    endTime: { $gt: new Date() }
+    startTime: { $lte: now },
+    endTime: { $gt: now }
   }).sort({ createdAt: -1 });
 };
 
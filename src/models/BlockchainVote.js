@@ -48,7 +48,12 @@ const blockchainVoteSchema = new mongoose.Schema({
   },
   
   blockHeight: {
-    type: Number,
+    type: Number, // Seqno of the masterchain block that includes the transaction
+    required: false
+  },
+  
+  txLt: {
+    type: String, // Logical time, stored as string to preserve precision
     required: false
   },
   
@@ -224,7 +229,7 @@ blockchainVoteSchema.methods.updateConfirmations = function(blockHeight, current
     this.blockHeight = blockHeight;
     this.confirmations = Math.max(0, currentBlockHeight - blockHeight + 1);
     
-    if (this.isConfirmed && this.status === 'pending') {
+    if (this.confirmations >= this.requiredConfirmations && this.status === 'pending') {
       this.status = 'confirmed';
       this.confirmedAt = new Date();
     }
@@ -266,8 +271,7 @@ blockchainVoteSchema.statics.findByVoter = function(voterAddress) {
 blockchainVoteSchema.statics.findPendingConfirmation = function() {
   return this.find({
     status: 'pending',
-    txHash: { $exists: true, $ne: null },
-    confirmations: { $lt: 3 }
+    txHash: { $exists: true, $ne: null }
   }).sort({ createdAt: 1 });
 };
 
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const categorySchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    immutable: true, // Polls reference categories by slug
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, digits and single dashes']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 500
+  },
+  // Other names the classifier and API accept for this category (e.g. "technology" for "tech")
+  aliases: {
+    type: [{ type: String, lowercase: true, trim: true }],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'categories'
+});
+
+categorySchema.index({ isActive: 1, sortOrder: 1 });
+
+// Static methods
+categorySchema.statics.findActive = function() {
+  return this.find({ isActive: true }).sort({ sortOrder: 1, slug: 1 });
+};
+
+/**
+ * Insert the default categories into an empty collection, and make sure the fallback exists
+ * @param {Array} defaults - Default category definitions
+ * @param {string} fallbackSlug - Category that must always exist
+ */
+categorySchema.statics.seedDefaults = async function(defaults, fallbackSlug) {
+  if (await this.estimatedDocumentCount() === 0) {
+    await this.insertMany(defaults, { ordered: false });
+    return;
+  }
+
+  const fallback = defaults.find(category => category.slug === fallbackSlug);
+  if (fallback) {
+    await this.updateOne({ slug: fallbackSlug }, { $setOnInsert: fallback }, { upsert: true });
+  }
+};
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * ChainCursor Model
+ * Logical time of the last transaction read from an account's history, so the next
+ * scan only reads newer transactions
+ */
+const chainCursorSchema = new mongoose.Schema({
+  // Cursor name (one document per scanned account and purpose)
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Logical time of the newest transaction already handled
+  lt: {
+    type: String,
+    default: '0',
+    match: /^\d+$/
+  }
+}, {
+  timestamps: true,
+  collection: 'chain_cursors'
+});
+
+// Static methods
+/**
+ * Logical time a cursor has reached
+ * @returns {Promise<string>} Logical time, '0' for a new cursor
+ */
+chainCursorSchema.statics.getLt = async function(name) {
+  const cursor = await this.findOne({ name }).lean();
+  return cursor ? cursor.lt : '0';
+};
+
+chainCursorSchema.statics.setLt = function(name, lt) {
+  return this.updateOne({ name }, { $set: { lt } }, { upsert: true });
+};
+
+module.exports = mongoose.model('ChainCursor', chainCursorSchema);
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const { isUnits } = require('../utils/currency');
+
+/**
+ * Contribution Model
+ * A transfer toward the target fund of a crowdfunded poll. Amounts are integer
+ * strings in the smallest unit of the poll's rewardCurrency (nanotons for TON).
+ */
+const contributionSchema = new mongoose.Schema({
+  aiPollId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AiGeneratedPoll',
+    required: true,
+    index: true
+  },
+  blockchainPollId: {
+    type: Number,
+    default: null
+  },
+  contributorAddress: {
+    type: String,
+    required: true,
+    index: true
+  },
+  amount: {
+    type: String,
+    required: true,
+    validate: {
+      validator: isUnits,
+      message: props => `amount must be an integer amount in the currency's smallest unit (got ${props.value})`
+    }
+  },
+  // Part of amount that is not counted toward targetFund and is owed back to the
+  // contributor: the overpayment past the target, or all of it once the poll is refundable
+  refundableAmount: {
+    type: String,
+    default: '0',
+    validate: {
+      validator: isUnits,
+      message: props => `refundableAmount must be an integer amount in the currency's smallest unit (got ${props.value})`
+    }
+  },
+  // Wallet the transfer is sent to, and the comment that ties it to this contribution
+  destination: {
+    type: String,
+    required: true
+  },
+  memo: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Blockchain transaction data
+  txHash: {
+    type: String,
+    default: null,
+    index: true
+  },
+  blockHeight: Number, // Seqno of the masterchain block that includes the transaction
+  txLt: String,
+  txTimestamp: Date,
+
+  status: {
+    type: String,
+    enum: [
+      'pending',    // Transaction built, not confirmed yet
+      'confirmed',  // Counted toward the target fund, less any refundableAmount
+      'failed',     // Transaction missing, failed or not matching the contribution
+      'refundable', // Poll missed its funding deadline, or was funded before this arrived
+      'refunded'    // Returned to the contributor
+    ],
+    default: 'pending',
+    index: true
+  },
+  confirmations: {
+    type: Number,
+    default: 0
+  },
+  requiredConfirmations: {
+    type: Number,
+    default: 3
+  },
+  confirmedAt: Date,
+  refundTxHash: String,
+  refundedAt: Date,
+
+  syncErrors: [{
+    error: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  lastSyncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'contributions'
+});
+
+contributionSchema.index({ aiPollId: 1, status: 1 });
+contributionSchema.index({ status: 1, createdAt: 1 });
+
+contributionSchema.virtual('isConfirmed').get(function() {
+  return this.confirmations >= this.requiredConfirmations && this.status === 'confirmed';
+});
+
+// Instance methods
+contributionSchema.methods.addSyncError = function(error) {
+  this.syncErrors.push({
+    error: error.toString(),
+    timestamp: new Date()
+  });
+
+  // Keep only last 5 errors
+  if (this.syncErrors.length > 5) {
+    this.syncErrors = this.syncErrors.slice(-5);
+  }
+};
+
+contributionSchema.methods.updateConfirmations = function(blockHeight, currentBlockHeight) {
+  if (blockHeight && currentBlockHeight) {
+    this.blockHeight = blockHeight;
+    this.confirmations = Math.max(0, currentBlockHeight - blockHeight + 1);
+
+    if (this.confirmations >= this.requiredConfirmations && this.status === 'pending') {
+      this.status = 'confirmed';
+      this.confirmedAt = new Date();
+    }
+  }
+  this.lastSyncedAt = new Date();
+};
+
+contributionSchema.methods.markFailed = function(error) {
+  this.status = 'failed';
+  this.addSyncError(error);
+  this.lastSyncedAt = new Date();
+};
+
+contributionSchema.methods.markRefunded = function(refundTxHash) {
+  this.refundTxHash = refundTxHash;
+  this.refundedAt = new Date();
+  this.status = 'refunded';
+};
+
+// Static methods
+contributionSchema.statics.findByPoll = function(aiPollId) {
+  return this.find({ aiPollId }).sort({ createdAt: -1 });
+};
+
+contributionSchema.statics.findPendingConfirmation = function() {
+  return this.find({
+    status: 'pending',
+    txHash: { $ne: null }
+  }).sort({ createdAt: 1 });
+};
+
+/**
+ * Total of a poll's confirmed contributions, without their refundable excess
+ * Amounts are strings, so they are summed as bigints here rather than in an aggregation.
+ * @param {ObjectId} aiPollId - AI poll ID
+ * @param {Object} options - { exclude } - contribution ID to leave out
+ * @returns {Promise<Object>} { raised: bigint, contributors: number }
+ */
+contributionSchema.statics.getRaised = async function(aiPollId, { exclude = null } = {}) {
+  const query = { aiPollId, status: 'confirmed' };
+  if (exclude) {
+    query._id = { $ne: exclude };
+  }
+
+  const contributions = await this.find(query, { amount: 1, refundableAmount: 1, contributorAddress: 1 }).lean();
+  return {
+    raised: contributions.reduce(
+      (sum, contribution) => sum + BigInt(contribution.amount) - BigInt(contribution.refundableAmount || '0'),
+      0n
+    ),
+    contributors: new Set(contributions.map(contribution => contribution.contributorAddress)).size
+  };
+};
+
+/**
+ * Total of a poll's pending contributions that may still arrive
+ * Ones without a transaction hash stop counting once they are older than `since`;
+ * the sync service fails the others once their transfer is overdue.
+ * @param {ObjectId} aiPollId - AI poll ID
+ * @param {Date} since - Creation time before which unsent contributions are ignored
+ * @returns {Promise<bigint>} Reserved amount
+ */
+contributionSchema.statics.getReserved = async function(aiPollId, since) {
+  const contributions = await this.find({
+    aiPollId,
+    status: 'pending',
+    $or: [{ txHash: { $ne: null } }, { createdAt: { $gte: since } }]
+  }, { amount: 1 }).lean();
+  return contributions.reduce((sum, contribution) => sum + BigInt(contribution.amount), 0n);
+};
+
+module.exports = mongoose.model('Contribution', contributionSchema);
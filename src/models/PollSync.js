@@ -64,6 +64,17 @@ const pollSyncSchema = new mongoose.Schema({
     required: false
   },
   
+  // Operator wallet registration (sponsored polls)
+  operatorSeqno: {
+    type: Number, // Wallet seqno used by the registration message
+    required: false
+  },
+  
+  registrationTransferHash: {
+    type: String, // Hash of the signed wallet transfer that carried CreatePoll (hex)
+    required: false
+  },
+  
   // Timing
   lastAttemptAt: {
     type: Date,
@@ -262,6 +273,12 @@ pollSyncSchema.statics.findPendingRegistration = function() {
   }).populate('aiPollId').sort({ createdAt: 1 });
 };
 
+pollSyncSchema.statics.findRegistering = function() {
+  return this.find({
+    syncStatus: 'registering'
+  }).populate('aiPollId').sort({ lastAttemptAt: 1 });
+};
+
 pollSyncSchema.statics.findPendingSync = function() {
   return this.find({
     syncStatus: { $in: ['registered', 'syncing'] },
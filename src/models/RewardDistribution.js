@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const { Address } = require('@ton/core');
+const { isUnits } = require('../utils/currency');
+
+const unitsValidator = {
+  validator: isUnits,
+  message: props => `${props.path} must be an integer amount in nanotons (got ${props.value})`
+};
+
+// One voter's reward in the Merkle tree
+const rewardEntrySchema = new mongoose.Schema({
+  voteId: {
+    type: String,
+    required: true
+  },
+  voterAddress: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: String,
+    required: true,
+    validate: unitsValidator
+  },
+  claimTxHash: {
+    type: String,
+    default: null
+  },
+  claimedAt: Date
+}, { _id: false });
+
+/**
+ * RewardDistribution Model
+ * Claimable rewards of a closed poll (PAYOUT_MODE=claim). The entries form a Merkle
+ * tree (see utils/rewardTree); the operator wallet publishes its root, with the
+ * rewards, to the reward distributor, and voters claim with a proof of their entry.
+ * Amounts are nanotons: claims are only used for TON polls.
+ */
+const rewardDistributionSchema = new mongoose.Schema({
+  blockchainPollId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  root: {
+    type: String,
+    required: true,
+    match: /^[0-9a-f]{64}$/
+  },
+  total: {
+    type: String,
+    required: true,
+    validate: unitsValidator
+  },
+  entries: {
+    type: [rewardEntrySchema],
+    default: []
+  },
+
+  status: {
+    type: String,
+    enum: [
+      'pending',   // Root waiting to be published (or republished)
+      'sent',      // In a transfer, not found among the operator wallet's sent messages yet
+      'published', // Root and rewards are on the distributor; voters can claim
+      'failed'     // Gave up after maxAttempts
+    ],
+    default: 'pending',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  // Operator wallet transfer that published the root
+  txHash: {
+    type: String,
+    default: null
+  },
+  seqno: {
+    type: Number,
+    default: null
+  },
+  // Body hash of the set_reward_root message
+  messageHash: {
+    type: String,
+    default: null
+  },
+  sentAt: Date,
+  publishedAt: Date
+}, {
+  timestamps: true,
+  collection: 'reward_distributions'
+});
+
+rewardDistributionSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Methods
+rewardDistributionSchema.methods.getEntry = function(voterAddress) {
+  const address = Address.parse(voterAddress);
+  return this.entries.find(entry => Address.parse(entry.voterAddress).equals(address)) || null;
+};
+
+rewardDistributionSchema.methods.isFullyClaimed = function() {
+  return this.entries.every(entry => entry.claimedAt);
+};
+
+// Static methods
+rewardDistributionSchema.statics.findDue = function() {
+  return this.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: new Date() }
+  }).sort({ nextAttemptAt: 1 });
+};
+
+rewardDistributionSchema.statics.findSent = function() {
+  return this.find({ status: 'sent' }).sort({ sentAt: 1 });
+};
+
+module.exports = mongoose.model('RewardDistribution', rewardDistributionSchema);
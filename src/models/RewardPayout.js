@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const { isUnits } = require('../utils/currency');
+
+// Reward currency of the poll when the payout was computed
+const payoutCurrencySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['ton', 'jetton'],
+    default: 'ton'
+  },
+  symbol: String,
+  decimals: Number,
+  masterAddress: String
+}, { _id: false });
+
+/**
+ * RewardPayout Model
+ * One voter reward of a closed poll, paid from the operator wallet.
+ * Payouts are sent in batches; each batch is one operator wallet transfer, so
+ * all payouts of a batch share its seqno and external message hash. Each payout's
+ * own message carries a comment naming the payout and is confirmed by its body hash.
+ */
+const rewardPayoutSchema = new mongoose.Schema({
+  blockchainPollId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  voteId: {
+    type: String,
+    required: true
+  },
+  voterAddress: {
+    type: String,
+    required: true
+  },
+  // Smallest unit of currency (nanotons for TON)
+  amount: {
+    type: String,
+    required: true,
+    validate: {
+      validator: isUnits,
+      message: props => `amount must be an integer amount in the currency's smallest unit (got ${props.value})`
+    }
+  },
+  currency: {
+    type: payoutCurrencySchema,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: [
+      'pending', // Waiting to be sent (or retried)
+      'sent',    // In a transfer, not found among the operator wallet's sent messages yet
+      'paid',    // Sent by the operator wallet
+      'failed'   // Gave up after maxAttempts; retried only on request
+    ],
+    default: 'pending',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  // Operator wallet transfer
+  txHash: {
+    type: String,
+    default: null
+  },
+  seqno: {
+    type: Number,
+    default: null
+  },
+  // Body hash of the payout's own message in the transfer
+  messageHash: {
+    type: String,
+    default: null
+  },
+  sentAt: Date,
+  paidAt: Date
+}, {
+  timestamps: true,
+  collection: 'reward_payouts'
+});
+
+rewardPayoutSchema.index({ blockchainPollId: 1, voteId: 1 }, { unique: true });
+rewardPayoutSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Static methods
+rewardPayoutSchema.statics.findDue = function(limit) {
+  return this.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: new Date() }
+  }).sort({ nextAttemptAt: 1, createdAt: 1 }).limit(limit);
+};
+
+rewardPayoutSchema.statics.findSent = function() {
+  return this.find({ status: 'sent' }).sort({ sentAt: 1 });
+};
+
+/**
+ * Payout totals of a poll
+ * @param {number} blockchainPollId - Blockchain poll ID
+ * @returns {Promise<Object>} { counts: { pending, sent, paid, failed }, total, paid } - amounts as bigints
+ */
+rewardPayoutSchema.statics.getSummary = async function(blockchainPollId) {
+  const payouts = await this.find({ blockchainPollId }, { amount: 1, status: 1 }).lean();
+  const counts = { pending: 0, sent: 0, paid: 0, failed: 0 };
+  let total = 0n;
+  let paid = 0n;
+  for (const payout of payouts) {
+    counts[payout.status]++;
+    total += BigInt(payout.amount);
+    if (payout.status === 'paid') {
+      paid += BigInt(payout.amount);
+    }
+  }
+  return { counts, total, paid };
+};
+
+module.exports = mongoose.model('RewardPayout', rewardPayoutSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * SyncLease Model
+ * Time-bound lease used to elect a single instance to run background sync tasks
+ */
+const syncLeaseSchema = new mongoose.Schema({
+  // Lease name (one document per leased job)
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Instance currently holding the lease
+  holderId: {
+    type: String,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  acquiredAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  renewedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'sync_leases'
+});
+
+// Static methods
+/**
+ * Acquire or renew a lease
+ * Succeeds when the lease is free, expired, or already held by this instance.
+ * @returns {Promise<Object|null>} The lease document, or null if another instance holds it
+ */
+syncLeaseSchema.statics.tryAcquire = async function(name, holderId, ttlMs) {
+  const now = new Date();
+
+  try {
+    const current = await this.findOne({ name });
+    const isRenewal = current && current.holderId === holderId;
+
+    return await this.findOneAndUpdate(
+      {
+        name,
+        $or: [
+          { holderId },
+          { expiresAt: { $lte: now } }
+        ]
+      },
+      {
+        $set: {
+          holderId,
+          expiresAt: new Date(now.getTime() + ttlMs),
+          renewedAt: now,
+          ...(isRenewal ? {} : { acquiredAt: now })
+        }
+      },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Duplicate key on upsert: the lease exists and is held by someone else
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+syncLeaseSchema.statics.release = function(name, holderId) {
+  return this.deleteOne({ name, holderId });
+};
+
+module.exports = mongoose.model('SyncLease', syncLeaseSchema);
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+
+/**
+ * @route POST /api/auth/ton-proof/payload
+ * @desc Issue a payload for the wallet to sign with ton_proof
+ * @access Public
+ */
+router.post('/ton-proof/payload', authController.generatePayload);
+
+/**
+ * @route POST /api/auth/ton-proof/verify
+ * @desc Verify a signed ton_proof and issue a session token
+ * @access Public
+ */
+router.post('/ton-proof/verify', authController.verifyProof);
+
+module.exports = router;
@@ -1,11 +1,13 @@
 const express = require('express');
 const blockchainController = require('../controllers/blockchainController');
+const { requireWalletAuth } = require('../middleware/walletAuth');
 
 const router = express.Router();
 
 /**
  * Blockchain Routes
  * All routes for TON blockchain integration
+ * Routes acting for a wallet require a TON Connect session token
  */
 
 // Service management routes
@@ -15,13 +17,14 @@ router.get('/sync-status', blockchainController.getSyncStatus);
 router.post('/sync', blockchainController.triggerSync);
 
 // Poll routes (blockchain-first approach)
-router.post('/polls/store-metadata', blockchainController.storePollMetadata);
+router.post('/polls/store-metadata', requireWalletAuth, blockchainController.storePollMetadata);
+router.post('/polls/sponsor', requireWalletAuth, blockchainController.requestSponsoredRegistration);
 router.get('/polls/active', blockchainController.getActivePolls);
 router.get('/polls/:pollId', blockchainController.getBlockchainPoll);
 router.get('/polls/:pollId/results', blockchainController.getPollResults);
 
 // Voting routes
-router.post('/votes/create-transaction', blockchainController.createVoteTransaction);
-router.post('/votes/confirm', blockchainController.confirmVote);
+router.post('/votes/create-transaction', requireWalletAuth, blockchainController.createVoteTransaction);
+router.post('/votes/confirm', requireWalletAuth, blockchainController.confirmVote);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+const { requireWalletAuth, requireAdmin } = require('../middleware/walletAuth');
+
+/**
+ * @route GET /api/categories
+ * @desc List active categories (?includeInactive=true for all)
+ * @access Public
+ */
+router.get('/', categoryController.listCategories);
+
+/**
+ * @route GET /api/categories/:slug
+ * @desc Get a category by slug, name or alias
+ * @access Public
+ */
+router.get('/:slug', categoryController.getCategory);
+
+/**
+ * @route POST /api/categories
+ * @desc Create a category
+ * @access Admin wallet
+ */
+router.post('/', requireWalletAuth, requireAdmin, categoryController.createCategory);
+
+/**
+ * @route PATCH /api/categories/:slug
+ * @desc Update a category's name, description, aliases, status or sort order
+ * @access Admin wallet
+ */
+router.patch('/:slug', requireWalletAuth, requireAdmin, categoryController.updateCategory);
+
+/**
+ * @route DELETE /api/categories/:slug
+ * @desc Delete a category (?reassignTo=<slug> moves polls that use it)
+ * @access Admin wallet
+ */
+router.delete('/:slug', requireWalletAuth, requireAdmin, categoryController.deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const contributionController = require('../controllers/contributionController');
+const { requireWalletAuth } = require('../middleware/walletAuth');
+
+/**
+ * @route POST /api/contributions/create-transaction
+ * @desc Create a contribution to a crowdfunded poll and the transfer payload to sign
+ * @access Authenticated wallet
+ */
+router.post('/create-transaction', requireWalletAuth, contributionController.createContributionTransaction);
+
+/**
+ * @route POST /api/contributions/confirm
+ * @desc Record the transaction hash of a sent contribution
+ * @access Authenticated wallet
+ */
+router.post('/confirm', requireWalletAuth, contributionController.confirmContribution);
+
+/**
+ * @route GET /api/contributions/polls/:pollId
+ * @desc Get an AI poll's funding progress and contributions
+ * @access Public
+ */
+router.get('/polls/:pollId', contributionController.getPollContributions);
+
+/**
+ * @route GET /api/contributions/:contributionId
+ * @desc Get a contribution's status
+ * @access Public
+ */
+router.get('/:contributionId', contributionController.getContribution);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const fundingController = require('../controllers/fundingController');
+
+/**
+ * @route POST /api/funding/quote
+ * @desc Quote target fund, per-response reward, platform fee and gas reserve for a poll
+ * @access Public
+ */
+router.post('/quote', fundingController.getQuote);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const payoutController = require('../controllers/payoutController');
+const { requireWalletAuth, requireAdmin } = require('../middleware/walletAuth');
+
+/**
+ * @route GET /api/payouts/polls/:pollId
+ * @desc Get a blockchain poll's reward payout status and payouts
+ * @access Public
+ */
+router.get('/polls/:pollId', payoutController.getPollPayouts);
+
+/**
+ * @route POST /api/payouts/polls/:pollId/retry
+ * @desc Queue a poll's failed reward payouts to be sent again
+ * @access Admin wallet
+ */
+router.post('/polls/:pollId/retry', requireWalletAuth, requireAdmin, payoutController.retryPollPayouts);
+
+module.exports = router;
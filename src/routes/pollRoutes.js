@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const pollController = require('../controllers/pollController');
+const config = require('../config/config');
+const { requireWalletAuth, optionalWalletAuth } = require('../middleware/walletAuth');
 
 /**
  * @route POST /api/poll-options
@@ -12,15 +14,111 @@ router.post('/poll-options', pollController.generateOptions);
 /**
  * @route POST /api/poll-ai
  * @desc Generate a poll preview using AI based on a user prompt
- * @access Public
+ * @access Public (saved as a draft for an authenticated wallet)
+ */
+router.post('/poll-ai', optionalWalletAuth, pollController.generateAIPollPreview);
+
+/**
+ * @route POST /api/poll-ai/stream
+ * @desc Generate a poll preview, streaming each stage over Server-Sent Events
+ * @access Public (saved as a draft for an authenticated wallet)
  */
-router.post('/poll-ai', pollController.generateAIPollPreview);
+router.post('/poll-ai/stream', optionalWalletAuth, pollController.streamAIPollPreview);
+
+/**
+ * @route GET /api/poll-ai/stream
+ * @desc Same as POST /api/poll-ai/stream, for EventSource clients (?prompt=...&language=...)
+ * @access Public (saved as a draft for a wallet authenticated by Bearer header or ?access_token=)
+ */
+router.get('/poll-ai/stream', optionalWalletAuth, pollController.streamAIPollPreview);
 
 /**
  * @route POST /api/poll-ai-regen
  * @desc Regenerate an AI-generated poll based on user feedback
+ * @access Public (draft creator to regenerate a saved draft)
+ */
+router.post('/poll-ai-regen', optionalWalletAuth, pollController.handleAIRegeneratePollAction);
+
+/**
+ * @route GET /api/poll-ai/drafts/:draftId
+ * @desc Get a saved AI poll draft
+ * @access Draft creator
+ */
+router.get('/poll-ai/drafts/:draftId', requireWalletAuth, pollController.getDraft);
+
+/**
+ * @route PATCH /api/poll-ai/drafts/:draftId
+ * @desc Update editable fields of an AI poll draft
+ * @access Draft creator
+ */
+router.patch('/poll-ai/drafts/:draftId', requireWalletAuth, pollController.updateDraft);
+
+/**
+ * @route DELETE /api/poll-ai/drafts/:draftId
+ * @desc Delete an AI poll draft that has not been registered
+ * @access Draft creator
+ */
+router.delete('/poll-ai/drafts/:draftId', requireWalletAuth, pollController.deleteDraft);
+
+/**
+ * @route GET /api/poll-ai/drafts/:draftId/versions
+ * @desc List the generation/regeneration history of a draft
+ * @access Draft creator
+ */
+router.get('/poll-ai/drafts/:draftId/versions', requireWalletAuth, pollController.listDraftVersions);
+
+/**
+ * @route GET /api/poll-ai/drafts/:draftId/versions/diff
+ * @desc Diff two draft versions field by field (?from=1&to=2)
+ * @access Draft creator
+ */
+router.get('/poll-ai/drafts/:draftId/versions/diff', requireWalletAuth, pollController.diffDraftVersions);
+
+/**
+ * @route POST /api/poll-ai/drafts/:draftId/versions/:version/revert
+ * @desc Revert a draft to an earlier version
+ * @access Draft creator
+ */
+router.post('/poll-ai/drafts/:draftId/versions/:version/revert', requireWalletAuth, pollController.revertDraftVersion);
+
+/**
+ * @route PUT /api/poll-ai/drafts/:draftId/options/:index/image
+ * @desc Upload the image of a gallery poll option (raw image/* body)
+ * @access Draft creator
+ */
+router.put(
+  '/poll-ai/drafts/:draftId/options/:index/image',
+  requireWalletAuth,
+  express.raw({ type: 'image/*', limit: config.images.maxBytes }),
+  pollController.uploadOptionImage
+);
+
+/**
+ * @route DELETE /api/poll-ai/drafts/:draftId/options/:index/image
+ * @desc Remove the image of a gallery poll option
+ * @access Draft creator
+ */
+router.delete('/poll-ai/drafts/:draftId/options/:index/image', requireWalletAuth, pollController.deleteOptionImage);
+
+/**
+ * @route GET /api/images/:key
+ * @desc Serve an uploaded option image
+ * @access Public
+ */
+router.get('/images/:key', pollController.getImage);
+
+/**
+ * @route POST /api/poll-ai/:pollId/translations
+ * @desc Translate an AI poll into additional locales ({ languages: ['ru', 'es'] })
+ * @access Poll creator
+ */
+router.post('/poll-ai/:pollId/translations', requireWalletAuth, pollController.translatePoll);
+
+/**
+ * @route GET /api/poll-ai/:pollId/translations
+ * @desc Get an AI poll's translations, or its text in one language (?language=ru)
  * @access Public
  */
-router.post('/poll-ai-regen', pollController.handleAIRegeneratePollAction);
+router.get('/poll-ai/:pollId/translations', pollController.getTranslations);
 
 module.exports = router;
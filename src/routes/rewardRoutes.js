@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const rewardController = require('../controllers/rewardController');
+
+/**
+ * @route GET /api/rewards/:pollId
+ * @desc Get a blockchain poll's reward Merkle root, its publication and the claims
+ * @access Public
+ */
+router.get('/:pollId', rewardController.getPollRewards);
+
+/**
+ * @route GET /api/rewards/:pollId/proof/:address
+ * @desc Get a voter's reward, Merkle proof and claim transaction
+ * @access Public
+ */
+router.get('/:pollId/proof/:address', rewardController.getRewardProof);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const simpleBlockchainController = require('../controllers/simpleBlockchainController');
+const { requireWalletAuth } = require('../middleware/walletAuth');
 
 const router = express.Router();
 
@@ -7,6 +8,7 @@ const router = express.Router();
  * Simple Blockchain Routes
  * Routes for the new simplified TON contract
  * Contract only stores: poll creator, poll ID, and vote results
+ * Routes acting for a wallet require a TON Connect session token
  */
 
 // Service management routes
@@ -15,8 +17,8 @@ router.get('/status', simpleBlockchainController.getContractStatus);
 router.get('/stats', simpleBlockchainController.getContractStats);
 
 // Poll creation routes (blockchain-first)
-router.post('/polls/create-transaction', simpleBlockchainController.createPollTransaction);
-router.post('/polls/store-metadata', simpleBlockchainController.storePollMetadata);
+router.post('/polls/create-transaction', requireWalletAuth, simpleBlockchainController.createPollTransaction);
+router.post('/polls/store-metadata', requireWalletAuth, simpleBlockchainController.storePollMetadata);
 
 // Poll data routes
 router.get('/polls/active', simpleBlockchainController.getActivePolls);
@@ -24,7 +26,7 @@ router.get('/polls/:pollId', simpleBlockchainController.getPoll);
 router.get('/polls/:pollId/results', simpleBlockchainController.getPollResults);
 
 // Voting routes
-router.post('/votes/create-transaction', simpleBlockchainController.createVoteTransaction);
-router.post('/votes/confirm', simpleBlockchainController.confirmVote);
+router.post('/votes/create-transaction', requireWalletAuth, simpleBlockchainController.createVoteTransaction);
+router.post('/votes/confirm', requireWalletAuth, simpleBlockchainController.confirmVote);
 
 module.exports = router;
\ No newline at end of file
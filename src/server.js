@@ -1,12 +1,68 @@
 const app = require('./app');
 const config = require('./config/config');
-const { connectDB } = require('./config/database');
+const { connectDB, disconnectDB } = require('./config/database');
+const syncService = require('./services/blockchainSyncService');
+const tonProofService = require('./services/tonProofService');
+const categoryService = require('./services/categoryService');
+const structuredPollOptions = require('./migrations/structuredPollOptions');
+const nanotonAmounts = require('./migrations/nanotonAmounts');
 
-// Connect to MongoDB
-connectDB();
+let server = null;
 
-// Start the server
-const PORT = config.port;
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on port ${PORT}`);
+const startServer = async () => {
+  // Refuse to start without the wallet authentication secrets
+  tonProofService.checkConfig();
+
+  // Connect to MongoDB
+  await connectDB();
+
+  // Seed and load the poll category taxonomy
+  await categoryService.start();
+
+  // Upgrade AI polls stored with plain string options
+  await structuredPollOptions.up();
+
+  // Convert AI poll amounts stored as decimal strings to nanotons
+  await nanotonAmounts.up();
+
+  // Start the server
+  const PORT = config.port;
+  server = app.listen(PORT, '0.0.0.0', () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+
+  // Start background blockchain sync (only the lease holder runs the tasks)
+  if (config.sync.enabled) {
+    await syncService.start();
+  } else {
+    console.log('Blockchain sync service disabled by configuration');
+  }
+};
+
+// Graceful shutdown
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down gracefully`);
+
+  try {
+    await syncService.stop();
+    categoryService.stop();
+
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+    }
+
+    await disconnectDB();
+  } catch (error) {
+    console.error('Error during shutdown:', error);
+  } finally {
+    process.exit(0);
+  }
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+startServer().catch((error) => {
+  console.error('Failed to start server:', error);
+  process.exit(1);
 });
@@ -1,23 +1,45 @@
+const os = require('os');
+const crypto = require('crypto');
 const cron = require('node-cron');
-const tonService = require('./tonService');
+const { Address } = require('@ton/core');
+const { getChainAdapter } = require('./chainAdapter');
+const operatorWallet = require('./operatorWalletService');
+const contributionService = require('./contributionService');
+const payoutService = require('./payoutService');
+const rewardClaimService = require('./rewardClaimService');
 const config = require('../config/config');
+const { resolveSchedule } = require('../utils/pollSchedule');
 const AiGeneratedPoll = require('../models/AiGeneratedPoll');
 const BlockchainPoll = require('../models/BlockchainPoll');
 const PollSync = require('../models/PollSync');
 const BlockchainVote = require('../models/BlockchainVote');
+const Contribution = require('../models/Contribution');
+const SyncLease = require('../models/SyncLease');
+
+const LEASE_NAME = 'blockchain-sync';
 
 /**
  * Blockchain Synchronization Service
  * Handles automatic synchronization between TON blockchain and MongoDB
+ * Every instance schedules the cron tasks, but only the holder of the
+ * MongoDB sync lease runs them.
  */
 class BlockchainSyncService {
   constructor() {
     this.isRunning = false;
     this.syncTasks = [];
     this.lastSyncTime = null;
+    this.instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    this.isLeader = false;
+    this.leaseTimer = null;
+    // Cycle in progress, awaited by stop()
+    this.currentCycle = null;
+    this.isStopping = false;
     this.syncStats = {
       pollsProcessed: 0,
       votesProcessed: 0,
+      contributionsProcessed: 0,
+      payoutsProcessed: 0,
       errors: 0,
       lastRun: null
     };
@@ -26,51 +48,152 @@ class BlockchainSyncService {
   /**
    * Start the synchronization service
    */
-  start() {
-    console.log('Starting Blockchain Sync Service...');
+  async start() {
+    if (this.syncTasks.length > 0) {
+      console.log('Blockchain sync service already started');
+      return;
+    }
+
+    console.log(`Starting Blockchain Sync Service (instance ${this.instanceId})...`);
+    this.isStopping = false;
     
     // Schedule sync tasks based on configuration
     const intervalMinutes = config.sync.intervalMinutes;
     const cronExpression = `*/${intervalMinutes} * * * *`;
     
     // Main sync task
-    const syncTask = cron.schedule(cronExpression, async () => {
-      if (!this.isRunning) {
+    const syncTask = cron.createTask(cronExpression, async () => {
+      if (this.isLeader) {
         await this.runFullSync();
       }
-    }, {
-      scheduled: false
     });
 
-    // Vote confirmation task (runs more frequently)
-    const voteConfirmTask = cron.schedule('*/2 * * * *', async () => {
-      if (!this.isRunning) {
-        await this.syncVoteConfirmations();
+    // Vote and contribution confirmation task (runs more frequently)
+    const voteConfirmTask = cron.createTask('*/2 * * * *', async () => {
+      if (this.isLeader) {
+        await this.runConfirmationSync();
       }
-    }, {
-      scheduled: false
     });
 
     this.syncTasks = [syncTask, voteConfirmTask];
     
     // Start all tasks
     this.syncTasks.forEach(task => task.start());
+
+    // Acquire the lease now and keep renewing it well within its TTL
+    await this.renewLeadership();
+    const renewIntervalMs = (config.sync.leaseTtlSeconds * 1000) / 3;
+    this.leaseTimer = setInterval(() => this.renewLeadership(), renewIntervalMs);
+    this.leaseTimer.unref();
     
     console.log(`Blockchain sync service started with ${intervalMinutes} minute intervals`);
   }
 
   /**
-   * Stop the synchronization service
+   * Stop the synchronization service and release the sync lease
+   * A cycle in progress stops after its current step and is awaited first, so the
+   * records of transfers it sent are saved before another instance takes over.
    */
-  stop() {
+  async stop() {
     console.log('Stopping Blockchain Sync Service...');
+    this.isStopping = true;
     this.syncTasks.forEach(task => task.stop());
     this.syncTasks = [];
+
+    if (this.leaseTimer) {
+      clearInterval(this.leaseTimer);
+      this.leaseTimer = null;
+    }
+
+    if (this.currentCycle) {
+      console.log('Waiting for the running sync cycle to finish...');
+      await this.currentCycle;
+    }
+
+    if (this.isLeader) {
+      try {
+        await SyncLease.release(LEASE_NAME, this.instanceId);
+      } catch (error) {
+        console.error('Error releasing sync lease:', error);
+      }
+      this.isLeader = false;
+    }
+
     console.log('Blockchain sync service stopped');
   }
 
+  /**
+   * Acquire or renew the sync lease
+   * @returns {Promise<boolean>} Whether this instance is the leader
+   */
+  async renewLeadership() {
+    const wasLeader = this.isLeader;
+
+    try {
+      const lease = await SyncLease.tryAcquire(
+        LEASE_NAME,
+        this.instanceId,
+        config.sync.leaseTtlSeconds * 1000
+      );
+      this.isLeader = !!lease;
+    } catch (error) {
+      console.error('Error renewing sync lease:', error);
+      this.isLeader = false;
+    }
+
+    if (this.isLeader !== wasLeader) {
+      console.log(this.isLeader
+        ? `Instance ${this.instanceId} acquired the sync lease`
+        : `Instance ${this.instanceId} is not the sync leader`);
+    }
+
+    return this.isLeader;
+  }
+
+  /**
+   * Confirm this instance still holds the sync lease before a step writes
+   * Renewing also extends the lease, so a long cycle cannot outlive it unnoticed.
+   * @throws {Error} If the lease expired and another instance may have taken over, or the
+   *   service is stopping
+   * @private
+   */
+  async _checkLease() {
+    if (this.isStopping) {
+      throw new Error('Sync service is stopping');
+    }
+    if (!(await this.renewLeadership())) {
+      throw new Error(`Instance ${this.instanceId} lost the sync lease`);
+    }
+  }
+
+  /**
+   * Run the vote and contribution confirmation checks
+   * Shares the running guard with runFullSync, so the two never overlap.
+   */
+  async runConfirmationSync() {
+    if (this.isRunning) {
+      console.log('Sync already running, skipping confirmations...');
+      return;
+    }
+
+    await this._runCycle(async () => {
+      try {
+        await this._checkLease();
+        await this.syncVoteConfirmations();
+
+        await this._checkLease();
+        await this.syncContributionConfirmations();
+      } catch (error) {
+        console.error('Error during confirmation sync:', error);
+        this.syncStats.errors++;
+      }
+    });
+  }
+
   /**
    * Run a full synchronization cycle
+   * The lease is checked again before every step, and the cycle stops once it is lost
+   * or the service is stopping.
    */
   async runFullSync() {
     if (this.isRunning) {
@@ -78,83 +201,123 @@ class BlockchainSyncService {
       return;
     }
 
-    this.isRunning = true;
-    const startTime = Date.now();
+    await this._runCycle(async () => {
+      const startTime = Date.now();
     
-    try {
-      console.log('Starting full blockchain synchronization...');
+      try {
+        console.log('Starting full blockchain synchronization...');
       
-      // Initialize stats for this run
-      const runStats = {
-        pollsProcessed: 0,
-        votesProcessed: 0,
-        errors: 0
-      };
-
-      // 1. Process pending poll registrations
-      await this.processPendingRegistrations(runStats);
-      
-      // 2. Sync blockchain polls to database
-      await this.syncBlockchainPolls(runStats);
-      
-      // 3. Sync vote confirmations
-      await this.syncVoteConfirmations(runStats);
-      
-      // 4. Update poll statuses
-      await this.updatePollStatuses(runStats);
-
-      // Update overall stats
-      this.syncStats.pollsProcessed += runStats.pollsProcessed;
-      this.syncStats.votesProcessed += runStats.votesProcessed;
-      this.syncStats.errors += runStats.errors;
-      this.syncStats.lastRun = new Date();
-      this.lastSyncTime = Date.now();
+        // Initialize stats for this run
+        const runStats = {
+          pollsProcessed: 0,
+          votesProcessed: 0,
+          contributionsProcessed: 0,
+          payoutsProcessed: 0,
+          errors: 0
+        };
+
+        const steps = [
+          // 1. Process pending poll registrations
+          this.processPendingRegistrations,
+          // 2. Confirm submitted registrations and sync registered polls
+          this.confirmRegistrations,
+          this.syncRegisteredPolls,
+          // 3. Sync blockchain polls to database
+          this.syncBlockchainPolls,
+          // 4. Sync vote and contribution confirmations
+          this.syncVoteConfirmations,
+          this.syncContributionConfirmations,
+          // 5. Update poll statuses and crowdfunding deadlines
+          this.updatePollStatuses,
+          this.updateFundingStatuses,
+          // 6. Pay voter rewards of closed polls
+          this.processRewardPayouts
+        ];
+
+        for (const step of steps) {
+          if (this.isStopping) {
+            console.log('Sync service stopping, ending the cycle early');
+            return;
+          }
+          await this._checkLease();
+          await step.call(this, runStats);
+        }
 
-      const duration = Date.now() - startTime;
-      console.log(`Full sync completed in ${duration}ms:`, runStats);
+        // Update overall stats
+        this.syncStats.pollsProcessed += runStats.pollsProcessed;
+        this.syncStats.votesProcessed += runStats.votesProcessed;
+        this.syncStats.contributionsProcessed += runStats.contributionsProcessed;
+        this.syncStats.payoutsProcessed += runStats.payoutsProcessed;
+        this.syncStats.errors += runStats.errors;
+        this.syncStats.lastRun = new Date();
+        this.lastSyncTime = Date.now();
+
+        const duration = Date.now() - startTime;
+        console.log(`Full sync completed in ${duration}ms:`, runStats);
+
+      } catch (error) {
+        console.error('Error during full sync:', error);
+        this.syncStats.errors++;
+      }
+    });
+  }
 
-    } catch (error) {
-      console.error('Error during full sync:', error);
-      this.syncStats.errors++;
+  /**
+   * Run a cycle under the running guard, keeping its promise for stop()
+   * @param {Function} cycle - Async function that runs the cycle's steps
+   * @private
+   */
+  async _runCycle(cycle) {
+    this.isRunning = true;
+    this.currentCycle = cycle();
+    try {
+      await this.currentCycle;
     } finally {
       this.isRunning = false;
+      this.currentCycle = null;
     }
   }
 
   /**
    * Process pending poll registrations
+   * Sends a CreatePoll message from the operator wallet for each pending poll
+   * (pending → registering). Each send waits for the previous transfer, so every
+   * message is signed with its own seqno.
    */
   async processPendingRegistrations(stats) {
     try {
       const pendingRegistrations = await PollSync.findPendingRegistration();
       console.log(`Processing ${pendingRegistrations.length} pending registrations`);
 
+      if (pendingRegistrations.length > 0 && !operatorWallet.isInitialized) {
+        console.log('Operator wallet not initialized, skipping registrations');
+        return;
+      }
+
       for (const pollSync of pendingRegistrations) {
         try {
-          // Check if we should retry this registration
-          if (!pollSync.canRetry) {
+          // Failed registrations wait for their retry backoff
+          if (pollSync.syncStatus === 'failed' && !pollSync.canRetry) {
             continue;
           }
 
           const aiPoll = pollSync.aiPollId;
           if (!aiPoll) {
             pollSync.addError('validation', 'AI poll not found');
+            pollSync.syncStatus = 'cancelled';
             await pollSync.save();
             continue;
           }
 
           console.log(`Processing registration for AI poll: ${aiPoll._id}`);
 
-          // Increment attempt counter
-          pollSync.incrementAttempt();
-          await pollSync.save();
+          await this._submitRegistration(pollSync, aiPoll);
           
           stats.pollsProcessed++;
 
         } catch (error) {
           console.error(`Error processing registration for poll ${pollSync._id}:`, error);
-          pollSync.addError('registration', error.message);
-          await pollSync.save();
+          await this._failRegistration(pollSync, error.message);
           stats.errors++;
         }
       }
@@ -165,51 +328,131 @@ class BlockchainSyncService {
     }
   }
 
+  /**
+   * Confirm registrations sent by the operator wallet
+   * The poll ID is read from the contract transaction that processed the
+   * registration's CreatePoll message (registering → registered).
+   */
+  async confirmRegistrations(stats) {
+    try {
+      const registering = await PollSync.findRegistering();
+      if (registering.length === 0 || !operatorWallet.isInitialized) {
+        return;
+      }
+
+      console.log(`Confirming ${registering.length} submitted registrations`);
+
+      const chain = getChainAdapter();
+      const operatorAddress = operatorWallet.getAddress();
+      const timeout = config.sync.registrationTimeoutMinutes * 60 * 1000;
+
+      for (const pollSync of registering) {
+        try {
+          const created = await chain.findCreatedPoll(operatorAddress, pollSync.registrationTransferHash, {
+            since: pollSync.lastAttemptAt
+          });
+
+          if (created && created.pollId !== null) {
+            const pollId = created.pollId;
+            pollSync.markRegistered(pollId, created.hash);
+            await pollSync.save();
+            chain.invalidatePoll(pollId);
+
+            const aiPoll = pollSync.aiPollId;
+            if (aiPoll) {
+              aiPoll.blockchainPollId = pollId;
+              aiPoll.status = 'registered';
+              aiPoll.errorMessage = null;
+              aiPoll.startFunding();
+              await aiPoll.save();
+            }
+
+            console.log(`AI poll ${aiPoll?._id} registered as blockchain poll ${pollId}`);
+            stats.pollsProcessed++;
+          } else if (created) {
+            const reason = created.success
+              ? 'CreatePoll did not emit a PollCreated event'
+              : `CreatePoll failed on chain (exit code ${created.exitCode ?? 'n/a'})`;
+            await this._failRegistration(pollSync, reason);
+            stats.errors++;
+          } else if (Date.now() - pollSync.lastAttemptAt.getTime() > timeout) {
+            await this._failRegistration(
+              pollSync,
+              `Registration not confirmed within ${config.sync.registrationTimeoutMinutes} minutes`
+            );
+            stats.errors++;
+          }
+
+        } catch (error) {
+          console.error(`Error confirming registration ${pollSync._id}:`, error);
+          pollSync.addError('network', error.message);
+          await pollSync.save();
+          stats.errors++;
+        }
+      }
+
+    } catch (error) {
+      console.error('Error confirming registrations:', error);
+      stats.errors++;
+    }
+  }
+
+  /**
+   * Create BlockchainPoll records for newly registered polls (registered → synced)
+   */
+  async syncRegisteredPolls(stats) {
+    try {
+      const registered = await PollSync.findPendingSync();
+
+      for (const pollSync of registered) {
+        try {
+          const pollData = await getChainAdapter().getPoll(pollSync.blockchainPollId);
+          if (!pollData) {
+            continue;
+          }
+
+          const aiPoll = pollSync.aiPollId;
+          await this._upsertBlockchainPoll(pollData, {
+            registrationTxHash: pollSync.registrationTxHash,
+            ...(aiPoll ? aiPoll.getVotingSchedule() : resolveSchedule())
+          });
+
+          pollSync.markSynced();
+          await pollSync.save();
+          
+          stats.pollsProcessed++;
+
+        } catch (error) {
+          console.error(`Error syncing registered poll ${pollSync.blockchainPollId}:`, error);
+          pollSync.addError('sync', error.message);
+          await pollSync.save();
+          stats.errors++;
+        }
+      }
+
+    } catch (error) {
+      console.error('Error syncing registered polls:', error);
+      stats.errors++;
+    }
+  }
+
   /**
    * Sync blockchain polls to database
    */
   async syncBlockchainPolls(stats) {
     try {
       // Get active polls from blockchain
-      const activePolls = await tonService.getActivePolls();
+      const activePolls = await getChainAdapter().getActivePolls();
       console.log(`Syncing ${activePolls.length} active polls from blockchain`);
 
       for (const pollData of activePolls) {
         try {
-          const blockchainPollId = pollData.blockchainPollId || pollData.id;
-          
-          // Check if poll exists in database
-          let blockchainPoll = await BlockchainPoll.findOne({ blockchainPollId });
-          
-          if (!blockchainPoll) {
-            // Create new blockchain poll record
-            blockchainPoll = new BlockchainPoll({
-              blockchainPollId,
-              contractAddress: tonService.contractAddress,
-              creator: pollData.creator,
-              optionCount: pollData.optionCount,
-              startTime: new Date(pollData.startTime * 1000),
-              endTime: new Date(pollData.endTime * 1000),
-              isActive: pollData.isActive,
-              totalVotes: pollData.totalVotes,
-              rewardPerVote: pollData.rewardPerVote,
-              totalFunding: pollData.fundData?.totalFunds || '0.000 TON'
-            });
-          } else {
-            // Update existing record
-            blockchainPoll.totalVotes = pollData.totalVotes;
-            blockchainPoll.isActive = pollData.isActive;
-            blockchainPoll.lastSyncedAt = new Date();
-          }
-
-          await blockchainPoll.save();
-          blockchainPoll.markSynced();
-          await blockchainPoll.save();
+          await this._upsertBlockchainPoll(pollData);
           
           stats.pollsProcessed++;
 
         } catch (error) {
-          console.error(`Error syncing poll ${pollData.blockchainPollId}:`, error);
+          console.error(`Error syncing poll ${pollData.id}:`, error);
           stats.errors++;
         }
       }
@@ -222,32 +465,77 @@ class BlockchainSyncService {
 
   /**
    * Sync vote confirmations from blockchain
+   * Looks up each pending vote's transaction on chain and measures its
+   * confirmation depth in masterchain blocks since the block that includes it.
+   * Votes whose transaction falls outside the poll's voting window are invalid.
    */
-  async syncVoteConfirmations(stats) {
+  async syncVoteConfirmations(stats = { votesProcessed: 0, errors: 0 }) {
     try {
       const pendingVotes = await BlockchainVote.findPendingConfirmation();
       console.log(`Checking confirmations for ${pendingVotes.length} pending votes`);
 
+      if (pendingVotes.length === 0) {
+        return;
+      }
+
+      const { latestSeqno } = await getChainAdapter().getMasterchainInfo();
+      const voteTimeout = config.sync.voteTimeoutMinutes * 60 * 1000;
+      const polls = new Map();
+
       for (const vote of pendingVotes) {
         try {
           if (!vote.txHash) {
             continue;
           }
 
-          // TODO: Implement actual blockchain transaction checking
-          // For now, simulate confirmation after 2 minutes
-          const age = Date.now() - vote.createdAt.getTime();
-          if (age > 120000) { // 2 minutes
-            vote.updateConfirmations(12345, 12348); // Mock block heights
-            
-            if (vote.isConfirmed) {
-              vote.markCounted();
+          const tx = await getChainAdapter().getTransaction(vote.txHash, { since: vote.createdAt });
+
+          if (!tx) {
+            const age = Date.now() - vote.createdAt.getTime();
+            if (age > voteTimeout) {
+              vote.markFailed(`Transaction ${vote.txHash} not found on chain after ${config.sync.voteTimeoutMinutes} minutes`);
+              stats.votesProcessed++;
+            } else {
+              vote.lastSyncedAt = new Date();
             }
-            
+            await vote.save();
+            continue;
+          }
+
+          if (!tx.success) {
+            const reason = tx.bounced ? 'bounced' : 'failed';
+            vote.markFailed(`Transaction ${reason} on chain (exit code ${tx.exitCode ?? 'n/a'})`);
             await vote.save();
             stats.votesProcessed++;
+            continue;
+          }
+
+          vote.txLt = tx.lt;
+          vote.txTimestamp = new Date(tx.now * 1000);
+
+          // The contract does not know the window, so it accepts early and late votes
+          if (!polls.has(vote.blockchainPollId)) {
+            polls.set(vote.blockchainPollId, await BlockchainPoll.findOne({ blockchainPollId: vote.blockchainPollId }));
+          }
+          const blockchainPoll = polls.get(vote.blockchainPollId);
+          if (blockchainPoll && !blockchainPoll.isInVotingWindow(vote.txTimestamp)) {
+            vote.addValidationError(`Vote was cast at ${vote.txTimestamp.toISOString()}, outside the poll's voting window`);
+            await vote.save();
+            stats.votesProcessed++;
+            continue;
           }
 
+          vote.requiredConfirmations = config.sync.confirmationBlocks;
+          vote.updateConfirmations(tx.mcSeqno, latestSeqno);
+
+          if (vote.isConfirmed) {
+            vote.markCounted();
+            getChainAdapter().invalidatePoll(vote.blockchainPollId);
+          }
+
+          await vote.save();
+          stats.votesProcessed++;
+
         } catch (error) {
           console.error(`Error checking vote confirmation ${vote.voteId}:`, error);
           vote.addSyncError(error.message);
@@ -263,7 +551,131 @@ class BlockchainSyncService {
   }
 
   /**
-   * Update poll statuses based on end times
+   * Sync crowdfunding contribution confirmations from blockchain
+   * Each pending contribution's transfer must have reached the escrow wallet with the
+   * contribution's comment, from the contributor, for at least the contribution amount.
+   */
+  async syncContributionConfirmations(stats = { contributionsProcessed: 0, errors: 0 }) {
+    try {
+      const pendingContributions = await Contribution.findPendingConfirmation();
+      if (pendingContributions.length === 0) {
+        return;
+      }
+
+      console.log(`Checking confirmations for ${pendingContributions.length} pending contributions`);
+
+      const { latestSeqno } = await getChainAdapter().getMasterchainInfo();
+      const timeout = config.sync.contributionTimeoutMinutes * 60 * 1000;
+
+      for (const contribution of pendingContributions) {
+        try {
+          const poll = await AiGeneratedPoll.findById(contribution.aiPollId);
+          if (!poll) {
+            contribution.markFailed('AI poll not found');
+            await contribution.save();
+            continue;
+          }
+
+          const transfer = await getChainAdapter().getTransfer(contribution.destination, contribution.txHash, {
+            currency: poll.rewardCurrency.toObject(),
+            since: contribution.createdAt
+          });
+
+          if (!transfer) {
+            const age = Date.now() - contribution.createdAt.getTime();
+            if (age > timeout) {
+              contribution.markFailed(`Transaction ${contribution.txHash} not found on chain after ${config.sync.contributionTimeoutMinutes} minutes`);
+              stats.contributionsProcessed++;
+            } else {
+              contribution.lastSyncedAt = new Date();
+            }
+            await contribution.save();
+            continue;
+          }
+
+          const mismatch = this._checkContributionTransfer(contribution, transfer);
+          if (mismatch) {
+            contribution.markFailed(mismatch);
+            await contribution.save();
+            stats.contributionsProcessed++;
+            continue;
+          }
+
+          // Record what actually arrived if the contributor sent more; recordConfirmed
+          // marks whatever goes past the target fund refundable
+          contribution.amount = transfer.amount;
+          contribution.txLt = transfer.lt;
+          contribution.txTimestamp = new Date(transfer.now * 1000);
+          contribution.requiredConfirmations = config.sync.confirmationBlocks;
+          contribution.updateConfirmations(transfer.mcSeqno, latestSeqno);
+          await contribution.save();
+
+          if (contribution.isConfirmed) {
+            await contributionService.recordConfirmed(contribution, poll);
+          }
+          stats.contributionsProcessed++;
+
+        } catch (error) {
+          console.error(`Error checking contribution confirmation ${contribution._id}:`, error);
+          contribution.addSyncError(error.message);
+          await contribution.save();
+          stats.errors++;
+        }
+      }
+
+    } catch (error) {
+      console.error('Error syncing contribution confirmations:', error);
+      stats.errors++;
+    }
+  }
+
+  /**
+   * Make crowdfunded polls that missed their funding deadline refundable
+   */
+  async updateFundingStatuses(stats) {
+    try {
+      const refundable = await contributionService.expireFunding();
+      stats.pollsProcessed += refundable;
+
+    } catch (error) {
+      console.error('Error updating funding statuses:', error);
+      stats.errors++;
+    }
+  }
+
+  /**
+   * Schedule reward payouts for closed polls and send the due ones
+   * Payouts and reward roots are sent from the operator wallet, so this only
+   * reconciles reward claims without one.
+   */
+  async processRewardPayouts(stats) {
+    try {
+      await payoutService.schedulePayouts();
+
+      const { paid, failed } = await payoutService.processPayouts();
+      stats.payoutsProcessed += paid + failed;
+
+      if (paid > 0 || failed > 0) {
+        console.log(`Reward payouts: ${paid} paid, ${failed} failed`);
+      }
+
+      const roots = await rewardClaimService.publishRoots();
+      const claimed = await rewardClaimService.syncClaims();
+      stats.payoutsProcessed += roots.published + roots.failed + claimed;
+
+      if (claimed > 0) {
+        console.log(`Recorded ${claimed} reward claims`);
+      }
+
+    } catch (error) {
+      console.error('Error processing reward payouts:', error);
+      stats.errors++;
+    }
+  }
+
+  /**
+   * Close polls whose voting window has ended
+   * Scheduled polls need no update to open: votes and listings check their start time.
    */
   async updatePollStatuses(stats) {
     try {
@@ -272,18 +684,19 @@ class BlockchainSyncService {
       // Mark expired polls as inactive
       const expiredPolls = await BlockchainPoll.find({
         isActive: true,
-        endTime: { $lt: now }
+        endTime: { $lte: now }
       });
 
       for (const poll of expiredPolls) {
         poll.isActive = false;
         poll.lastSyncedAt = now;
         await poll.save();
+        getChainAdapter().invalidatePoll(poll.blockchainPollId);
         stats.pollsProcessed++;
       }
 
       if (expiredPolls.length > 0) {
-        console.log(`Marked ${expiredPolls.length} polls as expired`);
+        console.log(`Closed ${expiredPolls.length} polls that reached their end time`);
       }
 
     } catch (error) {
@@ -299,6 +712,8 @@ class BlockchainSyncService {
     return {
       ...this.syncStats,
       isRunning: this.isRunning,
+      isLeader: this.isLeader,
+      instanceId: this.instanceId,
       lastSyncDuration: this.lastSyncTime ? Date.now() - this.lastSyncTime : null,
       uptime: Date.now() - (this.syncStats.lastRun || Date.now())
     };
@@ -311,32 +726,12 @@ class BlockchainSyncService {
     try {
       console.log(`Force syncing poll ${blockchainPollId}`);
       
-      const pollData = await tonService.getPollFromBlockchain(blockchainPollId);
-      
-      let blockchainPoll = await BlockchainPoll.findOne({ blockchainPollId });
-      
-      if (!blockchainPoll) {
-        blockchainPoll = new BlockchainPoll({
-          blockchainPollId,
-          contractAddress: tonService.contractAddress,
-          creator: pollData.creator,
-          optionCount: pollData.optionCount,
-          startTime: new Date(pollData.startTime * 1000),
-          endTime: new Date(pollData.endTime * 1000),
-          isActive: pollData.isActive,
-          totalVotes: pollData.totalVotes,
-          rewardPerVote: pollData.rewardPerVote,
-          totalFunding: pollData.fundData?.totalFunds || '0.000 TON'
-        });
-      } else {
-        blockchainPoll.totalVotes = pollData.totalVotes;
-        blockchainPoll.isActive = pollData.isActive;
-        blockchainPoll.lastSyncedAt = new Date();
+      const pollData = await getChainAdapter().getPoll(blockchainPollId);
+      if (!pollData) {
+        throw new Error(`Poll ${blockchainPollId} not found on chain`);
       }
-
-      await blockchainPoll.save();
-      blockchainPoll.markSynced();
-      await blockchainPoll.save();
+      
+      const blockchainPoll = await this._upsertBlockchainPoll(pollData);
       
       return blockchainPoll;
 
@@ -346,6 +741,127 @@ class BlockchainSyncService {
     }
   }
 
+  /**
+   * Create or update the BlockchainPoll record for a poll read from chain
+   * The contract only stores creator, option count and votes, so timing and
+   * funding fall back to defaults until metadata is stored for the poll.
+   * @param {Object} pollData - Poll from the chain adapter
+   * @param {Object} defaults - Extra fields used only when creating the record
+   * @private
+   */
+  async _upsertBlockchainPoll(pollData, defaults = {}) {
+    const blockchainPollId = pollData.id;
+    let blockchainPoll = await BlockchainPoll.findOne({ blockchainPollId });
+    
+    if (!blockchainPoll) {
+      blockchainPoll = new BlockchainPoll({
+        blockchainPollId,
+        contractAddress: getChainAdapter().contractAddress,
+        creator: pollData.creator,
+        optionCount: pollData.optionCount,
+        ...resolveSchedule(),
+        isActive: pollData.isActive,
+        totalVotes: pollData.totalVotes,
+        rewardPerVote: 0,
+        totalFunding: '0',
+        ...defaults
+      });
+    } else {
+      blockchainPoll.totalVotes = pollData.totalVotes;
+      // Polls past their end time stay closed even while the contract still lists them
+      blockchainPoll.isActive = pollData.isActive && !blockchainPoll.isExpired();
+    }
+
+    blockchainPoll.markSynced();
+    await blockchainPoll.save();
+    
+    return blockchainPoll;
+  }
+
+  /**
+   * Send the CreatePoll message for an AI poll from the operator wallet
+   * Resolves once the wallet has processed the transfer or it has expired; an
+   * expired transfer sent nothing and is confirmed as failed after the timeout.
+   * @private
+   */
+  async _submitRegistration(pollSync, aiPoll) {
+    const transactionData = await getChainAdapter().createPoll(aiPoll.options.length);
+
+    const { hash, transferHash, seqno, processed } = await operatorWallet.sendMessage({
+      to: transactionData.contractAddress,
+      amount: transactionData.amount,
+      payload: transactionData.payload
+    });
+    if (!processed) {
+      console.warn(`Operator wallet did not process registration transfer ${seqno} in time`);
+    }
+
+    pollSync.markRegistering(transactionData.payload, transactionData.contractAddress);
+    pollSync.registrationTxHash = hash;
+    pollSync.operatorSeqno = seqno;
+    pollSync.registrationTransferHash = transferHash;
+    await pollSync.save();
+
+    aiPoll.registrationAttempts += 1;
+    aiPoll.lastRegistrationAttempt = new Date();
+    await aiPoll.save();
+  }
+
+  /**
+   * Record a failed registration attempt, scheduling a retry if any remain
+   * @private
+   */
+  async _failRegistration(pollSync, message) {
+    pollSync.addError('registration', message);
+    pollSync.incrementAttempt();
+    await pollSync.save();
+
+    const aiPoll = pollSync.aiPollId;
+    if (pollSync.isExpired && aiPoll && aiPoll.save) {
+      aiPoll.status = 'failed';
+      aiPoll.errorMessage = message;
+      await aiPoll.save();
+    }
+  }
+
+  /**
+   * Why a transfer does not pay for a contribution
+   * @returns {string|null} Reason, or null if it matches
+   * @private
+   */
+  _checkContributionTransfer(contribution, transfer) {
+    if (!transfer.success) {
+      const reason = transfer.bounced ? 'bounced' : 'failed';
+      return `Transaction ${reason} on chain (exit code ${transfer.exitCode ?? 'n/a'})`;
+    }
+    if (transfer.comment !== contribution.memo) {
+      return 'Transfer comment does not match the contribution';
+    }
+    if (!this._isSameAddress(transfer.sender, contribution.contributorAddress)) {
+      return 'Transfer was not sent by the contributor';
+    }
+    if (BigInt(transfer.amount) < BigInt(contribution.amount)) {
+      return `Transfer amount ${transfer.amount} is less than the contribution of ${contribution.amount}`;
+    }
+    return null;
+  }
+
+  /**
+   * Compare two TON addresses regardless of their string format
+   * @private
+   */
+  _isSameAddress(a, b) {
+    if (!a || !b) {
+      return false;
+    }
+
+    try {
+      return Address.parse(a.toString()).equals(Address.parse(b.toString()));
+    } catch (error) {
+      return a.toString() === b.toString();
+    }
+  }
+
   /**
    * Check if service is healthy
    */
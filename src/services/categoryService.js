@@ -0,0 +1,159 @@
+const Category = require('../models/Category');
+const config = require('../config/config');
+
+// Seeded into an empty collection, and used until the collection has been loaded
+const DEFAULT_CATEGORIES = [
+  { slug: 'art', name: 'Art', aliases: ['arts'], sortOrder: 10 },
+  { slug: 'design', name: 'Design', aliases: [], sortOrder: 20 },
+  { slug: 'tech', name: 'Technology', aliases: ['technology', 'technologies'], sortOrder: 30 },
+  { slug: 'defi', name: 'DeFi', aliases: ['decentralized finance'], sortOrder: 40 },
+  { slug: 'lifestyle', name: 'Lifestyle', aliases: [], sortOrder: 50 },
+  { slug: 'environment', name: 'Environment', aliases: ['climate', 'nature'], sortOrder: 60 },
+  { slug: 'web3', name: 'Web3', aliases: ['crypto', 'blockchain'], sortOrder: 70 },
+  { slug: 'food', name: 'Food', aliases: ['cooking', 'cuisine'], sortOrder: 80 },
+  { slug: 'other', name: 'Other', aliases: ['general'], sortOrder: 1000 }
+];
+
+/**
+ * Comparison key for slugs, names and aliases ("Web 3", "web-3" and "web3" match)
+ */
+function toKey(value) {
+  return String(value).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Category Service
+ * In-memory view of the Category collection so classification, validation and
+ * random generation can look categories up synchronously. Refreshed on start,
+ * after admin changes and periodically (for changes made by other instances).
+ */
+class CategoryService {
+  constructor() {
+    this.fallbackSlug = config.categories.fallback;
+    this.refreshTimer = null;
+    this._setCategories(DEFAULT_CATEGORIES.map(category => ({ description: '', isActive: true, ...category })));
+  }
+
+  /**
+   * Seed the defaults if needed, load the collection and start periodic refresh
+   */
+  async start() {
+    await Category.seedDefaults(DEFAULT_CATEGORIES, this.fallbackSlug);
+    await this.refresh();
+
+    if (!this.refreshTimer) {
+      this.refreshTimer = setInterval(() => {
+        this.refresh().catch(error => console.error('Error refreshing categories:', error));
+      }, config.categories.refreshSeconds * 1000);
+      this.refreshTimer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Reload categories from MongoDB
+   */
+  async refresh() {
+    const categories = await Category.find().sort({ sortOrder: 1, slug: 1 }).lean();
+    this._setCategories(categories);
+  }
+
+  /**
+   * @param {Object} options - { includeInactive }
+   * @returns {Array<Object>} Categories { slug, name, description, aliases, isActive, sortOrder }
+   */
+  list({ includeInactive = false } = {}) {
+    return includeInactive ? [...this.categories] : this.categories.filter(category => category.isActive);
+  }
+
+  /**
+   * @returns {Array<string>} Slugs of the active categories
+   */
+  getSlugs() {
+    return this.list().map(category => category.slug);
+  }
+
+  /**
+   * @param {string} slug - Category slug
+   * @returns {boolean} True if slug is an active category
+   */
+  isValid(slug) {
+    return this.getSlugs().includes(slug);
+  }
+
+  /**
+   * Map a slug, display name or alias to the slug of an active category
+   * @param {string} value - e.g. "tech", "Technology", "web 3"
+   * @returns {string|null} Slug, or null if nothing matches
+   */
+  resolve(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const category = this.keys.get(toKey(value));
+    return category && category.isActive ? category.slug : null;
+  }
+
+  /**
+   * Like resolve(), but falls back to the fallback category
+   * @param {string} value - Slug, name or alias
+   * @returns {string} Slug
+   */
+  resolveOrFallback(value) {
+    return this.resolve(value) || this.fallbackSlug;
+  }
+
+  /**
+   * Find the category (active or not) that a slug, name or alias refers to
+   * @param {string} value - Slug, name or alias
+   * @returns {Object|null} Category
+   */
+  find(value) {
+    return this.keys.get(toKey(value)) || null;
+  }
+
+  /**
+   * @returns {string} A random active category slug, excluding the fallback
+   */
+  getRandomSlug() {
+    const slugs = this.getSlugs().filter(slug => slug !== this.fallbackSlug);
+    if (slugs.length === 0) {
+      return this.fallbackSlug;
+    }
+    return slugs[Math.floor(Math.random() * slugs.length)];
+  }
+
+  /**
+   * Active categories as a prompt line, e.g. "art (Art), tech (Technology)"
+   * @returns {string} Description for LLM prompts
+   */
+  describeForPrompt() {
+    return this.list()
+      .map(category => (toKey(category.name) === toKey(category.slug) ? category.slug : `${category.slug} (${category.name})`))
+      .join(', ');
+  }
+
+  /**
+   * @private
+   */
+  _setCategories(categories) {
+    this.categories = categories.map(({ slug, name, description, aliases, isActive, sortOrder }) => ({
+      slug, name, description, aliases: aliases || [], isActive, sortOrder
+    }));
+
+    // Slugs take precedence over names, names over aliases
+    this.keys = new Map();
+    for (const field of ['aliases', 'name', 'slug']) {
+      for (const category of this.categories) {
+        const values = field === 'aliases' ? category.aliases : [category[field]];
+        values.forEach(value => this.keys.set(toKey(value), category));
+      }
+    }
+  }
+}
+
+module.exports = new CategoryService();
@@ -0,0 +1,275 @@
+const config = require('../config/config');
+
+/**
+ * Chain Adapter
+ * Interface between the API and the chain the polling contract lives on.
+ * The sync service and controllers only talk to the chain through this surface.
+ *
+ * Required methods: getPoll, getActivePolls, getPollResults, getTransaction, getMasterchainInfo
+ * The remaining methods back the transaction-building and status endpoints.
+ */
+class ChainAdapter {
+  constructor() {
+    this.contractAddress = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize the adapter
+   * @returns {Promise<boolean>} Whether the adapter is ready
+   */
+  async init() {
+    this._notImplemented('init');
+  }
+
+  /**
+   * Get contract deployment status
+   * @returns {Promise<Object>} Status with deployed flag and address
+   */
+  async getContractStatus() {
+    this._notImplemented('getContractStatus');
+  }
+
+  /**
+   * Get poll information
+   * @param {number} pollId - Poll ID
+   * @returns {Promise<Object|null>} { id, creator, totalVotes, isActive, optionCount } or null
+   */
+  async getPoll(pollId) {
+    this._notImplemented('getPoll');
+  }
+
+  /**
+   * Get all active polls
+   * @returns {Promise<Array>} Array of poll objects in the getPoll shape
+   */
+  async getActivePolls() {
+    this._notImplemented('getActivePolls');
+  }
+
+  /**
+   * Get poll results
+   * @param {number} pollId - Poll ID
+   * @returns {Promise<Object>} { pollId, totalVotes, results: [{ optionIndex, voteCount }], isActive }
+   */
+  async getPollResults(pollId) {
+    this._notImplemented('getPollResults');
+  }
+
+  /**
+   * Look up a contract transaction by hash
+   * @param {string} txHash - Transaction hash (hex or base64)
+   * @param {Object} options - { since } - time the transaction cannot predate, bounds the search
+   * @returns {Promise<Object|null>} { hash, lt, now, mcSeqno, sender, success, aborted, bounced, exitCode } or null;
+   *   mcSeqno is the masterchain block that includes the transaction
+   */
+  async getTransaction(txHash, { since } = {}) {
+    this._notImplemented('getTransaction');
+  }
+
+  /**
+   * Get latest masterchain info
+   * @returns {Promise<Object>} Object with at least latestSeqno
+   */
+  async getMasterchainInfo() {
+    this._notImplemented('getMasterchainInfo');
+  }
+
+  /**
+   * Build a poll creation transaction
+   * @param {number} optionCount - Number of voting options
+   * @returns {Promise<Object>} Transaction payload for frontend
+   */
+  async createPoll(optionCount) {
+    this._notImplemented('createPoll');
+  }
+
+  /**
+   * Build a vote transaction
+   * @param {number} pollId - Poll ID
+   * @param {number} optionIndex - Option index (0-based)
+   * @returns {Promise<Object>} Transaction payload for frontend
+   */
+  async createVoteTransaction(pollId, optionIndex) {
+    this._notImplemented('createVoteTransaction');
+  }
+
+  /**
+   * Build a TON or jetton transfer to a wallet, tagged with a text comment
+   * @param {Object} params - Transfer parameters
+   * @param {string} params.to - Destination wallet address
+   * @param {string} params.amount - Amount in the currency's smallest unit
+   * @param {string} params.comment - Text comment identifying the transfer
+   * @param {Object} params.currency - { type, masterAddress } (see utils/currency)
+   * @param {string} params.senderAddress - Sending wallet; jettons go through its jetton wallet
+   * @returns {Promise<Object>} { success, to, amount, payload } - message for the frontend (amount in nanotons)
+   */
+  async createTransferTransaction({ to, amount, comment, currency, senderAddress }) {
+    this._notImplemented('createTransferTransaction');
+  }
+
+  /**
+   * Look up a transfer received by a wallet, by transaction hash
+   * For jettons, only transfer notifications from the wallet's own jetton wallet count.
+   * @param {string} address - Receiving wallet address
+   * @param {string} txHash - Transaction hash (hex or base64)
+   * @param {Object} options - { currency, since } (since as in getTransaction)
+   * @returns {Promise<Object|null>} getTransaction() fields plus { amount, comment }, or null;
+   *   sender is the wallet that sent the TON or jettons, amount is '0' if nothing was received
+   */
+  async getTransfer(address, txHash, { currency, since } = {}) {
+    this._notImplemented('getTransfer');
+  }
+
+  /**
+   * Look up the transaction in which a wallet sent a message, by the message body hash
+   * @param {string} address - Sending wallet address
+   * @param {string} messageHash - Hash of the outgoing message body (hex)
+   * @param {Object} options - { since } (as in getTransaction)
+   * @returns {Promise<Object|null>} getTransaction() fields without mcSeqno, or null if the
+   *   wallet has not sent the message
+   */
+  async findSentMessage(address, messageHash, { since } = {}) {
+    this._notImplemented('findSentMessage');
+  }
+
+  /**
+   * Find the poll created by the CreatePoll message of a wallet transfer
+   * CreatePoll bodies only differ by option count, so the message is identified by
+   * the signed transfer that carried it.
+   * @param {string} source - Wallet that sent the CreatePoll message
+   * @param {string} transferHash - Hash of the signed transfer body (hex, see
+   *   operatorWalletService.sendMessages())
+   * @param {Object} options - { since } (as in getTransaction)
+   * @returns {Promise<Object|null>} Summary of the contract transaction that processed the
+   *   message (getTransaction() fields without mcSeqno) with the created pollId, which is
+   *   null if the contract rejected it; null if the message has not been processed yet
+   */
+  async findCreatedPoll(source, transferHash, { since } = {}) {
+    this._notImplemented('findCreatedPoll');
+  }
+
+  /**
+   * Build the operator message that publishes a poll's reward Merkle root to the
+   * reward distributor, carrying the rewards it will pay out
+   * @param {Object} params - Message parameters
+   * @param {number} params.pollId - Blockchain poll ID
+   * @param {string} params.root - Merkle root (64 hex characters, see utils/rewardTree)
+   * @param {string} params.total - Sum of the rewards in nanotons
+   * @returns {Promise<Object>} { to, amount, payload } - message for the operator wallet (amount in nanotons)
+   */
+  async createRewardRootMessage({ pollId, root, total }) {
+    this._notImplemented('createRewardRootMessage');
+  }
+
+  /**
+   * Build the transaction a voter sends to the reward distributor to claim their reward
+   * @param {Object} params - Claim parameters
+   * @param {number} params.pollId - Blockchain poll ID
+   * @param {string} params.proof - Merkle proof of the voter's entry (base64 BoC)
+   * @returns {Promise<Object>} { success, to, amount, payload } - message for the frontend (amount in nanotons)
+   */
+  async createRewardClaimTransaction({ pollId, proof }) {
+    this._notImplemented('createRewardClaimTransaction');
+  }
+
+  /**
+   * List the reward claims received by the reward distributor after a logical time
+   * @param {Object} options - { afterLt } - logical time of the last transaction already read
+   * @returns {Promise<Object>} { claims, lastLt } - claims oldest first, as getTransaction() fields
+   *   plus { pollId } (sender is the claiming voter), and the logical time of the newest
+   *   distributor transaction read (afterLt if there was none)
+   */
+  async getRewardClaims({ afterLt } = {}) {
+    this._notImplemented('getRewardClaims');
+  }
+
+  /**
+   * Check if a user has voted on a poll
+   * @param {string} userAddress - User's wallet address
+   * @param {number} pollId - Poll ID
+   * @returns {Promise<boolean>} Whether user has voted
+   */
+  async hasUserVoted(userAddress, pollId) {
+    this._notImplemented('hasUserVoted');
+  }
+
+  /**
+   * Get total number of polls created
+   * @returns {Promise<number>} Total polls count
+   */
+  async getTotalPolls() {
+    this._notImplemented('getTotalPolls');
+  }
+
+  /**
+   * Get next poll ID that will be assigned
+   * @returns {Promise<number>} Next poll ID
+   */
+  async getNextPollId() {
+    this._notImplemented('getNextPollId');
+  }
+
+  /**
+   * Drop any cached chain state for a poll after it changes
+   * Adapters without a cache can keep this no-op.
+   * @param {number} pollId - Poll ID
+   */
+  invalidatePoll(pollId) {}
+
+  /**
+   * @private
+   */
+  _notImplemented(method) {
+    throw new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+}
+
+let activeAdapter = null;
+
+/**
+ * Create an adapter by name
+ * @param {string} name - 'simple' (SimpleTonService) or 'fake' (in-memory)
+ * @returns {ChainAdapter} Adapter instance
+ */
+function createChainAdapter(name) {
+  switch (name) {
+    case 'simple':
+      return require('./simpleTonService');
+    case 'fake': {
+      const FakeChainAdapter = require('./fakeChainAdapter');
+      return new FakeChainAdapter();
+    }
+    default:
+      throw new Error(`Unknown chain adapter: ${name}`);
+  }
+}
+
+/**
+ * Get the active chain adapter, selected by config.ton.adapter
+ * @returns {ChainAdapter} Active adapter
+ */
+function getChainAdapter() {
+  if (!activeAdapter) {
+    activeAdapter = createChainAdapter(config.ton.adapter);
+  }
+  return activeAdapter;
+}
+
+/**
+ * Replace the active chain adapter (used by offline tests)
+ * @param {ChainAdapter} adapter - Adapter to use
+ */
+function setChainAdapter(adapter) {
+  if (!(adapter instanceof ChainAdapter)) {
+    throw new Error('Chain adapter must extend ChainAdapter');
+  }
+  activeAdapter = adapter;
+}
+
+module.exports = {
+  ChainAdapter,
+  createChainAdapter,
+  getChainAdapter,
+  setChainAdapter
+};
@@ -0,0 +1,258 @@
+const config = require('../config/config');
+const { getChainAdapter } = require('./chainAdapter');
+const operatorWallet = require('./operatorWalletService');
+const { formatAmount, isUnits } = require('../utils/currency');
+const AiGeneratedPoll = require('../models/AiGeneratedPoll');
+const BlockchainPoll = require('../models/BlockchainPoll');
+const Contribution = require('../models/Contribution');
+
+/**
+ * Raised when a contribution cannot be accepted
+ */
+class ContributionError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status for the response (400 invalid, 409 poll not collecting, 503 disabled)
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ContributionError';
+    this.code = 'INVALID_CONTRIBUTION';
+    this.status = status;
+  }
+}
+
+/**
+ * Contribution Service
+ * Crowdfunded polls collect contributions into the escrow wallet after they are
+ * registered. Each contribution is a transfer tagged with its own comment; once the
+ * sync service has confirmed enough of them to reach targetFund the poll opens for
+ * voting. Polls still short of the target at their funding deadline become refundable.
+ */
+class ContributionService {
+  /**
+   * Wallet that receives contributions: FUNDING_ESCROW_ADDRESS or the operator wallet
+   * @returns {string|null} Address, or null if crowdfunding is not configured
+   */
+  getEscrowAddress() {
+    return config.funding.escrowAddress || operatorWallet.getAddress();
+  }
+
+  /**
+   * Create a pending contribution and the transfer the contributor has to send
+   * @param {Object} poll - AiGeneratedPoll document
+   * @param {string} contributorAddress - Authenticated wallet address
+   * @param {string} amount - Amount in the smallest unit of the poll currency
+   * @returns {Promise<Object>} { contribution, transactionData }
+   */
+  async createContribution(poll, contributorAddress, amount) {
+    const destination = this.getEscrowAddress();
+    if (!destination) {
+      throw new ContributionError('Crowdfunding is not enabled', 503);
+    }
+
+    if (poll.fundingType !== 'crowdfunded') {
+      throw new ContributionError('Poll is not crowdfunded');
+    }
+    if (poll.fundingStatus !== 'collecting' || poll.fundingDeadline <= new Date()) {
+      throw new ContributionError(
+        poll.fundingStatus ? `Poll is not collecting contributions (funding ${poll.fundingStatus})` : 'Poll is not registered on blockchain yet',
+        409
+      );
+    }
+
+    if (!isUnits(String(amount)) || BigInt(amount) === 0n) {
+      throw new ContributionError("amount must be a positive integer amount in the currency's smallest unit");
+    }
+
+    // Pending contributions hold their share of the target until they arrive or time out.
+    // The last contribution may be below the minimum if that is all that is left.
+    const currency = poll.rewardCurrency.toObject();
+    const since = new Date(Date.now() - config.sync.contributionTimeoutMinutes * 60 * 1000);
+    const reserved = await Contribution.getReserved(poll._id, since);
+    const open = BigInt(poll.targetFund) - BigInt(poll.raisedAmount) - reserved;
+    const remaining = open > 0n ? open : 0n;
+    const value = BigInt(amount);
+    if (remaining === 0n) {
+      throw new ContributionError('The rest of the target fund is reserved by pending contributions', 409);
+    }
+    if (value > remaining) {
+      throw new ContributionError(`amount exceeds the ${formatAmount(remaining, currency)} still needed`);
+    }
+    if (value < BigInt(poll.minContribution) && value !== remaining) {
+      throw new ContributionError(`amount is below the minimum contribution of ${formatAmount(poll.minContribution, currency)}`);
+    }
+
+    const contribution = new Contribution({
+      aiPollId: poll._id,
+      blockchainPollId: poll.blockchainPollId,
+      contributorAddress,
+      amount: value.toString(),
+      destination,
+      requiredConfirmations: config.sync.confirmationBlocks
+    });
+    contribution.memo = `tpolls:contribution:${contribution._id}`;
+
+    const transactionData = await getChainAdapter().createTransferTransaction({
+      to: destination,
+      amount: contribution.amount,
+      comment: contribution.memo,
+      currency,
+      senderAddress: contributorAddress
+    });
+
+    await contribution.save();
+    return { contribution, transactionData };
+  }
+
+  /**
+   * Count a contribution the sync service just confirmed
+   * Only the part still needed to reach targetFund is counted; the rest is marked
+   * refundable. Contributions confirmed after the poll became refundable, or once it
+   * is fully funded, are refundable as a whole.
+   * @param {Object} contribution - Confirmed Contribution document
+   * @param {Object} poll - Its AiGeneratedPoll document
+   * @returns {Promise<Object>} Funding progress (see getProgress)
+   */
+  async recordConfirmed(contribution, poll) {
+    const amount = BigInt(contribution.amount);
+    let needed = 0n;
+    if (poll.fundingStatus !== 'refundable') {
+      const { raised } = await Contribution.getRaised(poll._id, { exclude: contribution._id });
+      needed = raised < BigInt(poll.targetFund) ? BigInt(poll.targetFund) - raised : 0n;
+    }
+
+    if (amount > needed) {
+      contribution.refundableAmount = (amount - needed).toString();
+      if (needed === 0n) {
+        contribution.status = 'refundable';
+      }
+      await contribution.save();
+      console.log(`${contribution.refundableAmount} of contribution ${contribution._id} to poll ${poll._id} is refundable`);
+    }
+    return this.refreshFunding(poll);
+  }
+
+  /**
+   * Recount a poll's confirmed contributions, opening the poll once targetFund is raised
+   * @param {Object} poll - AiGeneratedPoll document
+   * @returns {Promise<Object>} Funding progress (see getProgress)
+   */
+  async refreshFunding(poll) {
+    const { raised, contributors } = await Contribution.getRaised(poll._id);
+    poll.raisedAmount = raised.toString();
+
+    if (poll.fundingStatus === 'collecting' && raised >= BigInt(poll.targetFund)) {
+      poll.fundingStatus = 'funded';
+      poll.fundedAt = new Date();
+      await this._openPoll(poll);
+      console.log(`Crowdfunded poll ${poll._id} reached its target fund and is open for voting`);
+    }
+
+    if (poll.isModified()) {
+      await poll.save();
+    }
+    return this.getProgress(poll, { contributors });
+  }
+
+  /**
+   * Make collecting polls past their funding deadline refundable
+   * Their confirmed contributions become refundable; polls that reached the target
+   * in the meantime open instead.
+   * @returns {Promise<number>} Number of polls that became refundable
+   */
+  async expireFunding() {
+    const expired = await AiGeneratedPoll.find({
+      fundingStatus: 'collecting',
+      fundingDeadline: { $lte: new Date() }
+    });
+
+    let count = 0;
+    for (const poll of expired) {
+      await this.refreshFunding(poll);
+      if (poll.fundingStatus !== 'collecting') {
+        continue;
+      }
+
+      poll.fundingStatus = 'refundable';
+      await poll.save();
+      await Contribution.updateMany(
+        { aiPollId: poll._id, status: 'confirmed' },
+        [{ $set: { status: 'refundable', refundableAmount: '$amount' } }]
+      );
+      await this._closePoll(poll);
+      console.log(`Crowdfunded poll ${poll._id} missed its funding deadline; contributions are refundable`);
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Funding progress of a poll
+   * @param {Object} poll - AiGeneratedPoll document
+   * @param {Object} extra - { contributors } - number of confirmed contributors, if known
+   * @returns {Object} { aiPollId, blockchainPollId, fundingType, fundingStatus, isOpen, fundingDeadline, fundedAt,
+   *   currency, targetFund, raised, remaining, minContribution, percent, contributors, formatted }
+   */
+  getProgress(poll, { contributors = null } = {}) {
+    const currency = poll.rewardCurrency.toObject();
+    const target = BigInt(poll.targetFund);
+    const raised = BigInt(poll.raisedAmount);
+    const remaining = raised >= target ? 0n : target - raised;
+    const amounts = {
+      targetFund: target.toString(),
+      raised: raised.toString(),
+      remaining: remaining.toString(),
+      minContribution: poll.minContribution
+    };
+
+    return {
+      aiPollId: poll._id,
+      blockchainPollId: poll.blockchainPollId,
+      fundingType: poll.fundingType,
+      fundingStatus: poll.fundingStatus,
+      isOpen: poll.isOpen,
+      fundingDeadline: poll.fundingDeadline,
+      fundedAt: poll.fundedAt,
+      currency,
+      ...amounts,
+      percent: target > 0n ? Number((raised * 10000n) / target) / 100 : 100,
+      contributors,
+      formatted: Object.fromEntries(Object.entries(amounts).map(([field, value]) => [field, formatAmount(value, currency)]))
+    };
+  }
+
+  /**
+   * Start the voting period of a poll that just got funded (or schedule it, if its
+   * start time is still ahead)
+   * @private
+   */
+  async _openPoll(poll) {
+    if (poll.blockchainPollId === null) {
+      return;
+    }
+
+    await BlockchainPoll.updateOne(
+      { blockchainPollId: poll.blockchainPollId },
+      { $set: { ...poll.getVotingSchedule(), isActive: true } }
+    );
+  }
+
+  /**
+   * Close a poll that will never open for voting
+   * @private
+   */
+  async _closePoll(poll) {
+    if (poll.blockchainPollId === null) {
+      return;
+    }
+
+    await BlockchainPoll.updateOne(
+      { blockchainPollId: poll.blockchainPollId },
+      { $set: { endTime: new Date(), isActive: false } }
+    );
+  }
+}
+
+module.exports = new ContributionService();
+module.exports.ContributionError = ContributionError;
@@ -0,0 +1,331 @@
+const crypto = require('crypto');
+const { ChainAdapter } = require('./chainAdapter');
+
+/**
+ * Fake Chain Adapter
+ * In-memory stand-in for the polling contract, used for offline tests.
+ * Polls, votes and transactions live in plain maps; masterchain blocks only
+ * advance when the test calls advanceBlocks().
+ */
+class FakeChainAdapter extends ChainAdapter {
+  constructor() {
+    super();
+    this.contractAddress = 'EQ_FAKE_TPOLLS_CONTRACT';
+    this.rewardDistributorAddress = 'EQ_FAKE_REWARD_DISTRIBUTOR';
+    this.reset();
+  }
+
+  /**
+   * Clear all in-memory state
+   */
+  reset() {
+    this.polls = new Map();
+    this.votes = new Map();
+    this.transactions = new Map();
+    this.seqno = 1;
+    this.lt = 1000n;
+  }
+
+  async init() {
+    this.isInitialized = true;
+    return true;
+  }
+
+  async getContractStatus() {
+    return {
+      deployed: true,
+      address: this.contractAddress,
+      balance: 0,
+      lastTransaction: null
+    };
+  }
+
+  async getPoll(pollId) {
+    const poll = this.polls.get(Number(pollId));
+    return poll ? { ...poll } : null;
+  }
+
+  async getActivePolls() {
+    return Array.from(this.polls.values())
+      .filter(poll => poll.isActive)
+      .map(poll => ({ ...poll }));
+  }
+
+  async getPollResults(pollId) {
+    const poll = this.polls.get(Number(pollId));
+    if (!poll) {
+      throw new Error('Failed to get poll results: Poll not found');
+    }
+
+    const results = Array.from({ length: poll.optionCount }, (_, optionIndex) => ({
+      optionIndex,
+      voteCount: 0
+    }));
+    for (const vote of this.votes.values()) {
+      if (vote.pollId === poll.id) {
+        results[vote.optionIndex].voteCount++;
+      }
+    }
+
+    return {
+      pollId: poll.id,
+      totalVotes: poll.totalVotes,
+      results,
+      isActive: poll.isActive
+    };
+  }
+
+  async getTransaction(txHash) {
+    const tx = this.transactions.get(String(txHash).toLowerCase());
+    return tx ? { ...tx } : null;
+  }
+
+  async getMasterchainInfo() {
+    return {
+      workchain: -1,
+      shard: '-9223372036854775808',
+      initSeqno: 1,
+      latestSeqno: this.seqno
+    };
+  }
+
+  async createPoll(optionCount) {
+    if (optionCount < 2 || optionCount > 10) {
+      throw new Error('Failed to create poll: Poll must have 2-10 options');
+    }
+
+    return {
+      success: true,
+      contractAddress: this.contractAddress,
+      amount: '50000000',
+      payload: Buffer.from(`create:${optionCount}`).toString('base64'),
+      optionCount
+    };
+  }
+
+  async createVoteTransaction(pollId, optionIndex) {
+    if (pollId < 1) {
+      throw new Error('Failed to create vote transaction: Invalid poll ID');
+    }
+
+    return {
+      success: true,
+      contractAddress: this.contractAddress,
+      amount: '20000000',
+      payload: Buffer.from(`vote:${pollId}:${optionIndex}`).toString('base64'),
+      pollId,
+      optionIndex
+    };
+  }
+
+  async createTransferTransaction({ to, amount, comment, currency, senderAddress }) {
+    const jetton = currency && currency.type === 'jetton';
+    return {
+      success: true,
+      to: jetton ? `${senderAddress}:jetton-wallet` : to,
+      amount: jetton ? '50000000' : String(amount),
+      payload: Buffer.from(`transfer:${comment}`).toString('base64'),
+      ...(jetton ? { jettonAmount: String(amount) } : {})
+    };
+  }
+
+  async getTransfer(address, txHash, { currency = { type: 'ton' } } = {}) {
+    const tx = this.transactions.get(String(txHash).toLowerCase());
+    if (!tx || tx.to !== address) {
+      return null;
+    }
+
+    const { to, jettonMaster, ...summary } = tx;
+    const expectedMaster = currency.type === 'jetton' ? currency.masterAddress : null;
+    return jettonMaster === expectedMaster ? summary : { ...summary, amount: '0', comment: null };
+  }
+
+  async findSentMessage(address, messageHash) {
+    const tx = [...this.transactions.values()]
+      .find(t => t.account === address && (t.sentMessageHashes || []).includes(messageHash));
+    if (!tx) {
+      return null;
+    }
+
+    const { account, sentMessageHashes, transferHash, mcSeqno, ...summary } = tx;
+    return summary;
+  }
+
+  async findCreatedPoll(source, transferHash) {
+    const sent = [...this.transactions.values()]
+      .find(t => t.account === source && t.transferHash === transferHash);
+    const tx = sent && [...this.transactions.values()]
+      .find(t => t.account === this.contractAddress && t.sourceTxHash === sent.hash);
+    if (!tx) {
+      return null;
+    }
+
+    const { account, sourceTxHash, createdPollId, mcSeqno, ...summary } = tx;
+    return { ...summary, pollId: createdPollId };
+  }
+
+  async createRewardRootMessage({ pollId, root, total }) {
+    return {
+      to: this.rewardDistributorAddress,
+      amount: (BigInt(total) + 50000000n).toString(),
+      payload: Buffer.from(`reward-root:${pollId}:${root}`).toString('base64')
+    };
+  }
+
+  async createRewardClaimTransaction({ pollId, proof }) {
+    return {
+      success: true,
+      to: this.rewardDistributorAddress,
+      amount: '50000000',
+      payload: Buffer.from(`reward-claim:${pollId}:${proof}`).toString('base64'),
+      pollId
+    };
+  }
+
+  async getRewardClaims({ afterLt = '0' } = {}) {
+    const unread = [...this.transactions.values()]
+      .filter(tx => tx.account === this.rewardDistributorAddress && BigInt(tx.lt) > BigInt(afterLt))
+      .sort((a, b) => (BigInt(a.lt) < BigInt(b.lt) ? -1 : 1));
+
+    return {
+      claims: unread
+        .filter(tx => tx.rewardClaimPollId !== undefined)
+        .map(({ account, rewardClaimPollId, ...summary }) => ({ ...summary, pollId: rewardClaimPollId })),
+      lastLt: unread.length > 0 ? unread[unread.length - 1].lt : afterLt
+    };
+  }
+
+  async hasUserVoted(userAddress, pollId) {
+    return this.votes.has(`${pollId}:${userAddress}`);
+  }
+
+  async getTotalPolls() {
+    return this.polls.size;
+  }
+
+  async getNextPollId() {
+    return this.polls.size + 1;
+  }
+
+  /**
+   * Create a poll as if its CreatePoll message had landed on chain
+   * @param {string} creator - Creator address
+   * @param {number} optionCount - Number of options
+   * @param {Object} options - { sentBy } - hash of the sendMessages() transaction that
+   *   carried the CreatePoll message, for polls registered through a wallet
+   * @returns {Object} { pollId, txHash }
+   */
+  addPoll(creator, optionCount, { sentBy } = {}) {
+    const id = this.polls.size + 1;
+    this.polls.set(id, { id, creator, totalVotes: 0, isActive: true, optionCount });
+    const txHash = this._recordTransaction(creator, true, sentBy ? {
+      account: this.contractAddress,
+      sourceTxHash: sentBy,
+      createdPollId: id
+    } : {});
+    return { pollId: id, txHash };
+  }
+
+  /**
+   * Cast a vote as if its Vote message had landed on chain
+   * @param {number} pollId - Poll ID
+   * @param {number} optionIndex - Option index
+   * @param {string} voterAddress - Voter address
+   * @returns {Object} { txHash, success }
+   */
+  castVote(pollId, optionIndex, voterAddress) {
+    const poll = this.polls.get(Number(pollId));
+    const key = `${pollId}:${voterAddress}`;
+    const success = Boolean(poll && poll.isActive && optionIndex >= 0 &&
+      optionIndex < poll.optionCount && !this.votes.has(key));
+
+    if (success) {
+      this.votes.set(key, { pollId: poll.id, optionIndex, voterAddress });
+      poll.totalVotes++;
+    }
+
+    const txHash = this._recordTransaction(voterAddress, success);
+    return { txHash, success };
+  }
+
+  /**
+   * Send TON or jettons to a wallet as if the transfer had landed on chain
+   * @param {Object} params - { from, to, amount, comment, currency, success }
+   * @returns {string} Transaction hash
+   */
+  sendTransfer({ from, to, amount, comment = null, currency = { type: 'ton' }, success = true }) {
+    return this._recordTransaction(from, success, {
+      to,
+      amount: String(amount),
+      comment,
+      jettonMaster: currency.type === 'jetton' ? currency.masterAddress : null
+    });
+  }
+
+  /**
+   * Send messages from a wallet as if its transfer had been processed
+   * @param {string} from - Sending wallet
+   * @param {Array<string>} messageHashes - Body hashes of the messages the wallet sent
+   * @param {Object} options - { transferHash } - hash of the signed transfer
+   * @returns {string} Transaction hash
+   */
+  sendMessages(from, messageHashes, { transferHash = null } = {}) {
+    return this._recordTransaction(null, true, { account: from, sentMessageHashes: messageHashes, transferHash });
+  }
+
+  /**
+   * Claim a reward from the distributor as if the claim had landed on chain
+   * @param {number} pollId - Poll ID
+   * @param {string} voterAddress - Claiming voter
+   * @param {boolean} success - Whether the distributor accepted the proof
+   * @returns {string} Transaction hash
+   */
+  claimReward(pollId, voterAddress, success = true) {
+    return this._recordTransaction(voterAddress, success, {
+      account: this.rewardDistributorAddress,
+      rewardClaimPollId: Number(pollId)
+    });
+  }
+
+  /**
+   * Close a poll
+   * @param {number} pollId - Poll ID
+   */
+  closePoll(pollId) {
+    const poll = this.polls.get(Number(pollId));
+    if (poll) {
+      poll.isActive = false;
+    }
+  }
+
+  /**
+   * Produce new masterchain blocks
+   * @param {number} count - Number of blocks
+   */
+  advanceBlocks(count = 1) {
+    this.seqno += count;
+  }
+
+  /**
+   * @private
+   */
+  _recordTransaction(sender, success, transfer = {}) {
+    this.lt += 1n;
+    const hash = crypto.randomBytes(32).toString('hex');
+    this.transactions.set(hash, {
+      ...transfer,
+      hash,
+      lt: this.lt.toString(),
+      now: Math.floor(Date.now() / 1000),
+      mcSeqno: this.seqno,
+      sender,
+      success,
+      aborted: !success,
+      bounced: !success,
+      exitCode: success ? 0 : 100
+    });
+    return hash;
+  }
+}
+
+module.exports = FakeChainAdapter;
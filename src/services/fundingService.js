@@ -0,0 +1,168 @@
+const config = require('../config/config');
+const { TON, toUnits, formatAmount, isUnits } = require('../utils/currency');
+
+const BPS = 10000n;
+
+// Earlier names of distributions still found on stored polls
+const LEGACY_DISTRIBUTIONS = {
+  split: 'equal-share'
+};
+
+/**
+ * Raised when funding parameters are missing or cannot be funded
+ */
+class FundingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FundingError';
+    this.code = 'INVALID_FUNDING';
+  }
+}
+
+function ceilDiv(a, b) {
+  return (a + b - 1n) / b;
+}
+
+/**
+ * Funding Service
+ * Server-side reward and funding math for polls. All amounts are bigint strings in the
+ * smallest unit of the poll currency (nanotons for TON); gas is always nanotons of TON.
+ *
+ * fixed:       rewardPool = rewardPerResponse * maxResponses
+ *              targetFund = rewardPool + platformFee + gasReserve
+ * equal-share: targetFund is given (or built from a reward pool); whatever remains after
+ *              the gas reserve and platform fee is shared by the voters, so
+ *              rewardPerResponse is the share each gets if all maxResponses vote.
+ * none:        unrewarded poll, nothing to fund.
+ * For jetton polls the gas reserve is raised in TON, separately from the target fund.
+ */
+class FundingService {
+  constructor() {
+    this.platformFeeBps = BigInt(config.funding.platformFeeBps);
+  }
+
+  /**
+   * Gas reserved for one voter payout
+   * @param {Object} currency - Poll currency
+   * @returns {bigint} Nanotons
+   */
+  getGasPerPayout(currency = TON) {
+    return BigInt(toUnits(currency.type === 'jetton' ? config.funding.jettonGasPerPayout : config.funding.gasPerPayout));
+  }
+
+  /**
+   * Quote the funding of a poll
+   * @param {Object} params - Funding parameters
+   * @param {string} params.rewardDistribution - 'fixed', 'equal-share' or 'none'
+   * @param {number} params.maxResponses - Maximum number of rewarded responses
+   * @param {string} params.rewardPerResponse - Reward per response (fixed)
+   * @param {string} params.targetFund - Total to raise (equal-share; optional)
+   * @param {string} params.rewardPool - Amount to share between voters (equal-share, when no targetFund)
+   * @param {Object} params.currency - Poll currency (default: TON)
+   * @returns {Object} { currency, rewardDistribution, maxResponses, rewardPerResponse, rewardPool,
+   *   platformFee, platformFeeBps, gasReserve, targetFund, formatted }
+   */
+  quote({ rewardDistribution, maxResponses, rewardPerResponse, targetFund, rewardPool, currency = TON }) {
+    if (!['fixed', 'equal-share', 'none'].includes(rewardDistribution)) {
+      throw new FundingError("rewardDistribution must be 'fixed', 'equal-share' or 'none'");
+    }
+    if (!Number.isInteger(Number(maxResponses)) || Number(maxResponses) < 1) {
+      throw new FundingError('maxResponses must be a positive integer');
+    }
+    for (const [field, value] of Object.entries({ rewardPerResponse, targetFund, rewardPool })) {
+      if (value !== undefined && value !== null && !isUnits(String(value))) {
+        throw new FundingError(`${field} must be an integer amount in the currency's smallest unit`);
+      }
+    }
+
+    const responses = BigInt(maxResponses);
+    const gasReserve = rewardDistribution === 'none' ? 0n : this.getGasPerPayout(currency) * responses;
+    // Gas is paid in TON: part of the target fund for TON polls, raised separately for jettons
+    const fundedGas = currency.type === 'jetton' ? 0n : gasReserve;
+
+    let perResponse = 0n;
+    let pool = 0n;
+    let fee = 0n;
+    let fund = 0n;
+    if (rewardDistribution === 'fixed') {
+      if (rewardPerResponse === undefined || rewardPerResponse === null) {
+        throw new FundingError('rewardPerResponse is required for fixed distribution');
+      }
+      perResponse = BigInt(rewardPerResponse);
+      pool = perResponse * responses;
+      fee = ceilDiv(pool * this.platformFeeBps, BPS);
+      fund = pool + fee + fundedGas;
+    } else if (rewardDistribution === 'equal-share') {
+      if (targetFund !== undefined && targetFund !== null) {
+        fund = BigInt(targetFund);
+        if (fund <= fundedGas) {
+          throw new FundingError(`targetFund must exceed the gas reserve of ${formatAmount(gasReserve, TON)}`);
+        }
+        // The fee is charged on the pool, so pool + fee = available
+        pool = (fund - fundedGas) * BPS / (BPS + this.platformFeeBps);
+        fee = fund - fundedGas - pool;
+      } else {
+        pool = BigInt(rewardPool !== undefined && rewardPool !== null
+          ? rewardPool
+          : toUnits(config.rewards.defaultRewardPool, currency.decimals));
+        fee = ceilDiv(pool * this.platformFeeBps, BPS);
+        fund = pool + fee + fundedGas;
+      }
+      perResponse = pool / responses;
+      if (perResponse === 0n) {
+        throw new FundingError('The reward pool is too small to reward every response');
+      }
+    }
+
+    const amounts = {
+      rewardPerResponse: perResponse.toString(),
+      rewardPool: pool.toString(),
+      platformFee: fee.toString(),
+      gasReserve: gasReserve.toString(),
+      targetFund: fund.toString()
+    };
+
+    return {
+      currency,
+      rewardDistribution,
+      maxResponses: Number(maxResponses),
+      ...amounts,
+      platformFeeBps: Number(this.platformFeeBps),
+      formatted: Object.fromEntries(Object.entries(amounts).map(([field, value]) =>
+        [field, formatAmount(value, field === 'gasReserve' ? TON : currency)]
+      ))
+    };
+  }
+
+  /**
+   * Current name of a stored poll's reward distribution
+   * Polls saved with the old default 'split' share their pool like 'equal-share'.
+   * @param {string} rewardDistribution - Stored value
+   * @returns {string} Distribution accepted by quote()
+   */
+  normalizeDistribution(rewardDistribution) {
+    return LEGACY_DISTRIBUTIONS[rewardDistribution] || rewardDistribution;
+  }
+
+  /**
+   * Quote the funding of a stored poll from its own settings
+   * @param {Object} poll - Poll with rewardDistribution, maxResponses, rewardPerResponse, targetFund, rewardCurrency
+   * @returns {Object} Quote (see quote())
+   */
+  quoteForPoll(poll) {
+    const currency = poll.rewardCurrency && typeof poll.rewardCurrency.toObject === 'function'
+      ? poll.rewardCurrency.toObject()
+      : poll.rewardCurrency || TON;
+    const rewardDistribution = this.normalizeDistribution(poll.rewardDistribution);
+    return this.quote({
+      rewardDistribution,
+      maxResponses: poll.maxResponses,
+      rewardPerResponse: rewardDistribution === 'fixed' ? poll.rewardPerResponse : undefined,
+      targetFund: rewardDistribution === 'fixed' ? undefined : poll.targetFund,
+      currency
+    });
+  }
+}
+
+module.exports = new FundingService();
+module.exports.FundingError = FundingError;
@@ -0,0 +1,193 @@
+const { TupleReader } = require('@ton/core');
+
+// Getters whose result depends on a single poll, and the position of the poll ID argument
+const POLL_ARG_INDEX = {
+  getPoll: 0,
+  getPollCreator: 0,
+  getOptionResult: 0,
+  hasUserVoted: 1,
+  getUserVote: 1
+};
+
+// Getters whose result changes whenever any poll is created or voted on
+const GLOBAL_METHODS = ['getPollCount', 'getNextPollId', 'getActivePolls'];
+
+/**
+ * Getter Cache
+ * Read-through cache in front of TonClient.runMethod.
+ * Results are cached per method with their own TTL, concurrent identical calls
+ * share one RPC, and entries for a poll can be invalidated when it changes; calls
+ * still running then are neither cached nor joined by later calls.
+ */
+class GetterCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {Object} options.ttls - TTL in seconds per getter name
+   * @param {number} options.defaultTtl - TTL in seconds for getters not listed
+   * @param {number} options.maxEntries - Maximum cached results
+   */
+  constructor({ ttls = {}, defaultTtl = 10, maxEntries = 1000 } = {}) {
+    this.ttls = ttls;
+    this.defaultTtl = defaultTtl;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.inflight = new Map();
+  }
+
+  /**
+   * Wrap a TonClient so its runMethod goes through the cache
+   * @param {TonClient} client - Client to wrap
+   * @returns {TonClient} The same client
+   */
+  wrap(client) {
+    const runMethod = client.runMethod.bind(client);
+    client.runMethod = (address, name, stack = []) =>
+      this.run(address, name, stack, () => runMethod(address, name, stack));
+    return client;
+  }
+
+  /**
+   * Run a getter through the cache
+   * @param {Address} address - Contract address
+   * @param {string} name - Getter name
+   * @param {Array} stack - Getter arguments
+   * @param {Function} fetch - Performs the actual RPC call
+   * @returns {Promise<Object>} { gas_used, stack } with a fresh TupleReader
+   */
+  async run(address, name, stack, fetch) {
+    const key = this._key(address, name, stack);
+
+    const cached = this.entries.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return this._toResult(cached);
+    }
+    this.entries.delete(key);
+
+    // Coalesce concurrent identical calls into one RPC
+    let call = this.inflight.get(key);
+    if (!call) {
+      call = { name, pollId: this._pollIdArg(name, stack), stale: false };
+      call.promise = fetch()
+        .then((result) => {
+          const entry = {
+            name,
+            pollId: call.pollId,
+            gasUsed: result.gas_used,
+            items: [...result.stack.items],
+            expiresAt: Date.now() + this._ttl(name) * 1000
+          };
+          // A call invalidated while it ran may have read the poll before it changed
+          if (!call.stale) {
+            this._store(key, entry);
+          }
+          return entry;
+        })
+        .finally(() => {
+          if (this.inflight.get(key) === call) {
+            this.inflight.delete(key);
+          }
+        });
+      this.inflight.set(key, call);
+    }
+
+    return this._toResult(await call.promise);
+  }
+
+  /**
+   * Drop cached results that depend on a poll
+   * @param {number} pollId - Poll ID that changed
+   */
+  invalidatePoll(pollId) {
+    const id = Number(pollId);
+    const dependsOnPoll = (entry) => entry.pollId === id || GLOBAL_METHODS.includes(entry.name);
+    for (const [key, entry] of this.entries) {
+      if (dependsOnPoll(entry)) {
+        this.entries.delete(key);
+      }
+    }
+    for (const [key, call] of this.inflight) {
+      if (dependsOnPoll(call)) {
+        this._detach(key, call);
+      }
+    }
+  }
+
+  /**
+   * Drop all cached results
+   */
+  clear() {
+    this.entries.clear();
+    for (const [key, call] of this.inflight) {
+      this._detach(key, call);
+    }
+  }
+
+  /**
+   * Keep a running call from being cached or joined by later calls
+   * Its current callers still get its result.
+   * @private
+   */
+  _detach(key, call) {
+    call.stale = true;
+    this.inflight.delete(key);
+  }
+
+  /**
+   * @private
+   */
+  _store(key, entry) {
+    if (this._ttl(entry.name) <= 0) {
+      return;
+    }
+
+    this.entries.set(key, entry);
+
+    // Evict oldest entries once over capacity (Map keeps insertion order)
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _toResult(entry) {
+    return {
+      gas_used: entry.gasUsed,
+      stack: new TupleReader(entry.items)
+    };
+  }
+
+  /**
+   * @private
+   */
+  _ttl(name) {
+    return this.ttls[name] ?? this.defaultTtl;
+  }
+
+  /**
+   * @private
+   */
+  _pollIdArg(name, stack) {
+    const arg = stack[POLL_ARG_INDEX[name]];
+    return arg && arg.type === 'int' ? Number(arg.value) : null;
+  }
+
+  /**
+   * @private
+   */
+  _key(address, name, stack) {
+    const args = stack.map((item) => {
+      if (item.type === 'int') {
+        return item.value.toString();
+      }
+      if (item.cell) {
+        return item.cell.hash().toString('hex');
+      }
+      return item.type;
+    });
+    return `${address.toString()}:${name}:${args.join(',')}`;
+  }
+}
+
+module.exports = GetterCache;
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+// Accepted image formats, detected from the file signature rather than the client's Content-Type
+const IMAGE_SIGNATURES = [
+  { contentType: 'image/png', extension: 'png', matches: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { contentType: 'image/jpeg', extension: 'jpg', matches: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { contentType: 'image/gif', extension: 'gif', matches: b => ['GIF87a', 'GIF89a'].includes(b.subarray(0, 6).toString('ascii')) },
+  { contentType: 'image/webp', extension: 'webp', matches: b => b.subarray(0, 4).toString('ascii') === 'RIFF' && b.subarray(8, 12).toString('ascii') === 'WEBP' }
+];
+
+const BUCKET_NAME = 'optionImages';
+
+/**
+ * Image Storage Service
+ * Stores uploaded poll option images on the local filesystem or in MongoDB GridFS,
+ * selected by config.images.storage. Images are addressed by an opaque key.
+ */
+class ImageStorageService {
+  constructor() {
+    this.storage = config.images.storage;
+  }
+
+  /**
+   * Detect the image format of a buffer
+   * @param {Buffer} buffer - Image bytes
+   * @returns {Object|null} { contentType, extension } or null if not a supported image
+   */
+  detectFormat(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+      return null;
+    }
+    const format = IMAGE_SIGNATURES.find(signature => signature.matches(buffer));
+    return format ? { contentType: format.contentType, extension: format.extension } : null;
+  }
+
+  /**
+   * Store an image
+   * @param {Buffer} buffer - Image bytes
+   * @returns {Promise<Object>} { storage, key, contentType, size, url }
+   */
+  async save(buffer) {
+    const format = this.detectFormat(buffer);
+    if (!format) {
+      throw new Error('Unsupported image format (expected PNG, JPEG, GIF or WebP)');
+    }
+    if (buffer.length > config.images.maxBytes) {
+      throw new Error(`Image exceeds the ${config.images.maxBytes} byte limit`);
+    }
+
+    const key = this.storage === 'gridfs'
+      ? await this._saveToGridFs(buffer, format)
+      : await this._saveToDisk(buffer, format);
+
+    return {
+      storage: this.storage,
+      key,
+      contentType: format.contentType,
+      size: buffer.length,
+      url: this.getUrl(key)
+    };
+  }
+
+  /**
+   * Open a stored image for reading
+   * @param {string} key - Image key
+   * @returns {Promise<Object|null>} { stream, contentType, size } or null if not found
+   */
+  async open(key) {
+    return this.storage === 'gridfs'
+      ? await this._openFromGridFs(key)
+      : await this._openFromDisk(key);
+  }
+
+  /**
+   * Delete a stored image (missing images are ignored)
+   * @param {string} key - Image key
+   */
+  async remove(key) {
+    try {
+      if (this.storage === 'gridfs') {
+        await this._bucket().delete(new mongoose.Types.ObjectId(key));
+      } else {
+        await fs.promises.unlink(this._diskPath(key));
+      }
+    } catch (error) {
+      console.warn(`Failed to remove image ${key}:`, error.message);
+    }
+  }
+
+  /**
+   * Public URL for an image key
+   * @param {string} key - Image key
+   * @returns {string} URL
+   */
+  getUrl(key) {
+    return `${config.images.publicBaseUrl.replace(/\/$/, '')}/${key}`;
+  }
+
+  /**
+   * @private
+   */
+  async _saveToDisk(buffer, format) {
+    const key = `${crypto.randomBytes(16).toString('hex')}.${format.extension}`;
+    await fs.promises.mkdir(config.images.localDir, { recursive: true });
+    await fs.promises.writeFile(this._diskPath(key), buffer);
+    return key;
+  }
+
+  /**
+   * @private
+   */
+  async _openFromDisk(key) {
+    const filePath = this._diskPath(key);
+    try {
+      const stat = await fs.promises.stat(filePath);
+      const extension = path.extname(key).slice(1);
+      const format = IMAGE_SIGNATURES.find(signature => signature.extension === extension);
+      return {
+        stream: fs.createReadStream(filePath),
+        contentType: format ? format.contentType : 'application/octet-stream',
+        size: stat.size
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Keys are generated by us; reject anything that could escape the image directory
+   * @private
+   */
+  _diskPath(key) {
+    if (!/^[a-f0-9]{32}\.(png|jpg|gif|webp)$/.test(key)) {
+      throw new Error('Invalid image key');
+    }
+    return path.join(config.images.localDir, key);
+  }
+
+  /**
+   * @private
+   */
+  _bucket() {
+    if (!mongoose.connection.db) {
+      throw new Error('MongoDB is not connected');
+    }
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+  }
+
+  /**
+   * @private
+   */
+  _saveToGridFs(buffer, format) {
+    return new Promise((resolve, reject) => {
+      const upload = this._bucket().openUploadStream(`${crypto.randomBytes(16).toString('hex')}.${format.extension}`, {
+        metadata: { contentType: format.contentType }
+      });
+      upload.once('error', reject);
+      upload.once('finish', () => resolve(upload.id.toString()));
+      upload.end(buffer);
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _openFromGridFs(key) {
+    if (!mongoose.isValidObjectId(key)) {
+      return null;
+    }
+
+    const id = new mongoose.Types.ObjectId(key);
+    const [file] = await this._bucket().find({ _id: id }).toArray();
+    if (!file) {
+      return null;
+    }
+
+    return {
+      stream: this._bucket().openDownloadStream(id),
+      contentType: file.metadata && file.metadata.contentType ? file.metadata.contentType : 'application/octet-stream',
+      size: file.length
+    };
+  }
+}
+
+module.exports = new ImageStorageService();
@@ -0,0 +1,111 @@
+const config = require('../config/config');
+
+/**
+ * LLM Provider
+ * Interface between openaiService and the chat-completion backend.
+ * Each AI function calls complete() with its task name so the provider can
+ * pick the model configured for that task.
+ */
+class LlmProvider {
+  constructor() {
+    this.name = 'base';
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - Completion request
+   * @param {string} request.task - AI function name (selects the model)
+   * @param {Array} request.messages - Chat messages
+   * @param {number} request.temperature - Sampling temperature
+   * @param {number} request.maxTokens - Maximum completion tokens
+   * @param {Object} request.responseFormat - Optional response_format (json_object / json_schema)
+   * @param {Object} request.context - Structured inputs of the AI function (used by the stub provider)
+   * @param {AbortSignal} request.signal - Optional; aborts the request
+   * @returns {Promise<string>} Message content
+   */
+  async complete(request) {
+    throw new Error(`${this.constructor.name} does not implement complete()`);
+  }
+
+  /**
+   * Stream a chat completion
+   * Providers without streaming yield the whole completion as one chunk.
+   * @param {Object} request - Same as complete()
+   * @returns {AsyncGenerator<string>} Content deltas
+   */
+  async *stream(request) {
+    yield await this.complete(request);
+  }
+
+  /**
+   * Moderate texts with the provider's moderation endpoint
+   * Providers without one return null and the caller falls back to its own rules.
+   * @param {Array<string>} inputs - Texts to check
+   * @returns {Promise<Array|null>} [{ flagged, categories }] per input, or null
+   */
+  async moderate(inputs) {
+    return null;
+  }
+
+  /**
+   * Get the model configured for a task
+   * @param {string} task - AI function name
+   * @returns {string} Model name
+   */
+  getModel(task) {
+    return config.llm.models[task] || config.llm.model;
+  }
+}
+
+let activeProvider = null;
+
+/**
+ * Create a provider by name
+ * @param {string} name - 'openai', 'azure', 'local' (OpenAI-compatible server) or 'stub'
+ * @returns {LlmProvider} Provider instance
+ */
+function createLlmProvider(name) {
+  switch (name) {
+    case 'openai':
+    case 'azure':
+    case 'local': {
+      const OpenAIProvider = require('./openaiProvider');
+      return new OpenAIProvider(name);
+    }
+    case 'stub': {
+      const StubLlmProvider = require('./stubLlmProvider');
+      return new StubLlmProvider();
+    }
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+/**
+ * Get the active provider, selected by config.llm.provider
+ * @returns {LlmProvider} Active provider
+ */
+function getLlmProvider() {
+  if (!activeProvider) {
+    activeProvider = createLlmProvider(config.llm.provider);
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider (used by offline tests)
+ * @param {LlmProvider} provider - Provider to use
+ */
+function setLlmProvider(provider) {
+  if (!(provider instanceof LlmProvider)) {
+    throw new Error('LLM provider must extend LlmProvider');
+  }
+  activeProvider = provider;
+}
+
+module.exports = {
+  LlmProvider,
+  createLlmProvider,
+  getLlmProvider,
+  setLlmProvider
+};
@@ -0,0 +1,212 @@
+const categoryService = require('./categoryService');
+
+const OPTION_MAX_LENGTH = 100;
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+const ALT_TEXT_MAX_LENGTH = 250;
+
+// Issue and error codes reported for off-spec LLM output
+const ERROR_CODES = {
+  INVALID_JSON: 'LLM_INVALID_JSON',
+  MISSING_FIELD: 'LLM_MISSING_FIELD',
+  INVALID_TYPE: 'LLM_INVALID_TYPE',
+  OPTION_COUNT: 'LLM_OPTION_COUNT',
+  DUPLICATE_OPTIONS: 'LLM_DUPLICATE_OPTIONS',
+  OPTION_TOO_LONG: 'LLM_OPTION_TOO_LONG',
+  INVALID_CATEGORY: 'LLM_INVALID_CATEGORY',
+  INVALID_SETTINGS: 'LLM_INVALID_SETTINGS',
+  OUTPUT_INVALID: 'LLM_OUTPUT_INVALID'
+};
+
+/**
+ * Raised when the LLM output is still invalid after the repair attempts
+ */
+class LlmOutputError extends Error {
+  /**
+   * @param {string} task - AI function name
+   * @param {Array} issues - Validation issues from the last attempt
+   * @param {number} attempts - Number of completions tried
+   */
+  constructor(task, issues, attempts) {
+    super(`Invalid ${task} output from LLM provider after ${attempts} attempt(s): ${issues.map(issue => issue.message).join('; ')}`);
+    this.name = 'LlmOutputError';
+    this.code = ERROR_CODES.OUTPUT_INVALID;
+    this.task = task;
+    this.issues = issues;
+    this.attempts = attempts;
+  }
+}
+
+function issue(code, field, message) {
+  return { code, field, message };
+}
+
+/**
+ * Parse a JSON completion
+ * @param {string} content - Raw completion
+ * @returns {Object} { value, issues }
+ */
+function parseJson(content) {
+  try {
+    // Tolerate markdown code fences around the JSON
+    const json = String(content).trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    return { value: JSON.parse(json), issues: [] };
+  } catch (error) {
+    return { value: null, issues: [issue(ERROR_CODES.INVALID_JSON, null, `Response is not valid JSON: ${error.message}`)] };
+  }
+}
+
+/**
+ * Validate poll options
+ * @param {Array} options - Options to check
+ * @param {Object} rules - { count, min, max, maxLength }
+ * @returns {Array} Issues (empty when valid)
+ */
+function validateOptions(options, { count = null, min = MIN_OPTIONS, max = MAX_OPTIONS, maxLength = OPTION_MAX_LENGTH } = {}) {
+  if (!Array.isArray(options)) {
+    return [issue(ERROR_CODES.INVALID_TYPE, 'options', 'options must be an array of strings')];
+  }
+
+  const issues = [];
+  if (options.some(option => typeof option !== 'string' || !option.trim())) {
+    issues.push(issue(ERROR_CODES.INVALID_TYPE, 'options', 'every option must be a non-empty string'));
+    return issues;
+  }
+
+  if (count !== null && options.length !== count) {
+    issues.push(issue(ERROR_CODES.OPTION_COUNT, 'options', `expected exactly ${count} options, got ${options.length}`));
+  } else if (options.length < min || options.length > max) {
+    issues.push(issue(ERROR_CODES.OPTION_COUNT, 'options', `expected between ${min} and ${max} options, got ${options.length}`));
+  }
+
+  const seen = new Set();
+  const duplicates = options.filter(option => {
+    const key = option.trim().toLowerCase();
+    if (seen.has(key)) return true;
+    seen.add(key);
+    return false;
+  });
+  if (duplicates.length > 0) {
+    issues.push(issue(ERROR_CODES.DUPLICATE_OPTIONS, 'options', `options must be unique (duplicates: ${duplicates.join(', ')})`));
+  }
+
+  const tooLong = options.filter(option => option.trim().length > maxLength);
+  if (tooLong.length > 0) {
+    issues.push(issue(ERROR_CODES.OPTION_TOO_LONG, 'options', `options must be at most ${maxLength} characters`));
+  }
+
+  return issues;
+}
+
+/**
+ * Validate per-option image prompts and alt text for gallery polls
+ * @param {Array} items - [{ imagePrompt, altText }]
+ * @param {number} count - Expected number of items (one per option)
+ * @returns {Array} Issues (empty when valid)
+ */
+function validateImagePrompts(items, count) {
+  if (!Array.isArray(items)) {
+    return [issue(ERROR_CODES.INVALID_TYPE, 'options', 'options must be an array of { imagePrompt, altText } objects')];
+  }
+
+  const issues = [];
+  if (items.length !== count) {
+    issues.push(issue(ERROR_CODES.OPTION_COUNT, 'options', `expected exactly ${count} image prompts, got ${items.length}`));
+  }
+  items.forEach((item, index) => {
+    for (const field of ['imagePrompt', 'altText']) {
+      if (!item || typeof item[field] !== 'string' || !item[field].trim()) {
+        issues.push(issue(ERROR_CODES.MISSING_FIELD, `options[${index}].${field}`, `options[${index}].${field} must be a non-empty string`));
+      }
+    }
+    if (item && typeof item.altText === 'string' && item.altText.length > ALT_TEXT_MAX_LENGTH) {
+      issues.push(issue(ERROR_CODES.OPTION_TOO_LONG, `options[${index}].altText`, `alt text must be at most ${ALT_TEXT_MAX_LENGTH} characters`));
+    }
+  });
+  return issues;
+}
+
+/**
+ * Validate a category slug against the active categories
+ * @param {string} category - Category to check
+ * @returns {Array} Issues (empty when valid)
+ */
+function validateCategory(category) {
+  if (!categoryService.isValid(category)) {
+    return [issue(ERROR_CODES.INVALID_CATEGORY, 'category', `category must be one of: ${categoryService.getSlugs().join(', ')}`)];
+  }
+  return [];
+}
+
+/**
+ * Validate extracted poll settings
+ * @param {Object} settings - Settings to check
+ * @returns {Array} Issues (empty when valid)
+ */
+function validateSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    return [issue(ERROR_CODES.MISSING_FIELD, 'settings', 'settings object is required')];
+  }
+
+  const issues = [];
+  if (!Number.isInteger(settings.maxResponses) || settings.maxResponses < 1) {
+    issues.push(issue(ERROR_CODES.INVALID_SETTINGS, 'maxResponses', 'maxResponses must be a positive integer'));
+  }
+  if (typeof settings.rewardPerResponse !== 'string' || !/^\d+(\.\d+)?$/.test(settings.rewardPerResponse)) {
+    issues.push(issue(ERROR_CODES.INVALID_SETTINGS, 'rewardPerResponse', 'rewardPerResponse must be a decimal string'));
+  }
+  if (!['equal-share', 'fixed'].includes(settings.rewardDistribution)) {
+    issues.push(issue(ERROR_CODES.INVALID_SETTINGS, 'rewardDistribution', "rewardDistribution must be 'equal-share' or 'fixed'"));
+  }
+  if (!Number.isInteger(settings.durationDays) || settings.durationDays < 1 || settings.durationDays > 365) {
+    issues.push(issue(ERROR_CODES.INVALID_SETTINGS, 'durationDays', 'durationDays must be an integer between 1 and 365'));
+  }
+  if (!['self-funded', 'crowdfunded'].includes(settings.fundingType)) {
+    issues.push(issue(ERROR_CODES.INVALID_SETTINGS, 'fundingType', "fundingType must be 'self-funded' or 'crowdfunded'"));
+  }
+  if (typeof settings.isOpenImmediately !== 'boolean') {
+    issues.push(issue(ERROR_CODES.INVALID_SETTINGS, 'isOpenImmediately', 'isOpenImmediately must be a boolean'));
+  }
+  return issues;
+}
+
+/**
+ * Validate generated poll content (subject, description, category, options)
+ * @param {Object} poll - Poll to check
+ * @param {Object} rules - { numOptions, requireSettings, requireCategory }
+ * @returns {Array} Issues (empty when valid)
+ */
+function validatePoll(poll, { numOptions = null, requireSettings = false, requireCategory = true } = {}) {
+  if (!poll || typeof poll !== 'object' || Array.isArray(poll)) {
+    return [issue(ERROR_CODES.INVALID_TYPE, null, 'response must be a JSON object')];
+  }
+
+  const issues = [];
+  for (const field of ['subject', 'description']) {
+    if (typeof poll[field] !== 'string' || !poll[field].trim()) {
+      issues.push(issue(ERROR_CODES.MISSING_FIELD, field, `${field} must be a non-empty string`));
+    }
+  }
+
+  if (requireCategory) {
+    issues.push(...validateCategory(poll.category));
+  }
+  issues.push(...validateOptions(poll.options, { count: numOptions }));
+
+  if (requireSettings) {
+    issues.push(...validateSettings(poll.settings));
+  }
+  return issues;
+}
+
+module.exports = {
+  OPTION_MAX_LENGTH,
+  ERROR_CODES,
+  LlmOutputError,
+  parseJson,
+  validateOptions,
+  validateImagePrompts,
+  validateCategory,
+  validateSettings,
+  validatePoll
+};
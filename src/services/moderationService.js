@@ -0,0 +1,209 @@
+const { getLlmProvider } = require('./llmProvider');
+const config = require('../config/config');
+
+// Fallback rules used when the LLM provider has no moderation endpoint
+const BLOCKED_PATTERNS = [
+  { category: 'hate', pattern: /\b(kill|exterminate|deport|ban|eradicate)\s+(all\s+)?(the\s+)?(jews|muslims|christians|blacks|whites|gays|immigrants|refugees|women)\b/i },
+  { category: 'hate', pattern: /\b(inferior|subhuman)\s+(race|races|people)\b/i },
+  { category: 'violence', pattern: /\b(how\s+to|best\s+way\s+to|who\s+should\s+we)\s+(kill|murder|assassinate|poison|bomb|shoot)\b/i },
+  { category: 'illicit', pattern: /\b(buy|sell|make|cook|synthesi[sz]e|smuggle)\s+(meth|methamphetamine|cocaine|heroin|fentanyl|explosives|a\s+bomb|weapons)\b/i },
+  { category: 'sexual/minors', pattern: /\b(child|minor|underage)\s+(porn|sex|nudes?)\b/i },
+  { category: 'self-harm', pattern: /\b(best|easiest|painless)\s+way\s+to\s+(kill\s+myself|commit\s+suicide|self[\s-]harm)\b/i }
+];
+
+// Instructions aimed at the model rather than describing a poll
+const INJECTION_PATTERNS = [
+  { name: 'ignore-instructions', pattern: /\b(ignore|disregard|forget|override)\s+(all\s+|any\s+|the\s+)?(previous|prior|above|earlier|system)\s+(instructions|prompts?|rules|messages)\b/gi },
+  { name: 'role-override', pattern: /\b(you\s+are\s+now|act\s+as|pretend\s+to\s+be|from\s+now\s+on\s+you)\b[^.\n]*/gi },
+  { name: 'prompt-leak', pattern: /\b(reveal|print|show|repeat|output)\s+(your|the)\s+(system\s+)?(prompt|instructions)\b/gi },
+  { name: 'role-marker', pattern: /^\s*(system|assistant|developer)\s*:/gim },
+  { name: 'special-token', pattern: /<\|[^|>]*\|>|\[\/?(INST|SYS)\]/gi },
+  { name: 'code-fence', pattern: /```/g }
+];
+
+const MAX_USER_TEXT_LENGTH = 2000;
+
+/**
+ * Moderation Service
+ * Guards AI poll generation: rejects disallowed topics before generation,
+ * neutralises prompt-injection attempts in user text, and checks the generated
+ * poll afterwards. Uses the LLM provider's moderation endpoint when it has one,
+ * otherwise keyword rules.
+ */
+class ModerationService {
+  /**
+   * Moderate a list of texts
+   * @param {Array<string>} texts - Texts to check
+   * @returns {Promise<Object>} { flagged, categories, flaggedIndexes, source }
+   */
+  async moderate(texts) {
+    const inputs = texts.map(text => String(text || ''));
+    let results = null;
+    let source = 'rules';
+
+    if (config.moderation.useProvider) {
+      try {
+        results = await getLlmProvider().moderate(inputs);
+        source = getLlmProvider().name;
+      } catch (error) {
+        console.error('Error calling provider moderation, falling back to rules:', error);
+      }
+    }
+
+    if (!results) {
+      results = inputs.map(text => this._moderateWithRules(text));
+      source = 'rules';
+    }
+
+    const flaggedIndexes = [];
+    const categories = new Set();
+    results.forEach((result, index) => {
+      if (result.flagged) {
+        flaggedIndexes.push(index);
+        result.categories.forEach(category => categories.add(category));
+      }
+    });
+
+    return {
+      flagged: flaggedIndexes.length > 0,
+      categories: [...categories],
+      flaggedIndexes,
+      source
+    };
+  }
+
+  /**
+   * Strip prompt-injection attempts from user text
+   * @param {string} text - User text
+   * @returns {Object} { text, detected, patterns }
+   */
+  neutralizeInjection(text) {
+    let sanitized = String(text || '').slice(0, MAX_USER_TEXT_LENGTH);
+    const patterns = [];
+
+    for (const { name, pattern } of INJECTION_PATTERNS) {
+      const next = sanitized.replace(pattern, ' ');
+      if (next !== sanitized) {
+        patterns.push(name);
+        sanitized = next;
+      }
+    }
+
+    // Control characters can hide instructions from reviewers
+    sanitized = sanitized.replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, ' ').replace(/[ \t]+/g, ' ').trim();
+
+    return {
+      text: sanitized,
+      detected: patterns.length > 0,
+      patterns
+    };
+  }
+
+  /**
+   * Check user text before generation
+   * @param {string} text - Prompt, question or feedback
+   * @returns {Promise<Object>} Verdict with the sanitized text; status is 'rejected' for disallowed topics
+   */
+  async checkInput(text) {
+    const injection = this.neutralizeInjection(text);
+    const { flagged, categories, source } = config.moderation.enabled
+      ? await this.moderate([text])
+      : { flagged: false, categories: [], source: 'disabled' };
+
+    return {
+      status: flagged ? 'rejected' : 'passed',
+      text: injection.text,
+      categories,
+      injectionDetected: injection.detected,
+      injectionPatterns: injection.patterns,
+      source
+    };
+  }
+
+  /**
+   * Check poll text sent by the client before it is quoted into a prompt
+   * @param {Object} poll - { subject, description, options }
+   * @returns {Promise<Object>} Verdict like checkInput, with the sanitized { subject, description, options } as poll;
+   *   status is 'rejected' when the subject or description is disallowed
+   */
+  async checkPollInput({ subject, description, options = [] }) {
+    const labels = options.map(option => (typeof option === 'string' ? option : option && option.label));
+    const texts = [subject, description, ...labels];
+    const injections = texts.map(text => this.neutralizeInjection(text));
+    const { flaggedIndexes, categories, source } = config.moderation.enabled
+      ? await this.moderate(texts)
+      : { flaggedIndexes: [], categories: [], source: 'disabled' };
+    const patterns = [...new Set(injections.flatMap(injection => injection.patterns))];
+
+    // As for generated polls, flagged options alone leave them to the output check
+    let status = 'passed';
+    if (flaggedIndexes.some(index => index < 2)) {
+      status = 'rejected';
+    } else if (flaggedIndexes.length > 0) {
+      status = 'flagged';
+    }
+
+    return {
+      status,
+      poll: {
+        subject: injections[0].text,
+        description: injections[1].text,
+        options: injections.slice(2).map(injection => injection.text)
+      },
+      categories,
+      injectionDetected: patterns.length > 0,
+      injectionPatterns: patterns,
+      source
+    };
+  }
+
+  /**
+   * Check generated poll content
+   * A flagged subject or description rejects the poll; flagged options are reported by index.
+   * @param {Object} poll - { subject, description, options }
+   * @param {Object} inputVerdict - Verdict from checkInput, merged into the result
+   * @returns {Promise<Object>} Verdict to store on AiGeneratedPoll.moderation
+   */
+  async checkGenerated({ subject, description, options = [] }, inputVerdict = null) {
+    const optionTexts = options.map(option => (typeof option === 'string' ? option : option && option.label));
+    const { flaggedIndexes, categories, source } = config.moderation.enabled
+      ? await this.moderate([subject, description, ...optionTexts])
+      : { flaggedIndexes: [], categories: [], source: 'disabled' };
+
+    const contentFlagged = flaggedIndexes.some(index => index < 2);
+    const flaggedOptions = flaggedIndexes.filter(index => index >= 2).map(index => index - 2);
+
+    let status = 'passed';
+    if (contentFlagged) {
+      status = 'rejected';
+    } else if (flaggedOptions.length > 0) {
+      status = 'flagged';
+    }
+
+    return {
+      status,
+      categories: [...new Set([...(inputVerdict ? inputVerdict.categories : []), ...categories])],
+      injectionDetected: inputVerdict ? inputVerdict.injectionDetected : false,
+      injectionPatterns: inputVerdict ? inputVerdict.injectionPatterns : [],
+      flaggedOptions,
+      source,
+      checkedAt: new Date()
+    };
+  }
+
+  /**
+   * @private
+   */
+  _moderateWithRules(text) {
+    const categories = BLOCKED_PATTERNS
+      .filter(({ pattern }) => pattern.test(text))
+      .map(({ category }) => category);
+
+    return {
+      flagged: categories.length > 0,
+      categories: [...new Set(categories)]
+    };
+  }
+}
+
+module.exports = new ModerationService();
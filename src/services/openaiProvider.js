@@ -0,0 +1,91 @@
+const { OpenAI, AzureOpenAI } = require('openai');
+const { LlmProvider } = require('./llmProvider');
+const config = require('../config/config');
+
+/**
+ * OpenAI Provider
+ * Chat completions through the openai SDK. Covers OpenAI itself, Azure OpenAI
+ * (the configured model is the deployment name) and any OpenAI-compatible
+ * server such as Ollama or llama.cpp.
+ */
+class OpenAIProvider extends LlmProvider {
+  /**
+   * @param {string} kind - 'openai', 'azure' or 'local'
+   */
+  constructor(kind = 'openai') {
+    super();
+    this.name = kind;
+    this.client = this._createClient(kind);
+  }
+
+  async complete({ task, messages, temperature, maxTokens, responseFormat, signal }) {
+    const response = await this.client.chat.completions.create({
+      model: this.getModel(task),
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(responseFormat && { response_format: responseFormat })
+    }, { signal });
+
+    return response.choices[0].message.content;
+  }
+
+  async *stream({ task, messages, temperature, maxTokens, signal }) {
+    const stream = await this.client.chat.completions.create({
+      model: this.getModel(task),
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true
+    }, { signal });
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0] && chunk.choices[0].delta.content;
+      if (delta) {
+        yield delta;
+      }
+    }
+  }
+
+  async moderate(inputs) {
+    // Azure and OpenAI-compatible servers do not expose the moderation endpoint
+    if (this.name !== 'openai') {
+      return null;
+    }
+
+    const response = await this.client.moderations.create({
+      model: config.moderation.model,
+      input: inputs
+    });
+
+    return response.results.map(result => ({
+      flagged: result.flagged,
+      categories: Object.keys(result.categories).filter(category => result.categories[category])
+    }));
+  }
+
+  /**
+   * @private
+   */
+  _createClient(kind) {
+    switch (kind) {
+      case 'azure':
+        return new AzureOpenAI({
+          endpoint: config.llm.azure.endpoint,
+          apiKey: config.llm.azure.apiKey,
+          apiVersion: config.llm.azure.apiVersion
+        });
+      case 'local':
+        return new OpenAI({
+          baseURL: config.llm.local.baseUrl,
+          apiKey: config.llm.local.apiKey
+        });
+      default:
+        return new OpenAI({
+          apiKey: config.openaiApiKey
+        });
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,236 @@
+const { TonClient, WalletContractV4, Address, Cell, SendMode, beginCell, external, internal, storeMessage } = require('@ton/ton');
+const { mnemonicToPrivateKey, mnemonicValidate } = require('@ton/crypto');
+const config = require('../config/config');
+
+// Wallet v4 sends at most 4 messages per transfer; unsent transfers expire after 60 seconds
+const MAX_MESSAGES = 4;
+const MESSAGE_TTL_SECONDS = 60;
+
+/**
+ * Operator Wallet Service
+ * Backend-held wallet that signs and sends contract messages on behalf of
+ * creators, so sponsored/AI polls can be registered without the creator holding TON.
+ * It also pays voter rewards. Disabled unless TON_OPERATOR_MNEMONIC is configured.
+ */
+class OperatorWalletService {
+  constructor() {
+    this.client = null;
+    this.wallet = null;
+    this.keyPair = null;
+    this.isInitialized = false;
+    // Sends run one at a time; see _enqueue()
+    this.sendQueue = Promise.resolve();
+  }
+
+  /**
+   * Whether an operator mnemonic is configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(config.ton.operatorMnemonic);
+  }
+
+  /**
+   * Initialize the service
+   * @returns {Promise<boolean>} Whether the wallet is ready to sign
+   */
+  async init() {
+    if (!this.isEnabled()) {
+      console.log('Operator wallet not configured, sponsored registration disabled');
+      return false;
+    }
+
+    try {
+      const words = config.ton.operatorMnemonic.trim().split(/\s+/);
+      if (!(await mnemonicValidate(words))) {
+        throw new Error('Invalid operator mnemonic');
+      }
+
+      this.keyPair = await mnemonicToPrivateKey(words);
+      this.wallet = WalletContractV4.create({
+        workchain: 0,
+        publicKey: this.keyPair.publicKey
+      });
+      this.client = new TonClient({
+        endpoint: config.ton.endpoint,
+        apiKey: config.ton.apiKey
+      });
+
+      this.isInitialized = true;
+      console.log(`Operator wallet initialized: ${this.getAddress()}`);
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize operator wallet:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the operator wallet address
+   * @returns {string|null} Wallet address
+   */
+  getAddress() {
+    return this.wallet ? this.wallet.address.toString() : null;
+  }
+
+  /**
+   * Get the operator wallet's current seqno
+   * @returns {Promise<number>} Seqno (0 if the wallet is not deployed yet)
+   */
+  async getSeqno() {
+    this._ensureInitialized();
+    return await this.client.open(this.wallet).getSeqno();
+  }
+
+  /**
+   * Get the operator wallet's TON balance
+   * @returns {Promise<bigint>} Balance in nanotons
+   */
+  async getBalance() {
+    this._ensureInitialized();
+    return await this.client.getBalance(this.wallet.address);
+  }
+
+  /**
+   * Wait until the wallet's seqno has moved past a sent transfer
+   * @param {number} seqno - Seqno the transfer used
+   * @param {number} timeoutMs - How long to wait
+   * @returns {Promise<boolean>} Whether the wallet processed the transfer in time
+   */
+  async waitForSeqno(seqno, timeoutMs = (MESSAGE_TTL_SECONDS + 30) * 1000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      if (await this.getSeqno() > seqno) {
+        return true;
+      }
+      await new Promise(resolve => setTimeout(resolve, 3000));
+    }
+    return false;
+  }
+
+  /**
+   * Whether the wallet has not used a seqno yet
+   * Checked once a transfer has expired: if its seqno is still unused, the wallet never
+   * processed it and its messages can be sent again.
+   * @param {number} seqno - Seqno the transfer used
+   * @returns {Promise<boolean>}
+   */
+  async isSeqnoUnused(seqno) {
+    return await this.getSeqno() <= seqno;
+  }
+
+  /**
+   * Sign and send an internal message from the operator wallet
+   * @param {Object} params - Message parameters
+   * @param {string} params.to - Destination address
+   * @param {string} params.amount - Amount in nanotons
+   * @param {string} params.payload - Message body as base64 BOC
+   * @returns {Promise<Object>} See sendMessages()
+   */
+  async sendMessage({ to, amount, payload }) {
+    return this.sendMessages([{ to, amount, payload }]);
+  }
+
+  /**
+   * Sign and send up to 4 internal messages in one transfer from the operator wallet
+   * Resolves once the wallet has processed the transfer or it has expired (60 seconds),
+   * so the next send gets a fresh seqno. An expired transfer can no longer be processed
+   * and sent nothing; if the wait fails, neither flag is set. A processed transfer only
+   * means the seqno moved: with IGNORE_ERRORS the wallet skips messages it cannot send,
+   * so callers confirm each message by its body hash (see ChainAdapter.findSentMessage()).
+   * @param {Array<Object>} messages - { to, amount, payload, bounce (default true) }
+   * @returns {Promise<Object>} { hash, transferHash, seqno, processed, expired, messageHashes } -
+   *   external message hash, hash of the signed transfer it carries (unique to this send), the
+   *   seqno it used, whether the wallet processed it or it expired, and the body hash of each message
+   */
+  async sendMessages(messages) {
+    this._ensureInitialized();
+
+    if (messages.length === 0 || messages.length > MAX_MESSAGES) {
+      throw new Error(`Operator wallet sends 1-${MAX_MESSAGES} messages per transfer`);
+    }
+
+    return this._enqueue(async () => {
+      const sent = await this._send(messages);
+      // The wait outlasts the transfer's lifetime, so a timeout means it expired.
+      // The transfer is out; a failed wait must not make callers send it again
+      try {
+        const processed = await this.waitForSeqno(sent.seqno);
+        return { ...sent, processed, expired: !processed };
+      } catch (error) {
+        console.error(`Error waiting for operator wallet seqno ${sent.seqno}:`, error);
+        return { ...sent, processed: false, expired: false };
+      }
+    });
+  }
+
+  /**
+   * Run a send after the ones queued before it have finished
+   * Every transfer is signed with the seqno the previous one left, so registrations,
+   * payouts and reward roots all go through this one queue.
+   * @private
+   */
+  _enqueue(task) {
+    const run = this.sendQueue.then(task, task);
+    this.sendQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * @private
+   */
+  async _send(messages) {
+    try {
+      const seqno = await this.getSeqno();
+      const bodies = messages.map(({ payload }) => Cell.fromBase64(payload));
+
+      const transfer = this.wallet.createTransfer({
+        seqno,
+        secretKey: this.keyPair.secretKey,
+        sendMode: SendMode.PAY_GAS_SEPARATELY + SendMode.IGNORE_ERRORS,
+        timeout: Math.floor(Date.now() / 1000) + MESSAGE_TTL_SECONDS,
+        messages: messages.map(({ to, amount, bounce = true }, index) => internal({
+          to: Address.parse(to),
+          value: BigInt(amount),
+          bounce,
+          body: bodies[index]
+        }))
+      });
+
+      // Include the wallet's state init on its first transfer
+      const deployed = await this.client.isContractDeployed(this.wallet.address);
+      const message = beginCell()
+        .store(storeMessage(external({
+          to: this.wallet.address,
+          init: deployed ? undefined : this.wallet.init,
+          body: transfer
+        })))
+        .endCell();
+
+      await this.client.sendFile(message.toBoc());
+
+      return {
+        hash: message.hash().toString('hex'),
+        transferHash: transfer.hash().toString('hex'),
+        seqno,
+        messageHashes: bodies.map(body => body.hash().toString('hex'))
+      };
+    } catch (error) {
+      console.error('Error sending operator wallet message:', error);
+      throw new Error(`Failed to send operator message: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _ensureInitialized() {
+    if (!this.isInitialized) {
+      throw new Error('Operator wallet not initialized');
+    }
+  }
+}
+
+module.exports = new OperatorWalletService();
+module.exports.MAX_MESSAGES = MAX_MESSAGES;
+module.exports.MESSAGE_TTL_SECONDS = MESSAGE_TTL_SECONDS;
@@ -0,0 +1,426 @@
+const { Address } = require('@ton/core');
+const config = require('../config/config');
+const { getChainAdapter } = require('./chainAdapter');
+const operatorWallet = require('./operatorWalletService');
+
+const fundingService = require('./fundingService');
+const rewardClaimService = require('./rewardClaimService');
+const { TON, isUnits, formatAmount } = require('../utils/currency');
+const AiGeneratedPoll = require('../models/AiGeneratedPoll');
+const BlockchainPoll = require('../models/BlockchainPoll');
+const BlockchainVote = require('../models/BlockchainVote');
+const Contribution = require('../models/Contribution');
+const RewardDistribution = require('../models/RewardDistribution');
+const RewardPayout = require('../models/RewardPayout');
+
+// Votes that count toward rewards
+const VALID_VOTE_STATUSES = ['confirmed', 'counted', 'rewarded'];
+
+/**
+ * Payout Service
+ * Pays voter rewards from the operator wallet once a poll has closed.
+ *
+ * 1. schedulePayouts() computes each valid voter's share of a closed poll and stores
+ *    one RewardPayout per voter (fixed: rewardPerResponse each, for the first
+ *    maxResponses voters; equal-share: the reward pool split between the voters).
+ *    Only crowdfunded polls whose contributions reached the operator wallet are paid.
+ * 2. processPayouts() sends due payouts in batches, one operator wallet transfer per
+ *    batch, and marks each payout paid once its message shows up among the messages
+ *    the wallet sent. Payouts that cannot be sent, or whose transfer expired unprocessed,
+ *    are retried with backoff until maxAttempts; polls whose payouts gave up end as
+ *    'partial'. A payout whose transfer went through but whose message is missing is
+ *    never sent again: it stays 'sent' for manual review.
+ * In claim mode TON polls get a reward distribution instead (see rewardClaimService).
+ */
+class PayoutService {
+  /**
+   * Compute the reward shares of a poll's valid voters
+   * @param {Object} blockchainPoll - BlockchainPoll document
+   * @returns {Promise<Object>} { currency, rewardDistribution, shares: [{ vote, amount }], reason }
+   *   reason explains why nobody is paid when shares is empty
+   */
+  async computeShares(blockchainPoll) {
+    const { blockchainPollId } = blockchainPoll;
+    const aiPoll = await AiGeneratedPoll.findOne({ blockchainPollId });
+
+    const none = (reason, currency = TON, rewardDistribution = null) => ({ currency, rewardDistribution, shares: [], reason });
+
+    // Rewards are paid out of deposits the operator wallet holds, never from the
+    // rewardPerVote and totalFunding a client stored with the poll
+    if (!aiPoll) {
+      return none('Poll has no AI metadata, so no deposit backs its rewards');
+    }
+
+    const currency = aiPoll.rewardCurrency.toObject();
+    const { rewardDistribution } = aiPoll;
+    if (rewardDistribution === 'none' || aiPoll.fundingType === 'unfunded') {
+      return none('Poll is unrewarded', currency, rewardDistribution);
+    }
+    if (aiPoll.fundingType !== 'crowdfunded') {
+      return none(`Poll is ${aiPoll.fundingType}; only crowdfunded polls deposit their rewards`, currency, rewardDistribution);
+    }
+    if (aiPoll.fundingStatus !== 'funded') {
+      return none(`Poll was never funded (funding ${aiPoll.fundingStatus})`, currency, rewardDistribution);
+    }
+
+    let quote;
+    try {
+      quote = fundingService.quoteForPoll(aiPoll);
+    } catch (error) {
+      return none(`Poll funding is invalid: ${error.message}`, currency, rewardDistribution);
+    }
+
+    const deposited = await this._getDeposited(aiPoll);
+    if (deposited < BigInt(quote.targetFund)) {
+      return none(
+        `Only ${formatAmount(deposited, currency)} of the ${formatAmount(quote.targetFund, currency)} target fund reached the operator wallet`,
+        currency,
+        rewardDistribution
+      );
+    }
+
+    // Only votes cast within the voting window, by their transaction time
+    const votes = await BlockchainVote.find({
+      blockchainPollId,
+      status: { $in: VALID_VOTE_STATUSES },
+      txTimestamp: { $gte: blockchainPoll.startTime, $lt: blockchainPoll.endTime }
+    }).sort({ confirmedAt: 1, createdAt: 1 });
+    const voters = votes.slice(0, aiPoll.maxResponses);
+    if (voters.length === 0) {
+      return none('No valid votes', currency, rewardDistribution);
+    }
+
+    // Equal-share rounds down; the remainder stays with the poll's funds
+    const amount = rewardDistribution === 'fixed'
+      ? BigInt(quote.rewardPerResponse)
+      : BigInt(quote.rewardPool) / BigInt(voters.length);
+    if (amount === 0n) {
+      return none('Reward share rounds down to zero', currency, rewardDistribution);
+    }
+
+    return {
+      currency,
+      rewardDistribution,
+      shares: voters.map(vote => ({ vote, amount: amount.toString() })),
+      reason: null
+    };
+  }
+
+  /**
+   * Store payouts for closed polls that have not been paid yet
+   * Polls still waiting on vote confirmations are left for a later run.
+   * @returns {Promise<number>} Number of polls scheduled
+   */
+  async schedulePayouts() {
+    // Deposits are checked against the operator wallet
+    if (!operatorWallet.isInitialized) {
+      return 0;
+    }
+
+    const now = new Date();
+    const closedPolls = await BlockchainPoll.find({
+      payoutStatus: 'pending',
+      $or: [{ isActive: false }, { endTime: { $lte: now } }]
+    });
+
+    let scheduled = 0;
+    for (const blockchainPoll of closedPolls) {
+      const { blockchainPollId } = blockchainPoll;
+      const unconfirmed = await BlockchainVote.exists({ blockchainPollId, status: 'pending', txHash: { $ne: null } });
+      if (unconfirmed) {
+        continue;
+      }
+
+      const { currency, shares, reason } = await this.computeShares(blockchainPoll);
+      const claimable = shares.length > 0 && rewardClaimService.usesClaims(currency);
+      if (claimable) {
+        await rewardClaimService.createDistribution(blockchainPollId, shares);
+      } else if (shares.length > 0) {
+        // Unique per vote, so a payout computed by an interrupted run is not stored twice
+        await RewardPayout.insertMany(shares.map(({ vote, amount }) => ({
+          blockchainPollId,
+          voteId: vote.voteId,
+          voterAddress: vote.voterAddress,
+          amount,
+          currency
+        })), { ordered: false }).catch(error => {
+          if (error.code !== 11000) {
+            throw error;
+          }
+        });
+      }
+
+      blockchainPoll.payoutStatus = shares.length > 0 ? 'processing' : 'none';
+      blockchainPoll.payoutComputedAt = now;
+      await blockchainPoll.save();
+
+      const total = shares.reduce((sum, share) => sum + BigInt(share.amount), 0n);
+      console.log(shares.length > 0
+        ? `Scheduled ${shares.length} reward ${claimable ? 'claims' : 'payouts'} (${formatAmount(total, currency)}) for poll ${blockchainPollId}`
+        : `No rewards to pay for poll ${blockchainPollId}: ${reason}`);
+      scheduled++;
+    }
+    return scheduled;
+  }
+
+  /**
+   * Confirm sent payouts and send the due ones
+   * @returns {Promise<Object>} { paid, sent, failed } - payouts handled in this run
+   */
+  async processPayouts() {
+    const result = { paid: 0, sent: 0, failed: 0 };
+    if (!config.payouts.enabled || !operatorWallet.isInitialized) {
+      return result;
+    }
+
+    await this._confirmSentPayouts(result);
+
+    // A transfer has to be processed before the next one can use the following seqno
+    for (let batch = 0; batch < config.payouts.maxBatchesPerRun; batch++) {
+      const payouts = await RewardPayout.findDue(config.payouts.batchSize);
+      if (payouts.length === 0 || !(await this._sendBatch(payouts, result))) {
+        break;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Send failed payouts, or a failed reward root, of a poll again
+   * @param {number} blockchainPollId - Blockchain poll ID
+   * @returns {Promise<number>} Number of payouts and reward roots queued
+   */
+  async retryFailed(blockchainPollId) {
+    const retry = { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null } };
+    const payouts = await RewardPayout.updateMany({ blockchainPollId, status: 'failed' }, retry);
+    const roots = await RewardDistribution.updateOne({ blockchainPollId, status: 'failed' }, retry);
+    const modifiedCount = payouts.modifiedCount + roots.modifiedCount;
+    if (modifiedCount > 0) {
+      await BlockchainPoll.updateOne({ blockchainPollId }, { $set: { payoutStatus: 'processing' } });
+    }
+    return modifiedCount;
+  }
+
+  /**
+   * Confirm payouts left 'sent' by an earlier run
+   * @private
+   */
+  async _confirmSentPayouts(result) {
+    const sent = await RewardPayout.findSent();
+    if (sent.length === 0) {
+      return;
+    }
+
+    // Give the wallet the transfer's lifetime again before treating it as expired
+    const expiredBefore = Date.now() - operatorWallet.MESSAGE_TTL_SECONDS * 2 * 1000;
+    await this._confirmPayouts(sent, result, expiredBefore);
+  }
+
+  /**
+   * Mark payouts paid once the operator wallet has sent their message
+   * A processed transfer is not enough: the wallet skips messages it cannot send. With
+   * `expiredBefore`, payouts sent before then whose message is still missing are retried
+   * if the wallet never used their seqno. Otherwise the transfer went through and the
+   * lookup may just have missed the message, so they are left for manual review.
+   * @private
+   */
+  async _confirmPayouts(payouts, result, expiredBefore = null) {
+    const operatorAddress = operatorWallet.getAddress();
+    const paid = [];
+    for (const payout of payouts) {
+      const sent = await getChainAdapter().findSentMessage(operatorAddress, payout.messageHash, { since: payout.sentAt });
+      if (sent) {
+        paid.push(payout);
+      } else if (expiredBefore && payout.sentAt.getTime() < expiredBefore) {
+        if (await operatorWallet.isSeqnoUnused(payout.seqno)) {
+          await this._failAttempt(payout, 'Operator wallet did not process the payout transfer', result);
+        } else {
+          await this._holdForReview(payout, 'Payout transfer was processed but its message was not found');
+        }
+      }
+    }
+
+    if (paid.length > 0) {
+      await this._markPaid(paid, result);
+    }
+  }
+
+  /**
+   * Send one batch of payouts as a single operator wallet transfer
+   * @returns {Promise<boolean>} Whether the transfer was processed, so the next batch can be sent
+   * @private
+   */
+  async _sendBatch(payouts, result) {
+    const operatorAddress = operatorWallet.getAddress();
+    for (const payout of payouts) {
+      payout.attempts += 1;
+    }
+
+    let messages;
+    try {
+      messages = await Promise.all(payouts.map(async payout => {
+        const currency = payout.currency.toObject();
+        const transfer = await getChainAdapter().createTransferTransaction({
+          to: payout.voterAddress,
+          amount: payout.amount,
+          // Names the payout, so its message body is unique and can be found on chain
+          comment: `tpolls:reward:${payout.blockchainPollId}:${payout._id}`,
+          currency,
+          senderAddress: operatorAddress
+        });
+        // TON rewards must reach wallets that are not deployed yet, so they do not bounce
+        return { to: transfer.to, amount: transfer.amount, payload: transfer.payload, bounce: currency.type === 'jetton' };
+      }));
+
+      const needed = messages.reduce((sum, message) => sum + BigInt(message.amount), 0n);
+      const balance = await operatorWallet.getBalance();
+      if (balance < needed) {
+        throw new Error(`Operator wallet balance ${formatAmount(balance, TON)} is below the ${formatAmount(needed, TON)} batch`);
+      }
+    } catch (error) {
+      for (const payout of payouts) {
+        await this._failAttempt(payout, error.message, result);
+      }
+      return false;
+    }
+
+    let sent;
+    try {
+      sent = await operatorWallet.sendMessages(messages);
+      if (sent.expired) {
+        throw new Error('Operator wallet transfer expired before it was processed');
+      }
+    } catch (error) {
+      for (const payout of payouts) {
+        await this._failAttempt(payout, error.message, result);
+      }
+      return false;
+    }
+
+    for (const [index, payout] of payouts.entries()) {
+      payout.status = 'sent';
+      payout.txHash = sent.hash;
+      payout.seqno = sent.seqno;
+      payout.messageHash = sent.messageHashes[index];
+      payout.sentAt = new Date();
+      payout.lastError = null;
+      await payout.save();
+      result.sent++;
+    }
+
+    // Unprocessed transfers, and messages not found yet, stay 'sent' for the next run
+    if (!sent.processed) {
+      return false;
+    }
+    await this._confirmPayouts(payouts, result);
+    return true;
+  }
+
+  /**
+   * Counted contributions of a poll that went to the operator wallet
+   * @private
+   */
+  async _getDeposited(aiPoll) {
+    const contributions = await Contribution.find(
+      { aiPollId: aiPoll._id, status: 'confirmed' },
+      { amount: 1, refundableAmount: 1, destination: 1 }
+    ).lean();
+
+    return contributions
+      .filter(contribution => this._isOperatorWallet(contribution.destination))
+      .reduce((sum, contribution) => sum + BigInt(contribution.amount) - BigInt(contribution.refundableAmount || '0'), 0n);
+  }
+
+  /**
+   * Compare an address with the operator wallet's, regardless of its string format
+   * @private
+   */
+  _isOperatorWallet(address) {
+    try {
+      return Address.parse(address).equals(Address.parse(operatorWallet.getAddress()));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _markPaid(payouts, result) {
+    const pollIds = new Set();
+    for (const payout of payouts) {
+      payout.status = 'paid';
+      payout.paidAt = new Date();
+      await payout.save();
+
+      const vote = await BlockchainVote.findOne({ voteId: payout.voteId });
+      if (vote) {
+        vote.markRewarded(payout.amount, payout.txHash);
+        await vote.save();
+      }
+      pollIds.add(payout.blockchainPollId);
+      result.paid++;
+    }
+
+    for (const blockchainPollId of pollIds) {
+      await this._updatePollPayoutStatus(blockchainPollId);
+    }
+  }
+
+  /**
+   * Leave a sent payout for manual review instead of sending it again
+   * @private
+   */
+  async _holdForReview(payout, message) {
+    if (payout.lastError === message) {
+      return;
+    }
+    payout.lastError = message;
+    await payout.save();
+    console.warn(`Reward payout ${payout._id} left for manual review: ${message}`);
+  }
+
+  /**
+   * Schedule a retry with exponential backoff, or give up after maxAttempts
+   * @private
+   */
+  async _failAttempt(payout, message, result) {
+    payout.lastError = message;
+    if (payout.attempts >= config.payouts.maxAttempts) {
+      payout.status = 'failed';
+      result.failed++;
+      console.error(`Reward payout ${payout._id} failed after ${payout.attempts} attempts: ${message}`);
+    } else {
+      payout.status = 'pending';
+      payout.nextAttemptAt = new Date(Date.now() + config.payouts.retryMinutes * 60 * 1000 * 2 ** (payout.attempts - 1));
+    }
+    await payout.save();
+
+    if (payout.status === 'failed') {
+      await this._updatePollPayoutStatus(payout.blockchainPollId);
+    }
+  }
+
+  /**
+   * Settle a poll's payout status and remaining funds from its payouts
+   * @private
+   */
+  async _updatePollPayoutStatus(blockchainPollId) {
+    const blockchainPoll = await BlockchainPoll.findOne({ blockchainPollId });
+    if (!blockchainPoll) {
+      return;
+    }
+
+    const { counts, paid } = await RewardPayout.getSummary(blockchainPollId);
+    if (counts.pending === 0 && counts.sent === 0) {
+      blockchainPoll.payoutStatus = counts.failed > 0 ? 'partial' : 'completed';
+    }
+    if (isUnits(blockchainPoll.totalFunding)) {
+      const remaining = BigInt(blockchainPoll.totalFunding) - paid;
+      blockchainPoll.remainingFunds = (remaining > 0n ? remaining : 0n).toString();
+    }
+    await blockchainPoll.save();
+  }
+}
+
+module.exports = new PayoutService();
@@ -0,0 +1,305 @@
+const config = require('../config/config');
+const { getChainAdapter } = require('./chainAdapter');
+const operatorWallet = require('./operatorWalletService');
+const { TON, formatAmount } = require('../utils/currency');
+const { getRewardRoot, getRewardProof } = require('../utils/rewardTree');
+const BlockchainPoll = require('../models/BlockchainPoll');
+const BlockchainVote = require('../models/BlockchainVote');
+const ChainCursor = require('../models/ChainCursor');
+const RewardDistribution = require('../models/RewardDistribution');
+
+/**
+ * Reward Claim Service
+ * Pull alternative to push payouts (PAYOUT_MODE=claim). When a poll closes its voter
+ * rewards become a Merkle tree; the operator wallet publishes the root to the reward
+ * distributor together with the rewards, each voter fetches a proof of their entry and
+ * claims on chain, and the sync service reconciles the distributor's claims back into
+ * the votes, reading the distributor's history from where its last run stopped. Jetton
+ * polls keep using push payouts.
+ */
+class RewardClaimService {
+  /**
+   * Whether a poll's rewards are claimed instead of pushed
+   * @param {Object} currency - Reward currency of the poll
+   * @returns {boolean}
+   */
+  usesClaims(currency) {
+    return config.payouts.mode === 'claim' && currency.type !== 'jetton';
+  }
+
+  /**
+   * Store a poll's claimable rewards and their Merkle root
+   * @param {number} blockchainPollId - Blockchain poll ID
+   * @param {Array<Object>} shares - [{ vote, amount }] from payoutService.computeShares()
+   * @returns {Promise<Object>} RewardDistribution document
+   */
+  async createDistribution(blockchainPollId, shares) {
+    const existing = await RewardDistribution.findOne({ blockchainPollId });
+    if (existing) {
+      return existing;
+    }
+
+    const entries = shares.map(({ vote, amount }) => ({
+      voteId: vote.voteId,
+      voterAddress: vote.voterAddress,
+      amount
+    }));
+    const total = entries.reduce((sum, entry) => sum + BigInt(entry.amount), 0n);
+
+    const distribution = new RewardDistribution({
+      blockchainPollId,
+      root: getRewardRoot(entries),
+      total: total.toString(),
+      entries
+    });
+    await distribution.save();
+    return distribution;
+  }
+
+  /**
+   * Publish pending Merkle roots from the operator wallet
+   * @returns {Promise<Object>} { published, failed } - distributions handled in this run
+   */
+  async publishRoots() {
+    const result = { published: 0, failed: 0 };
+    if (!config.payouts.enabled || !operatorWallet.isInitialized) {
+      return result;
+    }
+
+    await this._confirmSentRoots(result);
+
+    for (let batch = 0; batch < config.payouts.maxBatchesPerRun; batch++) {
+      const [distribution] = await RewardDistribution.findDue().limit(1);
+      if (!distribution || !(await this._publish(distribution, result))) {
+        break;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Reconcile the distributor's successful claims into the distributions and votes
+   * Only transactions after the distributor's cursor are read; the cursor moves past
+   * them once their claims are recorded.
+   * @returns {Promise<number>} Number of newly recorded claims
+   */
+  async syncClaims() {
+    const awaiting = await RewardDistribution.exists({
+      entries: { $elemMatch: { claimedAt: null } }
+    });
+    if (!awaiting) {
+      return 0;
+    }
+
+    const cursorName = `reward-claims:${config.payouts.distributorAddress}`;
+    const { claims, lastLt } = await getChainAdapter().getRewardClaims({
+      afterLt: await ChainCursor.getLt(cursorName)
+    });
+    const claimsByPoll = new Map();
+    for (const claim of claims.filter(claim => claim.success && claim.sender)) {
+      claimsByPoll.set(claim.pollId, [...(claimsByPoll.get(claim.pollId) || []), claim]);
+    }
+
+    let recorded = 0;
+    for (const [blockchainPollId, pollClaims] of claimsByPoll) {
+      const distribution = await RewardDistribution.findOne({ blockchainPollId });
+      if (!distribution) {
+        continue;
+      }
+
+      // A successful claim proves the root is on chain, even if its message was not found yet;
+      // publishing it again would send the rewards twice
+      if (distribution.status !== 'published') {
+        distribution.status = 'published';
+        distribution.publishedAt = new Date();
+        console.log(`Reward root of poll ${blockchainPollId} is on chain: the distributor accepted a claim`);
+      }
+
+      for (const claim of pollClaims) {
+        const entry = distribution.getEntry(claim.sender);
+        if (!entry || entry.claimedAt) {
+          continue;
+        }
+
+        entry.claimTxHash = claim.hash;
+        entry.claimedAt = new Date(claim.now * 1000);
+        recorded++;
+
+        const vote = await BlockchainVote.findOne({ voteId: entry.voteId });
+        if (vote) {
+          vote.markRewarded(entry.amount, claim.hash);
+          await vote.save();
+        }
+      }
+
+      if (distribution.isModified()) {
+        await distribution.save();
+      }
+      if (distribution.isFullyClaimed()) {
+        await BlockchainPoll.updateOne({ blockchainPollId }, { $set: { payoutStatus: 'completed' } });
+      }
+    }
+
+    await ChainCursor.setLt(cursorName, lastLt);
+    return recorded;
+  }
+
+  /**
+   * Get a voter's reward entry and Merkle proof
+   * @param {number} blockchainPollId - Blockchain poll ID
+   * @param {string} voterAddress - Voter address, in any format
+   * @returns {Promise<Object|null>} { distribution, entry, proof }, or null if the poll has no
+   *   distribution or the voter no reward in it
+   */
+  async getProof(blockchainPollId, voterAddress) {
+    const distribution = await RewardDistribution.findOne({ blockchainPollId });
+    if (!distribution) {
+      return null;
+    }
+
+    const entry = distribution.getEntry(voterAddress);
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      distribution,
+      entry,
+      proof: getRewardProof(distribution.entries, entry.voterAddress)
+    };
+  }
+
+  /**
+   * Confirm roots left 'sent' by an earlier run
+   * @private
+   */
+  async _confirmSentRoots(result) {
+    const sent = await RewardDistribution.findSent();
+    if (sent.length === 0) {
+      return;
+    }
+
+    const expiredBefore = Date.now() - operatorWallet.MESSAGE_TTL_SECONDS * 2 * 1000;
+    for (const distribution of sent) {
+      await this._confirmRoot(distribution, result, expiredBefore);
+    }
+  }
+
+  /**
+   * Mark a root published once the operator wallet has sent its message
+   * With `expiredBefore`, a root sent before then whose message is still missing is retried
+   * if the wallet never used its seqno, and otherwise left for manual review.
+   * @returns {Promise<boolean>} Whether the root is published
+   * @private
+   */
+  async _confirmRoot(distribution, result, expiredBefore = null) {
+    const sent = await getChainAdapter().findSentMessage(operatorWallet.getAddress(), distribution.messageHash, {
+      since: distribution.sentAt
+    });
+    if (sent) {
+      await this._markPublished(distribution, result);
+      return true;
+    }
+
+    if (expiredBefore && distribution.sentAt.getTime() < expiredBefore) {
+      if (await operatorWallet.isSeqnoUnused(distribution.seqno)) {
+        await this._failAttempt(distribution, 'Operator wallet did not process the reward root transfer', result);
+      } else {
+        await this._holdForReview(distribution, 'Reward root transfer was processed but its message was not found');
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Send a distribution's root and rewards to the distributor
+   * @returns {Promise<boolean>} Whether the transfer was processed, so the next one can be sent
+   * @private
+   */
+  async _publish(distribution, result) {
+    distribution.attempts += 1;
+
+    let sent;
+    try {
+      const message = await getChainAdapter().createRewardRootMessage({
+        pollId: distribution.blockchainPollId,
+        root: distribution.root,
+        total: distribution.total
+      });
+
+      const balance = await operatorWallet.getBalance();
+      if (balance < BigInt(message.amount)) {
+        throw new Error(`Operator wallet balance ${formatAmount(balance, TON)} is below the ${formatAmount(message.amount, TON)} to publish`);
+      }
+
+      sent = await operatorWallet.sendMessages([message]);
+      if (sent.expired) {
+        throw new Error('Operator wallet transfer expired before it was processed');
+      }
+    } catch (error) {
+      await this._failAttempt(distribution, error.message, result);
+      return false;
+    }
+
+    distribution.status = 'sent';
+    distribution.txHash = sent.hash;
+    distribution.seqno = sent.seqno;
+    distribution.messageHash = sent.messageHashes[0];
+    distribution.sentAt = new Date();
+    distribution.lastError = null;
+    await distribution.save();
+
+    // Unprocessed transfers, and messages not found yet, stay 'sent' for the next run
+    if (!sent.processed) {
+      return false;
+    }
+    return this._confirmRoot(distribution, result);
+  }
+
+  /**
+   * @private
+   */
+  async _markPublished(distribution, result) {
+    distribution.status = 'published';
+    distribution.publishedAt = new Date();
+    await distribution.save();
+    result.published++;
+    console.log(`Published reward root ${distribution.root} for poll ${distribution.blockchainPollId}`);
+  }
+
+  /**
+   * Leave a sent root for manual review instead of sending it again
+   * @private
+   */
+  async _holdForReview(distribution, message) {
+    if (distribution.lastError === message) {
+      return;
+    }
+    distribution.lastError = message;
+    await distribution.save();
+    console.warn(`Reward root of poll ${distribution.blockchainPollId} left for manual review: ${message}`);
+  }
+
+  /**
+   * Schedule a retry with exponential backoff, or give up after maxAttempts
+   * @private
+   */
+  async _failAttempt(distribution, message, result) {
+    distribution.lastError = message;
+    if (distribution.attempts >= config.payouts.maxAttempts) {
+      distribution.status = 'failed';
+      result.failed++;
+      console.error(`Reward root of poll ${distribution.blockchainPollId} failed after ${distribution.attempts} attempts: ${message}`);
+    } else {
+      distribution.status = 'pending';
+      distribution.nextAttemptAt = new Date(Date.now() + config.payouts.retryMinutes * 60 * 1000 * 2 ** (distribution.attempts - 1));
+    }
+    await distribution.save();
+
+    if (distribution.status === 'failed') {
+      await BlockchainPoll.updateOne({ blockchainPollId: distribution.blockchainPollId }, { $set: { payoutStatus: 'partial' } });
+    }
+  }
+}
+
+module.exports = new RewardClaimService();
@@ -1,17 +1,38 @@
+const axios = require('axios');
 const { TonClient } = require('@ton/ton');
-const { Address, Cell, beginCell, toNano } = require('@ton/core');
+const { Address, Cell, Dictionary, beginCell, toNano } = require('@ton/core');
 const config = require('../config/config');
+const { ChainAdapter } = require('./chainAdapter');
+const GetterCache = require('./getterCache');
+
+// TEP-74 jetton message opcodes
+const JETTON_TRANSFER_OP = 0x0f8a7ea5;
+const JETTON_TRANSFER_NOTIFICATION_OP = 0x7362d09c;
+
+// Masterchain shard ID, used to look up the masterchain block of a transaction
+const MASTERCHAIN_SHARD = '-9223372036854775808';
+
+// Transactions may predate the record they confirm by this much (client clock skew)
+const LOOKUP_CLOCK_SKEW_SECONDS = 300;
+
+// Reward distributor message opcodes (message layouts are described in the README)
+const REWARD_ROOT_OP = 0x2b7d9f14;
+const REWARD_CLAIM_OP = 0x61c3e08a;
+
+// Event the contract emits for each new poll: PollCreated{pollId:uint32,creator:address}
+const POLL_CREATED_OP = 0x3ba20d03;
 
 /**
  * Simplified TON Service
  * Handles interaction with the new simplified polling contract
  * Only stores: poll creator, poll ID, and vote results
+ * Default ChainAdapter implementation
  */
-class SimpleTonService {
+class SimpleTonService extends ChainAdapter {
   constructor() {
+    super();
     this.client = null;
-    this.contractAddress = null;
-    this.isInitialized = false;
+    this.getterCache = null;
     
     console.log('SimpleTonService initialized');
   }
@@ -27,6 +48,12 @@ class SimpleTonService {
         apiKey: config.ton.apiKey
       });
 
+      // Cache getter calls to stay within toncenter rate limits
+      if (config.ton.cache.enabled) {
+        this.getterCache = new GetterCache(config.ton.cache);
+        this.getterCache.wrap(this.client);
+      }
+
       this.contractAddress = config.ton.contractAddress;
       console.log(`SimpleTonService connecting to contract: ${this.contractAddress}`);
 
@@ -154,6 +181,76 @@ class SimpleTonService {
     }
   }
 
+  /**
+   * Build a TON or jetton transfer to a wallet, tagged with a text comment
+   * Jettons are sent as a TEP-74 transfer to the sender's jetton wallet, with the
+   * comment as forward payload so the receiver gets it in the transfer notification.
+   * @param {Object} params - Transfer parameters
+   * @param {string} params.to - Destination wallet address
+   * @param {string} params.amount - Amount in the currency's smallest unit
+   * @param {string} params.comment - Text comment identifying the transfer
+   * @param {Object} params.currency - { type, masterAddress }
+   * @param {string} params.senderAddress - Sending wallet
+   * @returns {Promise<Object>} Transaction payload for frontend
+   */
+  async createTransferTransaction({ to, amount, comment, currency, senderAddress }) {
+    if (!this.isInitialized) {
+      throw new Error('SimpleTonService not properly initialized');
+    }
+
+    try {
+      const commentCell = beginCell()
+        .storeUint(0, 32) // Text comment
+        .storeStringTail(comment)
+        .endCell();
+
+      if (currency.type !== 'jetton') {
+        return {
+          success: true,
+          to: Address.parse(to).toString(),
+          amount: String(amount),
+          payload: commentCell.toBoc().toString('base64')
+        };
+      }
+
+      const messageBody = beginCell()
+        .storeUint(JETTON_TRANSFER_OP, 32)
+        .storeUint(0, 64) // query_id
+        .storeCoins(BigInt(amount))
+        .storeAddress(Address.parse(to))
+        .storeAddress(Address.parse(senderAddress)) // Excess TON goes back to the sender
+        .storeBit(0) // No custom payload
+        .storeCoins(toNano('0.01')) // Forwarded to the receiver with the notification
+        .storeBit(1) // Forward payload in a ref
+        .storeRef(commentCell)
+        .endCell();
+
+      return {
+        success: true,
+        to: await this.getJettonWalletAddress(currency.masterAddress, senderAddress),
+        amount: toNano('0.05').toString(), // Gas for the jetton transfer
+        payload: messageBody.toBoc().toString('base64'),
+        jettonAmount: String(amount)
+      };
+    } catch (error) {
+      console.error('Error creating transfer transaction:', error);
+      throw new Error(`Failed to create transfer transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the jetton wallet of an owner from the jetton master
+   * @param {string} masterAddress - Jetton master address
+   * @param {string} ownerAddress - Owner wallet address
+   * @returns {Promise<string>} Jetton wallet address
+   */
+  async getJettonWalletAddress(masterAddress, ownerAddress) {
+    const result = await this.client.runMethod(Address.parse(masterAddress), 'get_wallet_address', [
+      { type: 'slice', cell: beginCell().storeAddress(Address.parse(ownerAddress)).endCell() }
+    ]);
+    return result.stack.readAddress().toString();
+  }
+
   /**
    * Get poll information from blockchain
    * @param {number} pollId - Poll ID
@@ -416,34 +513,335 @@ class SimpleTonService {
     }
   }
 
+  /**
+   * Drop cached getter results for a poll
+   * @param {number} pollId - Poll ID
+   */
+  invalidatePoll(pollId) {
+    if (this.getterCache) {
+      this.getterCache.invalidatePoll(pollId);
+    }
+  }
+
+  /**
+   * Get latest masterchain info
+   * @returns {Promise<Object>} Masterchain info with latestSeqno
+   */
+  async getMasterchainInfo() {
+    if (!this.isInitialized) {
+      throw new Error('SimpleTonService not properly initialized');
+    }
+
+    try {
+      return await this.client.getMasterchainInfo();
+    } catch (error) {
+      console.error('Error getting masterchain info:', error);
+      throw new Error(`Failed to get masterchain info: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up a contract transaction by its hash
+   * Pages back through the contract's history until the transaction is found or the
+   * history is older than `since`.
+   * @param {string} txHash - Transaction hash (hex or base64)
+   * @param {Object} options - Lookup options
+   * @param {Date} options.since - Time the transaction cannot predate (e.g. when the vote was created)
+   * @returns {Promise<Object|null>} Transaction summary with mcSeqno, or null if not found
+   */
+  async getTransaction(txHash, { since } = {}) {
+    if (!this.isInitialized) {
+      throw new Error('SimpleTonService not properly initialized');
+    }
+
+    const wantedHash = this._normalizeTxHash(txHash);
+    if (!wantedHash) {
+      throw new Error(`Invalid transaction hash: ${txHash}`);
+    }
+
+    try {
+      const contractAddress = Address.parse(this.contractAddress);
+      const tx = await this._findTransaction(contractAddress, this._hasHash(wantedHash), { since });
+      if (!tx) {
+        return null;
+      }
+
+      return await this._summarizeWithBlock(tx);
+    } catch (error) {
+      console.error(`Error getting transaction ${txHash}:`, error);
+      throw new Error(`Failed to get transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up a transfer received by a wallet, by transaction hash
+   * @param {string} address - Receiving wallet address
+   * @param {string} txHash - Transaction hash (hex or base64)
+   * @param {Object} options - Lookup options
+   * @param {Object} options.currency - { type, masterAddress } of the expected transfer
+   * @param {Date} options.since - Time the transaction cannot predate (see getTransaction)
+   * @returns {Promise<Object|null>} Transaction summary with mcSeqno, amount and comment, or null if not found
+   */
+  async getTransfer(address, txHash, { currency = { type: 'ton' }, since } = {}) {
+    if (!this.isInitialized) {
+      throw new Error('SimpleTonService not properly initialized');
+    }
+
+    const wantedHash = this._normalizeTxHash(txHash);
+    if (!wantedHash) {
+      throw new Error(`Invalid transaction hash: ${txHash}`);
+    }
+
+    try {
+      const tx = await this._findTransaction(Address.parse(address), this._hasHash(wantedHash), { since });
+      if (!tx) {
+        return null;
+      }
+
+      const summary = await this._summarizeWithBlock(tx);
+      const info = tx.inMessage?.info;
+      if (!info || info.type !== 'internal') {
+        return { ...summary, amount: '0', comment: null };
+      }
+
+      const body = tx.inMessage.body.beginParse();
+      if (currency.type !== 'jetton') {
+        return { ...summary, amount: info.value.coins.toString(), comment: this._readComment(body) };
+      }
+
+      // Anyone can send a notification; only the receiver's own jetton wallet is trusted
+      const jettonWallet = await this.getJettonWalletAddress(currency.masterAddress, address);
+      if (!info.src.equals(Address.parse(jettonWallet)) || body.remainingBits < 32 ||
+          body.loadUint(32) !== JETTON_TRANSFER_NOTIFICATION_OP) {
+        return { ...summary, amount: '0', comment: null };
+      }
+
+      body.loadUintBig(64); // query_id
+      const amount = body.loadCoins();
+      const sender = body.loadAddress();
+      const forwardPayload = body.remainingBits > 0 && body.loadBit() ? body.loadRef().beginParse() : body;
+
+      return {
+        ...summary,
+        sender: sender.toString(),
+        amount: amount.toString(),
+        comment: this._readComment(forwardPayload)
+      };
+    } catch (error) {
+      console.error(`Error getting transfer ${txHash}:`, error);
+      throw new Error(`Failed to get transfer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up the transaction in which a wallet sent a message, by the message body hash
+   * Only messages the wallet actually sent are listed on its transaction; ones it
+   * skipped (e.g. for lack of balance) are not.
+   * @param {string} address - Sending wallet address
+   * @param {string} messageHash - Hash of the outgoing message body (hex)
+   * @param {Object} options - { since } (see getTransaction)
+   * @returns {Promise<Object|null>} Transaction summary, or null if not found
+   */
+  async findSentMessage(address, messageHash, { since } = {}) {
+    if (!this.isInitialized) {
+      throw new Error('SimpleTonService not properly initialized');
+    }
+
+    try {
+      const sentMessage = t => t.outMessages.values().some(message => message.body.hash().toString('hex') === messageHash);
+      const tx = await this._findTransaction(Address.parse(address), sentMessage, { since });
+      return tx ? this._summarizeTransaction(tx) : null;
+    } catch (error) {
+      console.error(`Error finding sent message ${messageHash}:`, error);
+      throw new Error(`Failed to find sent message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the poll created by the CreatePoll message of a wallet transfer
+   * The wallet transaction is matched by the signed transfer in its external message.
+   * The contract transaction that processed the CreatePoll message is located by the
+   * message's logical time, and the poll ID is read from the PollCreated event it emitted.
+   * @param {string} source - Wallet that sent the CreatePoll message
+   * @param {string} transferHash - Hash of the signed transfer body (hex)
+   * @param {Object} options - { since } (see getTransaction)
+   * @returns {Promise<Object|null>} Transaction summary with the created pollId (null if
+   *   the contract rejected the message), or null if the contract has not processed it yet
+   */
+  async findCreatedPoll(source, transferHash, { since } = {}) {
+    if (!this.isInitialized) {
+      throw new Error('SimpleTonService not properly initialized');
+    }
+
+    try {
+      const sourceAddress = Address.parse(source);
+      const contractAddress = Address.parse(this.contractAddress);
+      const isTransfer = t => t.inMessage?.info?.type === 'external-in' &&
+        t.inMessage.body.hash().toString('hex') === transferHash;
+
+      const sent = await this._findTransaction(sourceAddress, isTransfer, { since });
+      const message = sent && sent.outMessages.values()
+        .find(m => m.info.type === 'internal' && m.info.dest.equals(contractAddress));
+      if (!message) {
+        return null;
+      }
+
+      let tx;
+      try {
+        tx = await this.client.tryLocateResultTx(sourceAddress, contractAddress, message.info.createdLt.toString());
+      } catch (error) {
+        // The API has no result transaction until the contract processes the message
+        return null;
+      }
+
+      const summary = this._summarizeTransaction(tx);
+      return { ...summary, pollId: summary.success ? this._readPollCreated(tx) : null };
+    } catch (error) {
+      console.error(`Error finding poll created by transfer ${transferHash}:`, error);
+      throw new Error(`Failed to find created poll: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the operator message that publishes a poll's reward Merkle root
+   * set_reward_root query_id:uint64 poll_id:uint32 root:uint256 total:Coins
+   * The message carries the rewards plus REWARD_PUBLISH_GAS.
+   * @param {Object} params - { pollId, root, total }
+   * @returns {Promise<Object>} { to, amount, payload } for the operator wallet
+   */
+  async createRewardRootMessage({ pollId, root, total }) {
+    const distributor = this._getRewardDistributor();
+    const messageBody = beginCell()
+      .storeUint(REWARD_ROOT_OP, 32)
+      .storeUint(0, 64) // query_id
+      .storeUint(pollId, 32)
+      .storeUint(BigInt(`0x${root}`), 256)
+      .storeCoins(BigInt(total))
+      .endCell();
+
+    return {
+      to: distributor.toString(),
+      amount: (BigInt(total) + toNano(config.payouts.publishGas)).toString(),
+      payload: messageBody.toBoc().toString('base64')
+    };
+  }
+
+  /**
+   * Build a voter's reward claim
+   * claim_reward query_id:uint64 poll_id:uint32 proof:^Cell
+   * The distributor pays the amount stored under the sender's address in the proven
+   * dictionary, once per poll and voter.
+   * @param {Object} params - { pollId, proof }
+   * @returns {Promise<Object>} Transaction payload for frontend
+   */
+  async createRewardClaimTransaction({ pollId, proof }) {
+    const distributor = this._getRewardDistributor();
+    const messageBody = beginCell()
+      .storeUint(REWARD_CLAIM_OP, 32)
+      .storeUint(0, 64) // query_id
+      .storeUint(pollId, 32)
+      .storeRef(Cell.fromBase64(proof))
+      .endCell();
+
+    return {
+      success: true,
+      to: distributor.toString(),
+      amount: toNano(config.payouts.claimGas).toString(),
+      payload: messageBody.toBoc().toString('base64'),
+      pollId
+    };
+  }
+
+  /**
+   * List the reward claims received by the reward distributor after a logical time
+   * The API pages from the newest transaction back, so every page down to `afterLt`
+   * is read and the claims are returned oldest first.
+   * @param {Object} options - Lookup options
+   * @param {string} options.afterLt - Logical time of the last transaction already read
+   * @returns {Promise<Object>} { claims, lastLt } - transaction summaries with the claimed
+   *   pollId, and the logical time of the newest transaction read
+   */
+  async getRewardClaims({ afterLt = '0' } = {}) {
+    if (!this.isInitialized) {
+      throw new Error('SimpleTonService not properly initialized');
+    }
+
+    try {
+      const distributor = this._getRewardDistributor();
+      const limit = config.sync.transactionLookupLimit;
+      const after = BigInt(afterLt);
+      const transactions = [];
+      let cursor = {};
+
+      for (;;) {
+        const page = await this.client.getTransactions(distributor, {
+          limit,
+          ...cursor,
+          ...(after > 0n ? { to_lt: after.toString() } : {})
+        });
+
+        // Pages start at the last transaction of the previous one
+        const oldest = transactions.length > 0 ? transactions[transactions.length - 1].lt : null;
+        const unread = page.filter(tx => tx.lt > after && (oldest === null || tx.lt < oldest));
+        transactions.push(...unread);
+
+        if (page.length < limit || unread.length === 0) {
+          break;
+        }
+        const last = page[page.length - 1];
+        cursor = { lt: last.lt.toString(), hash: last.hash().toString('base64') };
+      }
+      transactions.reverse();
+
+      const claims = [];
+      for (const tx of transactions) {
+        if (tx.inMessage?.info?.type !== 'internal') {
+          continue;
+        }
+
+        const body = tx.inMessage.body.beginParse();
+        if (body.remainingBits < 32 + 64 + 32 || body.loadUint(32) !== REWARD_CLAIM_OP) {
+          continue;
+        }
+        body.loadUintBig(64); // query_id
+
+        claims.push({ ...this._summarizeTransaction(tx), pollId: body.loadUint(32) });
+      }
+
+      return {
+        claims,
+        lastLt: transactions.length > 0 ? transactions[transactions.length - 1].lt.toString() : after.toString()
+      };
+    } catch (error) {
+      console.error('Error getting reward claims:', error);
+      throw new Error(`Failed to get reward claims: ${error.message}`);
+    }
+  }
+
   /**
    * Get all active polls
+   * Decodes the contract's getActivePolls map in a single RPC call
    * @returns {Promise<Array>} Array of active polls
    */
   async getActivePolls() {
     try {
-      // Use the contract's getActivePolls method directly
       const contractAddress = Address.parse(this.contractAddress);
-      console.log('contractAddress', contractAddress)
       const result = await this.client.runMethod(contractAddress, 'getActivePolls');
-      console.log('result', result)
-      
-      if (!result.stack || result.stack.items.length === 0) {
+
+      // An empty map comes back as a null stack entry
+      const pollsCell = result.stack.readCellOpt();
+      if (!pollsCell) {
         console.log('No active polls found');
         return [];
       }
-      
-      // Parse the dictionary of active polls
-      const activePolls = [];
-      const pollsDict = result.stack.items[0];
-      
-      if (pollsDict && pollsDict.type === 'dict') {
-        // TODO: Parse dictionary properly
-        // For now, fallback to individual poll checking
-        return await this.getActivePollsByIteration();
-      }
-      
-      return activePolls;
+
+      const pollsDict = Dictionary.loadDirect(
+        Dictionary.Keys.BigInt(257),
+        this._pollDictionaryValue(),
+        pollsCell
+      );
+
+      return pollsDict.values().filter(poll => poll.isActive);
     } catch (error) {
       console.error('Error getting active polls directly:', error);
       // Fallback to iteration method
@@ -494,6 +892,208 @@ class SimpleTonService {
     }
   }
 
+  /**
+   * Normalize a transaction hash to lowercase hex
+   * @private
+   */
+  _normalizeTxHash(txHash) {
+    if (typeof txHash !== 'string') {
+      return null;
+    }
+
+    if (/^[0-9a-fA-F]{64}$/.test(txHash)) {
+      return txHash.toLowerCase();
+    }
+
+    const bytes = Buffer.from(txHash.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+    return bytes.length === 32 ? bytes.toString('hex') : null;
+  }
+
+  /**
+   * Match a transaction by hash (lowercase hex)
+   * @private
+   */
+  _hasHash(wantedHash) {
+    return tx => tx.hash().toString('hex') === wantedHash;
+  }
+
+  /**
+   * Find an account's transaction, paging back from the newest one
+   * Stops after config.sync.transactionLookupPages pages, or once the history is older
+   * than `since`.
+   * @param {Address} address - Account address
+   * @param {Function} matches - Predicate the transaction has to satisfy
+   * @param {Object} options - { since }
+   * @returns {Promise<Transaction|null>} Transaction, or null if not found
+   * @private
+   */
+  async _findTransaction(address, matches, { since } = {}) {
+    const limit = config.sync.transactionLookupLimit;
+    const oldest = since ? Math.floor(since.getTime() / 1000) - LOOKUP_CLOCK_SKEW_SECONDS : 0;
+    let cursor = {};
+
+    for (let page = 0; page < config.sync.transactionLookupPages; page++) {
+      const transactions = await this.client.getTransactions(address, { limit, ...cursor });
+
+      const tx = transactions.find(matches);
+      if (tx) {
+        return tx;
+      }
+
+      const last = transactions[transactions.length - 1];
+      if (transactions.length < limit || last.now < oldest) {
+        return null;
+      }
+      cursor = { lt: last.lt.toString(), hash: last.hash().toString('base64') };
+    }
+
+    return null;
+  }
+
+  /**
+   * Summarize a transaction along with the masterchain block that includes it
+   * @private
+   */
+  async _summarizeWithBlock(tx) {
+    return {
+      ...this._summarizeTransaction(tx),
+      mcSeqno: await this._getMasterchainSeqnoAt(tx.now)
+    };
+  }
+
+  /**
+   * Seqno of the first masterchain block generated at or after a time
+   * A shard transaction is committed by the masterchain block that follows it, so
+   * confirmations are counted from this block.
+   * @param {number} utime - Unix time of the transaction
+   * @returns {Promise<number>} Masterchain seqno
+   * @private
+   */
+  async _getMasterchainSeqnoAt(utime) {
+    const response = await axios.post(config.ton.endpoint, {
+      id: '1',
+      jsonrpc: '2.0',
+      method: 'lookupBlock',
+      params: { workchain: -1, shard: MASTERCHAIN_SHARD, unixtime: utime }
+    }, {
+      headers: config.ton.apiKey ? { 'X-API-Key': config.ton.apiKey } : {}
+    });
+
+    if (!response.data.ok) {
+      throw new Error(`lookupBlock failed: ${response.data.error || 'unknown error'}`);
+    }
+    return response.data.result.seqno;
+  }
+
+  /**
+   * @private
+   */
+  _getRewardDistributor() {
+    if (!config.payouts.distributorAddress) {
+      throw new Error('REWARD_DISTRIBUTOR_ADDRESS is not configured');
+    }
+    return Address.parse(config.payouts.distributorAddress);
+  }
+
+  /**
+   * Read a text comment (op 0) from a message body
+   * @private
+   */
+  _readComment(slice) {
+    try {
+      if (slice.remainingBits < 32 || slice.loadUint(32) !== 0) {
+        return null;
+      }
+      return slice.loadStringTail();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read the poll ID from a transaction's PollCreated event
+   * @returns {number|null} Poll ID, or null if the transaction emitted no such event
+   * @private
+   */
+  _readPollCreated(tx) {
+    for (const message of tx.outMessages.values()) {
+      if (message.info.type !== 'external-out') {
+        continue;
+      }
+
+      const body = message.body.beginParse();
+      if (body.remainingBits >= 32 + 32 && body.loadUint(32) === POLL_CREATED_OP) {
+        return body.loadUint(32);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Summarize a transaction's outcome for vote/poll tracking
+   * @private
+   */
+  _summarizeTransaction(tx) {
+    const description = tx.description;
+    const computePhase = description.computePhase;
+    const computeSuccess = computePhase?.type === 'vm' ? computePhase.success : false;
+    const actionSuccess = description.actionPhase ? description.actionPhase.success : true;
+    const aborted = Boolean(description.aborted);
+    const bounced = Boolean(description.bouncePhase && description.bouncePhase.type === 'ok');
+
+    return {
+      hash: tx.hash().toString('hex'),
+      lt: tx.lt.toString(),
+      now: tx.now,
+      sender: tx.inMessage?.info?.src ? tx.inMessage.info.src.toString() : null,
+      success: description.type === 'generic' && computeSuccess && actionSuccess && !aborted,
+      aborted,
+      bounced,
+      exitCode: computePhase?.type === 'vm' ? computePhase.exitCode : null
+    };
+  }
+
+  /**
+   * Dictionary value codec for Poll structs
+   * Map values are stored in a ref cell; the struct layout follows the Tact
+   * serializer: id:int257, creator:address, totalVotes:int257, isActive:bool,
+   * optionCount:int257, with fields that no longer fit moved to a ref cell.
+   * @private
+   */
+  _pollDictionaryValue() {
+    const readInt = (slice) => {
+      if (slice.remainingBits < 257) {
+        slice = slice.loadRef().beginParse();
+      }
+      return { value: Number(slice.loadIntBig(257)), slice };
+    };
+
+    return {
+      serialize: () => {
+        throw new Error('Poll dictionary is read-only');
+      },
+      parse: (src) => {
+        let slice = src.loadRef().beginParse();
+
+        const id = readInt(slice);
+        slice = id.slice;
+        const creator = slice.loadAddress();
+        const totalVotes = readInt(slice);
+        slice = totalVotes.slice;
+        const isActive = slice.loadBit();
+        const optionCount = readInt(slice);
+
+        return {
+          id: id.value,
+          creator: creator.toString(),
+          totalVotes: totalVotes.value,
+          isActive,
+          optionCount: optionCount.value
+        };
+      }
+    };
+  }
+
   /**
    * Parse Poll struct from TVM stack
    * @private
@@ -516,7 +1116,7 @@ class SimpleTonService {
         console.log('Parsing as tuple with', item.items.length, 'items');
         return {
           id: Number(item.items[0]?.value || 0),
-          creator: item.items[1]?.value ? Address.parse(item.items[1].value).toString() : null,
+          creator: this._readStackAddress(item.items[1]),
           totalVotes: Number(item.items[2]?.value || 0),
           isActive: Boolean(item.items[3]?.value),
           optionCount: Number(item.items[4]?.value || 0)
@@ -540,7 +1140,7 @@ class SimpleTonService {
         console.log('Parsing as individual stack items');
         return {
           id: Number(stack.items[0]?.value || 0),
-          creator: stack.items[1]?.value ? Address.parse(stack.items[1].value).toString() : null,
+          creator: this._readStackAddress(stack.items[1]),
           totalVotes: Number(stack.items[2]?.value || 0),
           isActive: Boolean(stack.items[3]?.value),
           optionCount: Number(stack.items[4]?.value || 0)
@@ -554,6 +1154,17 @@ class SimpleTonService {
       return null;
     }
   }
+
+  /**
+   * Read an address stack item: a slice as getters return it, or an address string
+   * @private
+   */
+  _readStackAddress(item) {
+    if (item?.type === 'slice' && item.cell) {
+      return item.cell.beginParse().loadAddress().toString();
+    }
+    return item?.value ? Address.parse(item.value).toString() : null;
+  }
 }
 
 module.exports = new SimpleTonService();
\ No newline at end of file
@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const { LlmProvider } = require('./llmProvider');
+const categoryService = require('./categoryService');
+const config = require('../config/config');
+
+const DEFAULT_SETTINGS = {
+  maxResponses: 100,
+  rewardPerResponse: '0.001',
+  rewardDistribution: 'equal-share',
+  durationDays: 7,
+  fundingType: 'self-funded',
+  isOpenImmediately: true
+};
+
+// Keyword rules for the default categories, checked in order (only active categories are returned)
+const CATEGORY_KEYWORDS = [
+  ['defi', ['defi', 'yield', 'lending', 'liquidity', 'staking', 'swap', 'dex', 'stablecoin']],
+  ['web3', ['web3', 'blockchain', 'crypto', 'nft', 'dao', 'ton', 'wallet', 'smart contract', 'hardhat', 'truffle', 'foundry', 'solidity']],
+  ['tech', ['tech', 'programming', 'language', 'software', 'framework', 'ai', 'developer', 'code', 'javascript', 'python', 'cloud']],
+  ['art', ['art', 'painting', 'music', 'artist', 'museum', 'drawing', 'sculpture']],
+  ['design', ['design', 'logo', 'ui', 'ux', 'font', 'color', 'layout', 'brand']],
+  ['food', ['food', 'pizza', 'restaurant', 'recipe', 'coffee', 'cuisine', 'dish', 'snack', 'drink']],
+  ['environment', ['environment', 'climate', 'recycling', 'energy', 'sustainable', 'sustainability', 'green', 'pollution', 'nature']],
+  ['lifestyle', ['lifestyle', 'travel', 'fitness', 'health', 'hobby', 'sport', 'fashion', 'weekend', 'holiday']]
+];
+
+const CATEGORY_OPTIONS = {
+  art: ['Painting', 'Photography', 'Digital art', 'Sculpture', 'Street art', 'Illustration'],
+  design: ['Minimalist', 'Bold and colorful', 'Retro', 'Playful', 'Corporate', 'Hand-drawn'],
+  tech: ['JavaScript', 'Python', 'Rust', 'Go', 'TypeScript', 'Kotlin'],
+  defi: ['Lending', 'Liquidity pools', 'Staking', 'Stablecoins', 'Derivatives', 'Yield aggregators'],
+  lifestyle: ['Travel', 'Fitness', 'Reading', 'Cooking', 'Gaming', 'Outdoor activities'],
+  environment: ['Renewable energy', 'Recycling', 'Public transport', 'Reforestation', 'Plastic reduction', 'Water conservation'],
+  web3: ['TON', 'Ethereum', 'Solana', 'Polygon', 'Arbitrum', 'Base'],
+  food: ['Pizza', 'Sushi', 'Tacos', 'Burgers', 'Pasta', 'Salads'],
+  other: ['Strongly agree', 'Agree', 'Neutral', 'Disagree', 'Strongly disagree', 'Not sure']
+};
+
+// Phrases that describe poll settings rather than the poll topic
+const SETTINGS_PHRASES = [
+  /\d+(?:\.\d+)?\s*ton\b(?:\s*(?:per|each|a|for each)\s*(?:response|vote|answer))?/gi,
+  /\d+\s*(?:responses|votes|voters|participants|people|respondents|days?|weeks?|months?)\b/gi,
+  /\b(?:crowd[\s-]?funded|crowd[\s-]?funding|self[\s-]?funded|equal[\s-]share|fixed reward)\b/gi
+];
+
+const SUBJECT_TEMPLATES = [
+  'Which {topic} do you prefer?',
+  'What is your favorite {topic}?',
+  'Vote for the best {topic}',
+  'Community pick: {topic}'
+];
+
+const DESCRIPTION_TEMPLATES = [
+  'Share your view on "{subject}" and help the community decide.',
+  'Cast your vote on "{subject}" and see how your pick compares with everyone else.',
+  'We want to hear from you: "{subject}". Every vote counts.'
+];
+
+/**
+ * Stub LLM Provider
+ * Deterministic, rule-based responses built from each AI function's inputs.
+ * Output only depends on the inputs and the seed (LLM_STUB_SEED), always
+ * matches what openaiService validates, and needs no network access.
+ * Used automatically when no OpenAI API key is configured.
+ */
+class StubLlmProvider extends LlmProvider {
+  /**
+   * @param {Object} options - Stub options
+   * @param {string} options.seed - Seed mixed into every choice (default: config.llm.stubSeed)
+   */
+  constructor({ seed = config.llm.stubSeed } = {}) {
+    super();
+    this.name = 'stub';
+    this.seed = String(seed);
+  }
+
+  async complete({ task, context = {}, signal }) {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+
+    switch (task) {
+      case 'generatePollFromPrompt':
+        return JSON.stringify(this._poll(context.prompt, context.numOptions, context.currency));
+      case 'generatePollOptions':
+        return JSON.stringify({
+          options: this._options(context.question, context.category, context.numOptions)
+        });
+      case 'streamPollOptions':
+        return this._options(context.question, context.category, context.numOptions).join('\n');
+      case 'generatePollSubject':
+        return this._subject(context.prompt);
+      case 'generateDescription':
+        return this._description(context.subject);
+      case 'determineCategory':
+        return this._category(context.subject);
+      case 'extractPollSettings':
+        return JSON.stringify(this._settings(context.prompt, context.existingSettings, context.currency));
+      case 'regeneratePollFromFeedback':
+        return JSON.stringify(this._regenerate(context.previousPoll, context.feedback));
+      case 'generateOptionImagePrompts':
+        return JSON.stringify({
+          options: context.options.map(option => ({
+            imagePrompt: `A clean, colorful illustration representing "${option}" for a poll about ${context.subject}, flat style, no text`,
+            altText: `Illustration of ${option}`
+          }))
+        });
+      case 'translatePoll':
+        return JSON.stringify(this._translate(context.poll, context.language));
+      default:
+        throw new Error(`StubLlmProvider has no response for task ${task}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _poll(prompt, numOptions = 4, currency = 'TON') {
+    const category = this._category(prompt);
+    const subject = this._subject(prompt);
+    return {
+      settings: this._settings(prompt, null, currency),
+      category,
+      subject,
+      description: this._description(subject),
+      options: this._options(prompt, category, numOptions)
+    };
+  }
+
+  /**
+   * @private
+   */
+  _category(text = '') {
+    const lower = this._withoutSettings(text).toLowerCase();
+    const mentions = keyword => new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}s?\\b`).test(lower);
+
+    const match = CATEGORY_KEYWORDS.find(([slug, keywords]) => categoryService.isValid(slug) && keywords.some(mentions));
+    if (match) {
+      return match[0];
+    }
+
+    // Categories added by admins are matched by their slug, name and aliases
+    const named = categoryService.list().find(category =>
+      [category.slug, category.name, ...category.aliases].some(keyword => mentions(keyword.toLowerCase()))
+    );
+    return named ? named.slug : categoryService.fallbackSlug;
+  }
+
+  /**
+   * @private
+   */
+  _subject(prompt = '') {
+    const topic = this._topic(prompt);
+    if (!topic) {
+      return 'What should the community decide next?';
+    }
+    return this._pick(SUBJECT_TEMPLATES, 'subject', prompt).replace('{topic}', topic);
+  }
+
+  /**
+   * @private
+   */
+  _description(subject = '', key = subject) {
+    return this._pick(DESCRIPTION_TEMPLATES, 'description', key).replace('{subject}', subject);
+  }
+
+  /**
+   * Preferred options (by default those listed in the text) come first,
+   * then the list is padded from the category pool
+   * @private
+   */
+  _options(text = '', category = null, numOptions = 4, preferred = this._listedItems(text)) {
+    const pool = this._shuffle(CATEGORY_OPTIONS[category || this._category(text)] || CATEGORY_OPTIONS.other, text);
+    const options = [];
+
+    for (const option of [...preferred, ...pool, ...CATEGORY_OPTIONS.other]) {
+      if (options.length >= numOptions) break;
+      if (!options.some(existing => existing.toLowerCase() === option.toLowerCase())) {
+        options.push(option);
+      }
+    }
+
+    for (let i = options.length; i < numOptions; i++) {
+      options.push(`Option ${i + 1}`);
+    }
+    return options;
+  }
+
+  /**
+   * Apply the settings mentioned in the text on top of the existing (or default) settings
+   * @private
+   */
+  _settings(text = '', existingSettings = null, currency = 'TON') {
+    const lower = String(text).toLowerCase();
+    const settings = { ...DEFAULT_SETTINGS };
+    for (const [field, value] of Object.entries(existingSettings || {})) {
+      if (value !== undefined && value !== null) {
+        settings[field] = value;
+      }
+    }
+
+    const responses = lower.match(/(\d+)\s*(?:responses|votes|voters|participants|people|respondents)/);
+    if (responses) {
+      settings.maxResponses = Math.max(1, parseInt(responses[1]));
+    }
+
+    const duration = lower.match(/(\d+)\s*(day|week|month)s?/);
+    if (duration) {
+      const multiplier = { day: 1, week: 7, month: 30 }[duration[2]];
+      settings.durationDays = Math.min(365, Math.max(1, parseInt(duration[1]) * multiplier));
+    }
+
+    const symbol = String(currency).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const reward = lower.match(new RegExp(`(\\d+(?:\\.\\d+)?)\\s*${symbol}\\s*(?:per|each|a|for each)\\s*(?:response|vote|answer)`));
+    if (reward) {
+      settings.rewardPerResponse = reward[1];
+      settings.rewardDistribution = 'fixed';
+    } else if (/equal[\s-]share/.test(lower)) {
+      settings.rewardDistribution = 'equal-share';
+    }
+
+    if (/crowd[\s-]?fund/.test(lower)) {
+      settings.fundingType = 'crowdfunded';
+    } else if (/self[\s-]?funded/.test(lower)) {
+      settings.fundingType = 'self-funded';
+    }
+    settings.isOpenImmediately = settings.fundingType !== 'crowdfunded';
+
+    return settings;
+  }
+
+  /**
+   * Keep the previous poll, applying what the feedback asks for:
+   * a new topic ("about ..."), a category, an option count or listed options
+   * @private
+   */
+  _regenerate(previousPoll = {}, feedback = '') {
+    const previousOptions = (previousPoll.options || []).map(option =>
+      typeof option === 'string' ? option : option.text
+    );
+    const numOptions = this._requestedOptionCount(feedback) || previousOptions.length || 4;
+    const feedbackCategory = this._category(feedback);
+    const category = feedbackCategory !== 'other' ? feedbackCategory : (previousPoll.category || 'other');
+
+    const newTopic = String(feedback).match(/\babout\s+([^.!?]+)/i);
+    const subject = newTopic ? this._subject(newTopic[1]) : previousPoll.subject;
+
+    // Reuse the previous options unless the feedback changes the topic or lists new ones
+    const listed = this._listedItems(feedback);
+    const preferred = listed.length > 0 || newTopic || feedbackCategory !== 'other'
+      ? listed
+      : this._shuffle(previousOptions, feedback);
+
+    return {
+      ...previousPoll,
+      category,
+      subject,
+      description: this._description(subject, `${subject}:${feedback}`),
+      options: this._options(feedback, category, numOptions, preferred)
+    };
+  }
+
+  /**
+   * No real translation offline: tag each text with the target language
+   * @private
+   */
+  _translate(poll, language) {
+    const tag = text => `[${language}] ${text}`;
+    return {
+      subject: tag(poll.subject),
+      description: tag(poll.description),
+      options: poll.options.map(tag)
+    };
+  }
+
+  /**
+   * Poll topic: the prompt without "create a poll about"-style lead-ins and listed items
+   * @private
+   */
+  _topic(prompt = '') {
+    return this._withoutSettings(prompt)
+      .split(/[:,;]/)[0]
+      .replace(/^\s*(please\s+)?(create|make|generate|build|start)\s+(a\s+|an\s+)?(new\s+)?(poll|survey|vote|question)\s+(about|on|for|regarding)\s+/i, '')
+      .replace(/^(the\s+)?(favou?rite|best)\s+/i, '')
+      .replace(/(\s+(with|for|and|over|in|lasting))+\s*$/i, '')
+      .replace(/[?.!]+$/, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 80);
+  }
+
+  /**
+   * @private
+   */
+  _withoutSettings(text = '') {
+    return SETTINGS_PHRASES.reduce((result, pattern) => result.replace(pattern, ' '), String(text));
+  }
+
+  /**
+   * Items listed after a colon ("tools: Hardhat, Truffle or Foundry")
+   * @private
+   */
+  _listedItems(text = '') {
+    const index = String(text).indexOf(':');
+    if (index === -1) {
+      return [];
+    }
+    return String(text)
+      .slice(index + 1)
+      .split(/,|\bor\b|\band\b|\//i)
+      .map(item => item.replace(/[.?!"]/g, '').trim())
+      .filter(item => item.length > 0 && item.length <= 60);
+  }
+
+  /**
+   * @private
+   */
+  _requestedOptionCount(feedback = '') {
+    const match = String(feedback).toLowerCase().match(/(\d+)\s*options/);
+    return match ? Math.min(10, Math.max(2, parseInt(match[1]))) : null;
+  }
+
+  /**
+   * Deterministic choice from a list, keyed by seed, purpose and input
+   * @private
+   */
+  _pick(items, purpose, input) {
+    return items[this._hash(purpose, input) % items.length];
+  }
+
+  /**
+   * Deterministic shuffle (Fisher-Yates driven by the input hash)
+   * @private
+   */
+  _shuffle(items, input) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = this._hash(`shuffle:${i}`, input) % (i + 1);
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  _hash(purpose, input) {
+    return crypto
+      .createHash('sha256')
+      .update(`${this.seed}:${purpose}:${input}`)
+      .digest()
+      .readUInt32BE(0);
+  }
+}
+
+module.exports = StubLlmProvider;
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { TonClient, WalletContractV3R1, WalletContractV3R2, WalletContractV4 } = require('@ton/ton');
+const { Address, Cell, contractAddress, loadStateInit } = require('@ton/core');
+const { sha256, signVerify } = require('@ton/crypto');
+const config = require('../config/config');
+
+const TON_PROOF_PREFIX = 'ton-proof-item-v2/';
+const TON_CONNECT_PREFIX = 'ton-connect';
+
+// TON Connect chain IDs by config.ton.network
+const CHAIN_IDS = {
+  mainnet: '-239',
+  testnet: '-3'
+};
+
+// Wallet contracts whose data starts with seqno:uint32, subwallet:uint32, publicKey:uint256
+const KNOWN_WALLET_CODE_HASHES = new Set(
+  [WalletContractV3R1, WalletContractV3R2, WalletContractV4].map(Wallet =>
+    Wallet.create({ workchain: 0, publicKey: Buffer.alloc(32) }).init.code.hash().toString('hex')
+  )
+);
+
+/**
+ * TON Proof Service
+ * Implements the TON Connect ton_proof flow: issues signed payload nonces,
+ * verifies wallet ownership proofs and issues session tokens (JWT).
+ */
+class TonProofService {
+  constructor() {
+    this.client = null;
+    this.secret = config.auth.jwtSecret;
+  }
+
+  /**
+   * Throw unless JWT_SECRET and TON_PROOF_DOMAINS are configured
+   * Called at startup; without them proofs could be replayed from any site
+   * and sessions would not survive a restart or work across instances.
+   */
+  checkConfig() {
+    if (!this.secret) {
+      throw new Error('JWT_SECRET must be set');
+    }
+    if (config.auth.allowedDomains.length === 0) {
+      throw new Error('TON_PROOF_DOMAINS must list the frontend host(s)');
+    }
+    if (!CHAIN_IDS[config.ton.network]) {
+      throw new Error(`Unknown TON_NETWORK ${config.ton.network}`);
+    }
+  }
+
+  /**
+   * Generate a ton_proof payload
+   * The payload is stateless: random nonce + expiry, authenticated with an HMAC.
+   * @returns {Object} { payload, expiresAt }
+   */
+  generatePayload() {
+    this.checkConfig();
+
+    const nonce = crypto.randomBytes(8);
+    const expiresAt = Math.floor(Date.now() / 1000) + config.auth.proofTtlSeconds;
+    const expiry = Buffer.alloc(8);
+    expiry.writeBigUInt64BE(BigInt(expiresAt));
+
+    const data = Buffer.concat([nonce, expiry]);
+    const payload = Buffer.concat([data, this._hmac(data)]).toString('hex');
+
+    return {
+      payload,
+      expiresAt: new Date(expiresAt * 1000)
+    };
+  }
+
+  /**
+   * Verify a ton_proof and issue a session token
+   * @param {Object} params - Proof request from the TON Connect wallet
+   * @param {string} params.address - Wallet address (raw form)
+   * @param {string} params.network - Chain ID ('-239' mainnet, '-3' testnet)
+   * @param {string} params.public_key - Optional hex public key reported by the wallet
+   * @param {Object} params.proof - ton_proof item
+   * @returns {Promise<Object>} { token, address, expiresAt }
+   */
+  async verifyProof({ address, network, public_key: publicKeyHex, proof }) {
+    if (!address || !proof || !proof.signature || !proof.payload || !proof.domain) {
+      throw new Error('Address and ton_proof are required');
+    }
+
+    this.checkConfig();
+
+    if (String(network) !== CHAIN_IDS[config.ton.network]) {
+      throw new Error(`Wallet network ${network} does not match ${config.ton.network}`);
+    }
+
+    const walletAddress = Address.parse(address);
+
+    // The payload must be one we issued and still valid
+    this._verifyPayload(proof.payload);
+
+    const now = Math.floor(Date.now() / 1000);
+    if (Math.abs(now - Number(proof.timestamp)) > config.auth.proofTtlSeconds) {
+      throw new Error('Proof has expired');
+    }
+
+    if (!config.auth.allowedDomains.includes(proof.domain.value)) {
+      throw new Error(`Domain ${proof.domain.value} is not allowed`);
+    }
+
+    const publicKey = await this._resolvePublicKey(walletAddress, proof.state_init);
+    if (publicKeyHex && publicKeyHex.toLowerCase() !== publicKey.toString('hex')) {
+      throw new Error('Public key does not match wallet');
+    }
+
+    const message = await this._buildProofMessage(walletAddress, proof);
+    const signature = Buffer.from(proof.signature, 'base64');
+    if (!signVerify(message, signature, publicKey)) {
+      throw new Error('Invalid proof signature');
+    }
+
+    const friendlyAddress = walletAddress.toString({ testOnly: network === '-3' });
+    const token = jwt.sign(
+      { sub: walletAddress.toRawString(), address: friendlyAddress, network },
+      this.secret,
+      { expiresIn: config.auth.tokenTtl }
+    );
+    const { exp } = jwt.decode(token);
+
+    return {
+      token,
+      address: friendlyAddress,
+      expiresAt: new Date(exp * 1000)
+    };
+  }
+
+  /**
+   * Verify a session token
+   * @param {string} token - JWT issued by verifyProof
+   * @returns {Object} Token claims with the wallet address
+   */
+  verifyToken(token) {
+    this.checkConfig();
+    return jwt.verify(token, this.secret);
+  }
+
+  /**
+   * @private
+   */
+  _verifyPayload(payload) {
+    const bytes = Buffer.from(String(payload), 'hex');
+    if (bytes.length !== 32) {
+      throw new Error('Invalid proof payload');
+    }
+
+    const data = bytes.subarray(0, 16);
+    const mac = bytes.subarray(16);
+    if (!crypto.timingSafeEqual(mac, this._hmac(data))) {
+      throw new Error('Invalid proof payload');
+    }
+
+    const expiresAt = Number(data.readBigUInt64BE(8));
+    if (expiresAt < Math.floor(Date.now() / 1000)) {
+      throw new Error('Proof payload has expired');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _hmac(data) {
+    return crypto.createHmac('sha256', this.secret).update(data).digest().subarray(0, 16);
+  }
+
+  /**
+   * Build the signed message defined by the TON Connect ton_proof spec
+   * @private
+   */
+  async _buildProofMessage(address, proof) {
+    const workchain = Buffer.alloc(4);
+    workchain.writeInt32BE(address.workChain);
+
+    const domainLength = Buffer.alloc(4);
+    domainLength.writeUInt32LE(proof.domain.lengthBytes);
+
+    const timestamp = Buffer.alloc(8);
+    timestamp.writeBigUInt64LE(BigInt(proof.timestamp));
+
+    const message = Buffer.concat([
+      Buffer.from(TON_PROOF_PREFIX),
+      workchain,
+      address.hash,
+      domainLength,
+      Buffer.from(proof.domain.value),
+      timestamp,
+      Buffer.from(proof.payload)
+    ]);
+
+    const fullMessage = Buffer.concat([
+      Buffer.from([0xff, 0xff]),
+      Buffer.from(TON_CONNECT_PREFIX),
+      await sha256(message)
+    ]);
+
+    return await sha256(fullMessage);
+  }
+
+  /**
+   * Get the wallet's public key from its state init, or from the chain
+   * @private
+   */
+  async _resolvePublicKey(address, stateInitBase64) {
+    if (stateInitBase64) {
+      const stateInit = loadStateInit(Cell.fromBase64(stateInitBase64).beginParse());
+      if (!contractAddress(address.workChain, stateInit).equals(address)) {
+        throw new Error('State init does not match wallet address');
+      }
+
+      const codeHash = stateInit.code?.hash().toString('hex');
+      if (stateInit.data && KNOWN_WALLET_CODE_HASHES.has(codeHash)) {
+        const data = stateInit.data.beginParse();
+        data.skip(64);
+        return data.loadBuffer(32);
+      }
+    }
+
+    // Unknown wallet code or no state init: ask the deployed wallet
+    if (!this.client) {
+      this.client = new TonClient({
+        endpoint: config.ton.endpoint,
+        apiKey: config.ton.apiKey
+      });
+    }
+
+    try {
+      const result = await this.client.runMethod(address, 'get_public_key');
+      return Buffer.from(result.stack.readBigNumber().toString(16).padStart(64, '0'), 'hex');
+    } catch (error) {
+      throw new Error(`Unable to resolve wallet public key: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new TonProofService();
@@ -0,0 +1,165 @@
+const { Address } = require('@ton/core');
+const config = require('../config/config');
+
+// Native TON; amounts are stored in nanotons (10^-9 TON)
+const TON = Object.freeze({ type: 'ton', symbol: 'TON', decimals: 9, masterAddress: null });
+
+// TEP-64 default when a jetton does not declare its decimals
+const DEFAULT_JETTON_DECIMALS = 9;
+const MAX_DECIMALS = 18;
+
+/**
+ * Raised for unknown currencies and malformed amounts
+ */
+class CurrencyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CurrencyError';
+    this.code = 'INVALID_CURRENCY';
+  }
+}
+
+/**
+ * Normalize a jetton master address to its bounceable, URL-safe form
+ * @param {string} address - Raw or user-friendly address
+ * @returns {string} Normalized address
+ */
+function normalizeAddress(address) {
+  try {
+    return Address.parse(String(address).trim()).toString({ bounceable: true, urlSafe: true });
+  } catch (error) {
+    throw new CurrencyError(`Invalid jetton master address: ${address}`);
+  }
+}
+
+/**
+ * Jettons configured with REWARD_JETTONS ("SYMBOL:masterAddress:decimals,...")
+ * @returns {Array<Object>} Currencies
+ */
+function getJettons() {
+  return config.rewards.jettons.map(entry => {
+    const [symbol, masterAddress, decimals] = entry.split(':').map(part => part.trim());
+    return jetton({ symbol, masterAddress, decimals: decimals === undefined ? undefined : Number(decimals) });
+  });
+}
+
+function jetton({ symbol, masterAddress, decimals = DEFAULT_JETTON_DECIMALS }) {
+  if (!symbol || typeof symbol !== 'string') {
+    throw new CurrencyError('Jetton symbol is required');
+  }
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_DECIMALS) {
+    throw new CurrencyError(`Jetton decimals must be an integer between 0 and ${MAX_DECIMALS}`);
+  }
+  return { type: 'jetton', symbol: symbol.trim().toUpperCase(), decimals, masterAddress: normalizeAddress(masterAddress) };
+}
+
+/**
+ * Resolve the reward currency of a poll
+ * Accepts nothing or "TON" for native TON, a configured jetton's symbol or master address,
+ * or { type: 'jetton', masterAddress, symbol, decimals } for any other jetton.
+ * @param {string|Object} input - Currency from a request or document
+ * @returns {Object} { type, symbol, decimals, masterAddress }
+ */
+function resolveCurrency(input) {
+  if (input === undefined || input === null || input === '') {
+    return { ...TON };
+  }
+
+  if (typeof input === 'string') {
+    if (input.trim().toUpperCase() === TON.symbol) {
+      return { ...TON };
+    }
+    const known = getJettons().find(item =>
+      item.symbol === input.trim().toUpperCase() || (Address.isFriendly(input.trim()) && item.masterAddress === normalizeAddress(input))
+    );
+    if (!known) {
+      throw new CurrencyError(`Unknown currency: ${input} (send { type: 'jetton', masterAddress, symbol, decimals } for other jettons)`);
+    }
+    return known;
+  }
+
+  if (typeof input === 'object') {
+    if (input.type === undefined || input.type === TON.type) {
+      if (input.masterAddress) {
+        throw new CurrencyError('Native TON has no jetton master address');
+      }
+      return { ...TON };
+    }
+    if (input.type !== 'jetton') {
+      throw new CurrencyError("Currency type must be 'ton' or 'jetton'");
+    }
+    if (!input.masterAddress) {
+      throw new CurrencyError('Jetton master address is required');
+    }
+
+    // Configured jettons keep their configured symbol and decimals
+    const masterAddress = normalizeAddress(input.masterAddress);
+    const known = getJettons().find(item => item.masterAddress === masterAddress);
+    return known || jetton(input);
+  }
+
+  throw new CurrencyError('Invalid currency');
+}
+
+/**
+ * Convert a decimal amount to the currency's smallest unit (nanotons for TON)
+ * @param {string|number} amount - e.g. "0.001"
+ * @param {number} decimals - Currency decimals
+ * @returns {string} Integer amount, e.g. "1000000"
+ */
+function toUnits(amount, decimals = TON.decimals) {
+  const value = String(amount).trim();
+  const match = value.match(/^(\d*)(?:\.(\d*))?$/);
+  if (!value || !match || (!match[1] && !match[2])) {
+    throw new CurrencyError(`Invalid amount: ${amount}`);
+  }
+
+  const fraction = (match[2] || '').replace(/0+$/, '');
+  if (fraction.length > decimals) {
+    throw new CurrencyError(`Amount ${amount} has more than ${decimals} decimal places`);
+  }
+  return (BigInt(match[1] || '0') * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0')).toString();
+}
+
+/**
+ * Convert an amount in the smallest unit to a decimal string
+ * @param {string|bigint} units - e.g. "1000000"
+ * @param {number} decimals - Currency decimals
+ * @returns {string} Decimal amount without trailing zeros, e.g. "0.001"
+ */
+function fromUnits(units, decimals = TON.decimals) {
+  const value = BigInt(units).toString().padStart(decimals + 1, '0');
+  const whole = value.slice(0, value.length - decimals);
+  const fraction = value.slice(value.length - decimals).replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : whole;
+}
+
+/**
+ * Format an amount for display
+ * @param {string|bigint} units - Amount in the currency's smallest unit
+ * @param {Object} currency - { symbol, decimals }
+ * @returns {string} e.g. "0.001 TON"
+ */
+function formatAmount(units, currency = TON) {
+  return `${fromUnits(units, currency.decimals)} ${currency.symbol}`;
+}
+
+/**
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a non-negative integer string (an amount in smallest units)
+ */
+function isUnits(value) {
+  return typeof value === 'string' && /^\d+$/.test(value);
+}
+
+module.exports = {
+  TON,
+  CurrencyError,
+  resolveCurrency,
+  getJettons,
+  normalizeAddress,
+  toUnits,
+  fromUnits,
+  formatAmount,
+  isUnits
+};
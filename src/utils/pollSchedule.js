@@ -0,0 +1,80 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Voting period when neither an end time nor a duration is given
+const DEFAULT_DURATION_DAYS = 7;
+
+/**
+ * Raised for malformed or impossible voting windows
+ */
+class ScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.code = 'INVALID_SCHEDULE';
+  }
+}
+
+/**
+ * @param {*} value - Date, ISO string or timestamp
+ * @param {string} field - Field name for the error message
+ * @returns {Date|null} Parsed date, or null if no value was given
+ */
+function parseDate(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ScheduleError(`${field} must be a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Voting window of a poll
+ * Voting starts at startTime, or now if that is missing or already past. It ends at
+ * endTime if given, otherwise durationDays (or durationSeconds) after the start, and
+ * DEFAULT_DURATION_DAYS after it without either.
+ * @param {Object} params - Schedule parameters
+ * @param {Date|string} params.startTime - Scheduled start of voting
+ * @param {Date|string} params.endTime - End of voting
+ * @param {number} params.durationDays - Length of the voting period in days
+ * @param {number} params.durationSeconds - Length in seconds, used when durationDays is not given
+ * @param {Date} now - Current time
+ * @returns {Object} { startTime, endTime }
+ */
+function resolveSchedule({ startTime, endTime, durationDays, durationSeconds } = {}, now = new Date()) {
+  const requestedStart = parseDate(startTime, 'startTime');
+  const start = requestedStart && requestedStart > now ? requestedStart : now;
+
+  let end = parseDate(endTime, 'endTime');
+  if (!end) {
+    if (durationDays !== undefined && durationDays !== null) {
+      const days = Number(durationDays);
+      if (!Number.isInteger(days) || days < 1 || days > 365) {
+        throw new ScheduleError('durationDays must be an integer between 1 and 365');
+      }
+      end = new Date(start.getTime() + days * DAY_MS);
+    } else if (durationSeconds !== undefined && durationSeconds !== null) {
+      const seconds = Number(durationSeconds);
+      if (!Number.isFinite(seconds) || seconds <= 0) {
+        throw new ScheduleError('duration must be a positive number of seconds');
+      }
+      end = new Date(start.getTime() + seconds * 1000);
+    } else {
+      end = new Date(start.getTime() + DEFAULT_DURATION_DAYS * DAY_MS);
+    }
+  }
+
+  if (end <= start) {
+    throw new ScheduleError('endTime must be after the start of voting');
+  }
+
+  return { startTime: start, endTime: end };
+}
+
+module.exports = {
+  DEFAULT_DURATION_DAYS,
+  ScheduleError,
+  resolveSchedule
+};
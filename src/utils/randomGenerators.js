@@ -1,3 +1,5 @@
+const categoryService = require('../services/categoryService');
+
 function getRandomDuration() {
   const durations = [1, 2, 3, 5, 10, 30, 90];
   return durations[Math.floor(Math.random() * durations.length)];
@@ -14,9 +16,7 @@ function getRandomPollCount() {
 }
 
 function getRandomCategory() {
-  //const categories = ['technology', 'politics', 'entertainment', 'sports', 'science', 'business', 'lifestyle'];
-  const categories = ['art', 'design', 'tech', 'defi', 'lifestyle', 'environment', 'web3', 'food'];
-  return categories[Math.floor(Math.random() * categories.length)];
+  return categoryService.getRandomSlug();
 }
 
 module.exports = {
@@ -0,0 +1,51 @@
+const { Address, Dictionary, beginCell } = require('@ton/core');
+
+/**
+ * Reward Merkle tree
+ * A poll's claimable rewards are a TON dictionary of voter address -> amount (Coins).
+ * Its root is the hash of the dictionary cell, and a voter's proof is the Merkle proof
+ * cell of their key, which the reward distributor checks against the published root.
+ */
+
+const KEY = Dictionary.Keys.Address();
+const VALUE = Dictionary.Values.BigVarUint(4); // Coins
+
+/**
+ * @param {Array<Object>} entries - { voterAddress, amount } with amounts in nanotons
+ * @returns {Dictionary} Reward dictionary
+ */
+function buildRewardTree(entries) {
+  const dict = Dictionary.empty(KEY, VALUE);
+  for (const { voterAddress, amount } of entries) {
+    dict.set(Address.parse(voterAddress), BigInt(amount));
+  }
+  return dict;
+}
+
+/**
+ * @param {Array<Object>} entries - { voterAddress, amount }
+ * @returns {string} Merkle root as 64 hex characters
+ */
+function getRewardRoot(entries) {
+  return beginCell().storeDictDirect(buildRewardTree(entries)).endCell().hash().toString('hex');
+}
+
+/**
+ * @param {Array<Object>} entries - { voterAddress, amount }
+ * @param {string} voterAddress - Voter to prove
+ * @returns {string|null} Merkle proof cell as base64 BoC, or null if the voter has no reward
+ */
+function getRewardProof(entries, voterAddress) {
+  const dict = buildRewardTree(entries);
+  const key = Address.parse(voterAddress);
+  if (!dict.has(key)) {
+    return null;
+  }
+  return dict.generateMerkleProof(key).toBoc().toString('base64');
+}
+
+module.exports = {
+  buildRewardTree,
+  getRewardRoot,
+  getRewardProof
+};
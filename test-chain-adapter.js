@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+
+const { Address, Cell, Dictionary, beginCell } = require('@ton/core');
+const { ChainAdapter, createChainAdapter } = require('./src/services/chainAdapter');
+const { getRewardRoot, getRewardProof } = require('./src/utils/rewardTree');
+
+const REQUIRED_METHODS = ['getPoll', 'getActivePolls', 'getPollResults', 'getTransaction', 'getMasterchainInfo'];
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`✅ ${message}`);
+}
+
+/**
+ * Run the simple adapter's findCreatedPoll() against a stubbed API that holds two
+ * operator transfers, each carrying the same CreatePoll body
+ * @returns {Promise<Array<number>>} Poll IDs found for the first and second transfer
+ */
+async function findSimpleCreatedPolls() {
+  const simple = createChainAdapter('simple');
+  const contract = Address.parse('EQCD39VS5jcptHL8vMjEXrzGaRcCVYto7HUn4bpAOg8xqB2N');
+  const operator = Address.parse('EQBvW8Z5huBkMJYdnfAEM5JqTNkuWX3diqYENkWsIL0XggGG');
+  const createPoll = beginCell().storeUint(1563446443, 32).storeUint(3, 32).endCell();
+  const transfers = [1, 2].map(seqno => beginCell().storeUint(seqno, 32).storeRef(createPoll).endCell());
+  const list = values => ({ values: () => values });
+  const hashOf = n => () => Buffer.alloc(32, n);
+
+  const walletTxs = transfers.map((transfer, i) => ({
+    lt: BigInt(10 + i * 10),
+    now: Math.floor(Date.now() / 1000),
+    hash: hashOf(i + 1),
+    inMessage: { info: { type: 'external-in' }, body: transfer },
+    outMessages: list([{ info: { type: 'internal', dest: contract, createdLt: BigInt(11 + i * 10) }, body: createPoll }])
+  })).reverse();
+  const resultTx = createdLt => ({
+    lt: createdLt + 1n,
+    now: Math.floor(Date.now() / 1000),
+    hash: hashOf(Number(createdLt)),
+    inMessage: { info: { type: 'internal', src: operator } },
+    description: { type: 'generic', computePhase: { type: 'vm', success: true, exitCode: 0 }, actionPhase: { success: true } },
+    outMessages: list([{
+      info: { type: 'external-out' },
+      body: beginCell().storeUint(0x3ba20d03, 32).storeUint(createdLt === 11n ? 41 : 42, 32).storeAddress(operator).endCell()
+    }])
+  });
+
+  const saved = { client: simple.client, isInitialized: simple.isInitialized, contractAddress: simple.contractAddress };
+  Object.assign(simple, {
+    isInitialized: true,
+    contractAddress: contract.toString(),
+    client: {
+      getTransactions: async () => walletTxs,
+      tryLocateResultTx: async (source, destination, createdLt) => resultTx(BigInt(createdLt))
+    }
+  });
+  try {
+    const found = [];
+    for (const transfer of transfers) {
+      found.push((await simple.findCreatedPoll(operator.toString(), transfer.hash().toString('hex'))).pollId);
+    }
+    return found;
+  } finally {
+    Object.assign(simple, saved);
+  }
+}
+
+/**
+ * Run the simple adapter's getActivePolls() against a stubbed getActivePolls getter
+ * that returns a serialized poll map, and again with the getter failing
+ * @param {Array<Object>} polls - { id, creator, totalVotes, isActive, optionCount }
+ * @returns {Promise<Object>} { direct, fallback } - active polls read each way
+ */
+async function getSimpleActivePolls(polls) {
+  const simple = createChainAdapter('simple');
+  const contract = Address.parse('EQCD39VS5jcptHL8vMjEXrzGaRcCVYto7HUn4bpAOg8xqB2N');
+
+  // map<Int, Poll> as Tact stores it: each value in a ref cell, optionCount moved to a
+  // further ref once id, creator, totalVotes and isActive fill the first one
+  const pollValue = {
+    serialize: (poll, builder) => builder.storeRef(beginCell()
+      .storeInt(poll.id, 257)
+      .storeAddress(poll.creator)
+      .storeInt(poll.totalVotes, 257)
+      .storeBit(poll.isActive)
+      .storeRef(beginCell().storeInt(poll.optionCount, 257))),
+    parse: () => {
+      throw new Error('Not used');
+    }
+  };
+  const dict = Dictionary.empty(Dictionary.Keys.BigInt(257), pollValue);
+  for (const poll of polls) {
+    dict.set(BigInt(poll.id), poll);
+  }
+  const pollsCell = beginCell().storeDictDirect(dict).endCell();
+
+  // Getter results as TonClient returns them: the struct as a tuple, the creator as a slice
+  const pollTuple = poll => ({
+    type: 'tuple',
+    items: [
+      { type: 'int', value: BigInt(poll.id) },
+      { type: 'slice', cell: beginCell().storeAddress(poll.creator).endCell() },
+      { type: 'int', value: BigInt(poll.totalVotes) },
+      { type: 'int', value: poll.isActive ? -1n : 0n },
+      { type: 'int', value: BigInt(poll.optionCount) }
+    ]
+  });
+  const reader = items => ({ items, readCellOpt: () => items[0]?.cell ?? null });
+  const getters = {
+    getActivePolls: () => reader([{ type: 'cell', cell: pollsCell }]),
+    getPollCount: () => reader([{ type: 'int', value: BigInt(polls.length) }]),
+    getPoll: ([pollId]) => reader([pollTuple(polls.find(poll => BigInt(poll.id) === pollId.value))])
+  };
+
+  const saved = { client: simple.client, isInitialized: simple.isInitialized, contractAddress: simple.contractAddress };
+  Object.assign(simple, { isInitialized: true, contractAddress: contract.toString() });
+  try {
+    simple.client = { runMethod: async (address, name, stack = []) => ({ stack: getters[name](stack) }) };
+    const direct = await simple.getActivePolls();
+
+    simple.client.runMethod = async (address, name, stack = []) => {
+      if (name === 'getActivePolls') {
+        throw new Error('Unable to execute get method');
+      }
+      return { stack: getters[name](stack) };
+    };
+    const fallback = await simple.getActivePolls();
+    return { direct, fallback };
+  } finally {
+    Object.assign(simple, saved);
+  }
+}
+
+async function testChainAdapters() {
+  console.log('🧪 Testing Chain Adapters (Offline)\n');
+
+  try {
+    // 1. Both implementations cover the required interface
+    console.log('1. Checking interface coverage...');
+    for (const name of ['simple', 'fake']) {
+      const adapter = createChainAdapter(name);
+      assert(adapter instanceof ChainAdapter, `${name} adapter extends ChainAdapter`);
+      for (const method of REQUIRED_METHODS) {
+        assert(adapter[method] !== ChainAdapter.prototype[method], `${name} adapter implements ${method}()`);
+      }
+    }
+
+    // 2. Fake adapter behaves like the contract
+    console.log('\n2. Exercising fake adapter...');
+    const fake = createChainAdapter('fake');
+    await fake.init();
+
+    const { pollId } = fake.addPoll('EQ_CREATOR', 3);
+    assert(pollId === 1, 'First poll gets ID 1');
+    assert(await fake.getNextPollId() === 2, 'Next poll ID advances');
+
+    const vote = fake.castVote(pollId, 2, 'EQ_VOTER_1');
+    assert(vote.success, 'Valid vote succeeds');
+    assert(await fake.hasUserVoted('EQ_VOTER_1', pollId), 'Voter is recorded');
+
+    const duplicate = fake.castVote(pollId, 0, 'EQ_VOTER_1');
+    const duplicateTx = await fake.getTransaction(duplicate.txHash);
+    assert(duplicateTx && !duplicateTx.success && duplicateTx.bounced, 'Duplicate vote bounces');
+    assert(duplicateTx.mcSeqno === (await fake.getMasterchainInfo()).latestSeqno, 'Transaction records its masterchain block');
+
+    const results = await fake.getPollResults(pollId);
+    assert(results.totalVotes === 1 && results.results[2].voteCount === 1, 'Results count the vote');
+
+    const before = (await fake.getMasterchainInfo()).latestSeqno;
+    fake.advanceBlocks(3);
+    const after = (await fake.getMasterchainInfo()).latestSeqno;
+    assert(after - before === 3, 'Masterchain seqno advances on demand');
+
+    fake.closePoll(pollId);
+    assert((await fake.getActivePolls()).length === 0, 'Closed poll is not active');
+
+    // 3. Contribution transfers are found on the receiving wallet only
+    console.log('\n3. Checking transfers...');
+    for (const name of ['simple', 'fake']) {
+      const adapter = createChainAdapter(name);
+      for (const method of ['createTransferTransaction', 'getTransfer']) {
+        assert(adapter[method] !== ChainAdapter.prototype[method], `${name} adapter implements ${method}()`);
+      }
+    }
+
+    const jetton = { type: 'jetton', masterAddress: 'EQ_JETTON_MASTER' };
+    const tonHash = fake.sendTransfer({ from: 'EQ_VOTER_1', to: 'EQ_ESCROW', amount: '1000', comment: 'memo' });
+    const tonTransfer = await fake.getTransfer('EQ_ESCROW', tonHash);
+    assert(tonTransfer && tonTransfer.amount === '1000' && tonTransfer.comment === 'memo', 'TON transfer carries amount and comment');
+    assert(await fake.getTransfer('EQ_OTHER', tonHash) === null, 'Transfer is not found on another wallet');
+
+    const jettonHash = fake.sendTransfer({ from: 'EQ_VOTER_1', to: 'EQ_ESCROW', amount: '5', comment: 'memo', currency: jetton });
+    assert((await fake.getTransfer('EQ_ESCROW', jettonHash, { currency: jetton })).amount === '5', 'Jetton transfer counts for its jetton');
+    assert((await fake.getTransfer('EQ_ESCROW', jettonHash)).amount === '0', 'Jetton transfer does not count as TON');
+
+    // 4. Messages a wallet sent are found by their body hash
+    console.log('\n4. Checking sent messages...');
+    for (const name of ['simple', 'fake']) {
+      const adapter = createChainAdapter(name);
+      assert(adapter.findSentMessage !== ChainAdapter.prototype.findSentMessage, `${name} adapter implements findSentMessage()`);
+    }
+
+    const sentHash = fake.sendMessages('EQ_OPERATOR', ['aa'.repeat(32), 'bb'.repeat(32)]);
+    const sentMessage = await fake.findSentMessage('EQ_OPERATOR', 'bb'.repeat(32));
+    assert(sentMessage && sentMessage.hash === sentHash && sentMessage.success, 'Sent message is found on its transaction');
+    assert(await fake.findSentMessage('EQ_OPERATOR', 'cc'.repeat(32)) === null, 'Unsent message is not found');
+    assert(await fake.findSentMessage('EQ_OTHER', 'aa'.repeat(32)) === null, 'Message is not found on another wallet');
+
+    // 5. Sponsored polls are found by the transfer that carried their CreatePoll message
+    console.log('\n5. Checking created polls...');
+    for (const name of ['simple', 'fake']) {
+      const adapter = createChainAdapter(name);
+      assert(adapter.findCreatedPoll !== ChainAdapter.prototype.findCreatedPoll, `${name} adapter implements findCreatedPoll()`);
+    }
+
+    // Two registrations with the same option count send identical CreatePoll bodies
+    const createHash = 'dd'.repeat(32);
+    const firstSend = fake.sendMessages('EQ_OPERATOR', [createHash], { transferHash: '01'.repeat(32) });
+    const secondSend = fake.sendMessages('EQ_OPERATOR', [createHash], { transferHash: '02'.repeat(32) });
+    assert(await fake.findCreatedPoll('EQ_OPERATOR', '01'.repeat(32)) === null, 'Unprocessed CreatePoll message has no poll yet');
+    fake.addPoll('EQ_OPERATOR', 2);
+    const first = fake.addPoll('EQ_OPERATOR', 3, { sentBy: firstSend });
+    const second = fake.addPoll('EQ_OPERATOR', 3, { sentBy: secondSend });
+    const created = await fake.findCreatedPoll('EQ_OPERATOR', '01'.repeat(32));
+    assert(created && created.pollId === first.pollId && created.hash === first.txHash, 'Poll ID is read from the transfer it was created by');
+    assert((await fake.findCreatedPoll('EQ_OPERATOR', '02'.repeat(32))).pollId === second.pollId, 'Identical CreatePoll bodies get their own poll');
+    assert(await fake.findCreatedPoll('EQ_OTHER', '01'.repeat(32)) === null, 'Poll is not found for another sender');
+
+    const simpleCreated = await findSimpleCreatedPolls();
+    assert(simpleCreated.join() === '41,42', 'Simple adapter reads each transfer\'s poll from its PollCreated event');
+
+    // 6. Reward claims are listed with their poll, and proofs match the root
+    console.log('\n6. Checking reward claims...');
+    for (const name of ['simple', 'fake']) {
+      const adapter = createChainAdapter(name);
+      for (const method of ['createRewardRootMessage', 'createRewardClaimTransaction', 'getRewardClaims']) {
+        assert(adapter[method] !== ChainAdapter.prototype[method], `${name} adapter implements ${method}()`);
+      }
+    }
+
+    fake.claimReward(pollId, 'EQ_VOTER_1');
+    fake.claimReward(pollId, 'EQ_VOTER_2', false);
+    const { claims, lastLt } = await fake.getRewardClaims();
+    assert(claims.length === 2 && claims.every(claim => claim.pollId === pollId), 'Claims carry their poll ID');
+    assert(claims.filter(claim => claim.success).map(claim => claim.sender).join() === 'EQ_VOTER_1', 'Rejected claims are not successful');
+    assert(lastLt === claims[1].lt, 'Cursor ends at the newest claim read');
+
+    fake.claimReward(pollId, 'EQ_VOTER_3');
+    const next = await fake.getRewardClaims({ afterLt: lastLt });
+    assert(next.claims.length === 1 && next.claims[0].sender === 'EQ_VOTER_3', 'Claims after the cursor are read once');
+    const idle = await fake.getRewardClaims({ afterLt: next.lastLt });
+    assert(idle.claims.length === 0 && idle.lastLt === next.lastLt, 'Cursor stays put without new transactions');
+
+    const entries = ['1', '2'].map((n, i) => ({ voterAddress: `0:${n.padStart(64, '0')}`, amount: String(1000 * (i + 1)) }));
+    const root = getRewardRoot(entries);
+    const proof = Cell.fromBase64(getRewardProof(entries, entries[1].voterAddress));
+    assert(proof.isExotic && proof.refs[0].hash(0).toString('hex') === root, 'Merkle proof is anchored to the root');
+    assert(getRewardProof(entries, `0:${'3'.padStart(64, '0')}`) === null, 'Voters without a reward get no proof');
+
+    // 7. The simple adapter decodes the contract's poll map, or reads polls one by one
+    console.log('\n7. Checking active polls...');
+    const creators = ['EQBvW8Z5huBkMJYdnfAEM5JqTNkuWX3diqYENkWsIL0XggGG', 'EQCD39VS5jcptHL8vMjEXrzGaRcCVYto7HUn4bpAOg8xqB2N']
+      .map(address => Address.parse(address));
+    const activePolls = [
+      { id: 1, creator: creators[0], totalVotes: 12, isActive: true, optionCount: 3 },
+      { id: 2, creator: creators[1], totalVotes: 0, isActive: false, optionCount: 2 },
+      { id: 3, creator: creators[1], totalVotes: 5, isActive: true, optionCount: 10 }
+    ];
+    const expected = activePolls
+      .filter(poll => poll.isActive)
+      .map(poll => ({ ...poll, creator: poll.creator.toString() }));
+
+    const { direct, fallback } = await getSimpleActivePolls(activePolls);
+    assert(JSON.stringify(direct) === JSON.stringify(expected), 'Active polls are decoded from the poll map');
+    assert(JSON.stringify(fallback) === JSON.stringify(expected), 'Without the getter, active polls are read one by one');
+
+    console.log('\n🎉 Chain adapter tests passed');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testChainAdapters();
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+// Fixed fee and gas settings so the expected amounts below are exact
+process.env.FUNDING_PLATFORM_FEE_BPS = '250';
+process.env.FUNDING_GAS_PER_PAYOUT = '0.006';
+process.env.FUNDING_JETTON_GAS_PER_PAYOUT = '0.05';
+process.env.REWARD_DEFAULT_POOL = '0.1';
+
+const fundingService = require('./src/services/fundingService');
+const { FundingError } = fundingService;
+
+const USDT = { type: 'jetton', symbol: 'USDT', decimals: 6, masterAddress: 'EQ_JETTON_MASTER' };
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`✅ ${message}`);
+}
+
+function assertFundingError(fn, message) {
+  try {
+    fn();
+  } catch (error) {
+    assert(error instanceof FundingError, message);
+    return;
+  }
+  throw new Error(`${message} (no error thrown)`);
+}
+
+function testFunding() {
+  console.log('🧪 Testing Funding Math (Offline)\n');
+
+  try {
+    // 1. Fixed rewards: pool + fee + gas
+    console.log('1. Fixed distribution...');
+    assert(fundingService.getGasPerPayout() === 6000000n, 'TON payout gas is 0.006 TON in nanotons');
+    assert(fundingService.getGasPerPayout(USDT) === 50000000n, 'Jetton payout gas is 0.05 TON in nanotons');
+
+    const fixed = fundingService.quote({ rewardDistribution: 'fixed', maxResponses: 10, rewardPerResponse: '1000000' });
+    assert(fixed.rewardPool === '10000000', 'Pool is reward per response times responses');
+    assert(fixed.platformFee === '250000', 'Fee is 2.5% of the pool');
+    assert(fixed.gasReserve === '60000000', 'Gas is reserved for every payout');
+    assert(fixed.targetFund === '70250000', 'Target fund is pool + fee + gas');
+
+    const tiny = fundingService.quote({ rewardDistribution: 'fixed', maxResponses: 1, rewardPerResponse: '3' });
+    assert(tiny.platformFee === '1', 'Fractional fees round up');
+
+    // 2. Equal-share: the target fund is split into gas, fee and pool
+    console.log('\n2. Equal-share distribution...');
+    const shared = fundingService.quote({ rewardDistribution: 'equal-share', maxResponses: 10, targetFund: '1000000000' });
+    assert(shared.rewardPool === '917073170', 'Pool is what remains after gas, with the fee charged on the pool');
+    assert(shared.platformFee === '22926830', 'Fee takes the rounding remainder');
+    assert(
+      BigInt(shared.rewardPool) + BigInt(shared.platformFee) + BigInt(shared.gasReserve) === BigInt(shared.targetFund),
+      'Pool, fee and gas add up to the target fund'
+    );
+    assert(shared.rewardPerResponse === '91707317', 'Each voter gets the pool divided by max responses');
+
+    const defaultPool = fundingService.quote({ rewardDistribution: 'equal-share', maxResponses: 10 });
+    assert(defaultPool.rewardPool === '100000000' && defaultPool.targetFund === '162500000', 'Default pool is REWARD_DEFAULT_POOL');
+
+    assertFundingError(
+      () => fundingService.quote({ rewardDistribution: 'equal-share', maxResponses: 10, targetFund: '60000000' }),
+      'Target fund must exceed the gas reserve'
+    );
+    assertFundingError(
+      () => fundingService.quote({ rewardDistribution: 'equal-share', maxResponses: 10, targetFund: '60000005' }),
+      'A pool smaller than one unit per response is rejected'
+    );
+
+    // 3. Jetton polls raise gas in TON, outside the target fund
+    console.log('\n3. Jetton currency...');
+    const jetton = fundingService.quote({ rewardDistribution: 'fixed', maxResponses: 4, rewardPerResponse: '1000000', currency: USDT });
+    assert(jetton.gasReserve === '200000000', 'Jetton gas reserve is in nanotons');
+    assert(jetton.targetFund === '4100000', 'Jetton target fund leaves the gas out');
+    assert(jetton.formatted.gasReserve.endsWith('TON') && jetton.formatted.targetFund.endsWith('USDT'), 'Gas is formatted in TON, amounts in the jetton');
+
+    // 4. Inputs
+    console.log('\n4. Validating inputs...');
+    assertFundingError(
+      () => fundingService.quote({ rewardDistribution: 'fixed', maxResponses: 10, rewardPerResponse: '0.5' }),
+      'Amounts must be integers in the smallest unit'
+    );
+    assertFundingError(
+      () => fundingService.quote({ rewardDistribution: 'fixed', maxResponses: 0, rewardPerResponse: '1' }),
+      'maxResponses must be positive'
+    );
+    const none = fundingService.quote({ rewardDistribution: 'none', maxResponses: 10 });
+    assert(none.targetFund === '0' && none.gasReserve === '0', 'Unrewarded polls need no funding');
+
+    // 5. Polls stored with the old 'split' default are quoted as equal-share
+    console.log('\n5. Legacy distributions...');
+    assertFundingError(
+      () => fundingService.quote({ rewardDistribution: 'split', maxResponses: 10 }),
+      'quote() only takes current distribution names'
+    );
+    const legacy = fundingService.quoteForPoll({ rewardDistribution: 'split', maxResponses: 10, targetFund: '1000000000' });
+    assert(legacy.rewardDistribution === 'equal-share' && legacy.rewardPool === shared.rewardPool, "Stored 'split' polls are quoted as equal-share");
+
+    console.log('\n🎉 Funding tests passed');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testFunding();
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+const { Address, TupleBuilder } = require('@ton/core');
+const GetterCache = require('./src/services/getterCache');
+
+const CONTRACT = Address.parse('EQD__________________________________________0vo');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`✅ ${message}`);
+}
+
+/**
+ * A getter whose result is the current value of `state[name]`, resolved when released
+ */
+function createGetter(state) {
+  const calls = [];
+  const fetch = (name) => () => new Promise((resolve) => {
+    const value = state[name];
+    calls.push(() => {
+      const stack = new TupleBuilder();
+      stack.writeNumber(value);
+      resolve({ gas_used: 0, stack: { items: stack.build() } });
+    });
+  });
+  // Release every call waiting for its RPC
+  const release = async () => {
+    calls.splice(0).forEach((resolve) => resolve());
+    await new Promise((resolve) => setImmediate(resolve));
+  };
+  return { calls, fetch, release };
+}
+
+function pollArg(pollId) {
+  return [{ type: 'int', value: BigInt(pollId) }];
+}
+
+async function testGetterCache() {
+  console.log('🧪 Testing Getter Cache (Offline)\n');
+
+  try {
+    // 1. Results are cached, and identical concurrent calls share one RPC
+    console.log('1. Caching...');
+    const state = { getPoll: 1, getOptionResult: 1, getPollCount: 1 };
+    const cache = new GetterCache({ defaultTtl: 60 });
+    const getter = createGetter(state);
+    const run = (name, pollId) => cache.run(CONTRACT, name, pollArg(pollId), getter.fetch(name))
+      .then((result) => result.stack.readNumber());
+
+    const concurrent = [run('getPoll', 1), run('getPoll', 1)];
+    assert(getter.calls.length === 1, 'Concurrent identical calls share one RPC');
+    await getter.release();
+    assert((await Promise.all(concurrent)).join() === '1,1', 'Both callers get the result');
+
+    const cached = run('getPoll', 1);
+    assert(getter.calls.length === 0 && await cached === 1, 'Later calls are answered from the cache');
+
+    // 2. Invalidating a poll drops its cached results and the global getters
+    console.log('\n2. Invalidating cached results...');
+    const other = run('getPoll', 2);
+    const count = run('getPollCount', 0);
+    await getter.release();
+    await Promise.all([other, count]);
+
+    state.getPoll = 2;
+    state.getPollCount = 2;
+    cache.invalidatePoll(1);
+    const refreshed = [run('getPoll', 1), run('getPoll', 2), run('getPollCount', 0)];
+    assert(getter.calls.length === 2, 'The poll and the global getters are fetched again, other polls are not');
+    await getter.release();
+    assert((await Promise.all(refreshed)).join() === '2,1,2', 'They return the changed values');
+
+    // 3. A call still running when its poll changes is neither cached nor joined
+    console.log('\n3. Invalidating running calls...');
+    const before = run('getOptionResult', 1);
+    cache.invalidatePoll(1);
+    state.getOptionResult = 2;
+
+    const after = run('getOptionResult', 1);
+    assert(getter.calls.length === 2, 'A call after the invalidation does not join the running one');
+    await getter.release();
+    assert(await before === 1 && await after === 2, 'Each call gets the value it read');
+
+    const next = run('getOptionResult', 1);
+    assert(getter.calls.length === 0 && await next === 2, 'Only the result read after the change is cached');
+
+    const beforeClear = run('getOptionResult', 2);
+    cache.clear();
+    await getter.release();
+    await beforeClear;
+    const afterClear = run('getOptionResult', 2);
+    assert(getter.calls.length === 1, 'Calls running during clear() are not cached either');
+    await getter.release();
+    await afterClear;
+
+    console.log('\n🎉 Getter cache tests passed');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testGetterCache();
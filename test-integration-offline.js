@@ -38,10 +38,10 @@ async function testIntegrationOffline() {
       description: 'This is a test poll for verifying integration',
       category: 'tech',
       options: ['Option A', 'Option B', 'Option C'],
-      rewardPerResponse: '0.01',
+      rewardPerResponse: '10000000', // 0.01 TON in nanotons
       durationDays: 3,
       maxResponses: 100,
-      targetFund: '1.0',
+      targetFund: '1000000000',
       fundingType: 'self-funded',
       rewardDistribution: 'fixed'
     });
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+const { setLlmProvider } = require('./src/services/llmProvider');
+const StubLlmProvider = require('./src/services/stubLlmProvider');
+const openaiService = require('./src/services/openaiService');
+const categoryService = require('./src/services/categoryService');
+
+const PROMPT = 'Create a poll about Web3 development tools: Hardhat, Truffle, Foundry, Remix';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`✅ ${message}`);
+}
+
+async function testLlmStub() {
+  console.log('🧪 Testing Stub LLM Provider (Offline)\n');
+
+  try {
+    setLlmProvider(new StubLlmProvider({ seed: 'test' }));
+
+    // 1. Full poll generation is schema-valid
+    console.log('1. Generating a poll...');
+    const poll = await openaiService.generatePollFromPrompt(PROMPT, 4);
+    assert(categoryService.isValid(poll.category), `Category is valid (${poll.category})`);
+    assert(poll.subject.length > 0 && poll.description.length > 0, 'Subject and description are set');
+    assert(poll.options.length === 4 && new Set(poll.options).size === 4, 'Four distinct options');
+    assert(poll.options.includes('Foundry'), 'Options listed in the prompt are used');
+
+    // 2. Output is deterministic per seed
+    console.log('\n2. Checking determinism...');
+    const again = await openaiService.generatePollFromPrompt(PROMPT, 4);
+    assert(JSON.stringify(again) === JSON.stringify(poll), 'Same seed and prompt give the same poll');
+
+    setLlmProvider(new StubLlmProvider({ seed: 'another-seed' }));
+    const reseeded = await openaiService.generatePollMultiCall('Create a poll about favorite pizza toppings', 4);
+    assert(reseeded.category === 'food', 'Multi-call pipeline works with the stub');
+    assert(categoryService.resolve('Technology') === 'tech' && categoryService.resolve('general') === 'other', 'Category names and aliases map to slugs');
+
+    // 3. Settings and regeneration follow the text
+    console.log('\n3. Checking settings and regeneration...');
+    const settings = await openaiService.extractPollSettings('500 responses, 0.01 TON per response, crowdfunded, 2 weeks');
+    assert(settings.maxResponses === 500 && settings.durationDays === 14, 'Responses and duration are extracted');
+    assert(settings.rewardDistribution === 'fixed' && settings.rewardPerResponse === '0.01', 'Fixed reward is extracted');
+    assert(settings.fundingType === 'crowdfunded' && settings.isOpenImmediately === false, 'Crowdfunding is extracted');
+
+    const usdt = { type: 'jetton', symbol: 'USDT', decimals: 6, masterAddress: 'EQCxE6mUtQJKFnGfaROTKOt1lZbDiiX1kCixRv7Nw2Id_sDs' };
+    const jettonSettings = await openaiService.extractPollSettings('0.5 USDT per vote', null, usdt);
+    assert(jettonSettings.rewardPerResponse === '0.5', 'Rewards are read in the poll currency');
+
+    const updated = await openaiService.extractPollSettings('Duration should be 90 days', settings);
+    assert(updated.durationDays === 90 && updated.maxResponses === 500, 'Only mentioned settings change');
+
+    const regenerated = await openaiService.regeneratePollFromFeedback(poll, 'make it 3 options');
+    assert(regenerated.options.length === 3 && regenerated.category === poll.category, 'Regeneration applies feedback');
+
+    // 4. Gallery polls get one image prompt and alt text per option
+    console.log('\n4. Generating option image prompts...');
+    const images = await openaiService.generateOptionImagePrompts(poll.subject, poll.options);
+    assert(images.length === poll.options.length, 'One entry per option');
+    assert(images.every((image, index) => image.option === poll.options[index] && image.imagePrompt && image.altText), 'Entries follow option order');
+
+    console.log('\n🎉 Stub LLM provider tests passed');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testLlmStub();
@@ -15,14 +15,14 @@ async function testMongoDBIntegration() {
       category: 'tech',
       viewType: 'text',
       options: ['JavaScript', 'Python', 'Java', 'C++'],
-      rewardPerResponse: '0.001',
+      rewardCurrency: { type: 'ton', symbol: 'TON', decimals: 9, masterAddress: null },
+      rewardPerResponse: '1000000', // 0.001 TON in nanotons
       durationDays: 7,
       maxResponses: 100,
-      minContribution: '0.0001',
+      minContribution: '100000',
       fundingType: 'self-funded',
       isOpenImmediately: true,
-      targetFund: '0.1',
-      rewardToken: '0x0000000000000000000000000000000000000000',
+      targetFund: '100000000',
       rewardDistribution: 'split',
       originalPrompt: 'Create a poll about favorite programming languages'
     });
@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+
+// Offline: the fake chain adapter stands in for the contract, and model queries are
+// answered from in-memory arrays instead of MongoDB
+process.env.CHAIN_ADAPTER = 'fake';
+process.env.FUNDING_PLATFORM_FEE_BPS = '250';
+process.env.FUNDING_GAS_PER_PAYOUT = '0.006';
+process.env.PAYOUT_MAX_ATTEMPTS = '3';
+process.env.PAYOUT_RETRY_MINUTES = '5';
+
+const crypto = require('crypto');
+const { Cell } = require('@ton/core');
+const { getChainAdapter } = require('./src/services/chainAdapter');
+const operatorWallet = require('./src/services/operatorWalletService');
+const payoutService = require('./src/services/payoutService');
+const rewardClaimService = require('./src/services/rewardClaimService');
+const contributionService = require('./src/services/contributionService');
+const fundingService = require('./src/services/fundingService');
+const { getRewardRoot } = require('./src/utils/rewardTree');
+const AiGeneratedPoll = require('./src/models/AiGeneratedPoll');
+const BlockchainPoll = require('./src/models/BlockchainPoll');
+const BlockchainVote = require('./src/models/BlockchainVote');
+const Contribution = require('./src/models/Contribution');
+const RewardDistribution = require('./src/models/RewardDistribution');
+const RewardPayout = require('./src/models/RewardPayout');
+
+const OPERATOR = 'EQD__________________________________________0vo';
+const HOUR = 60 * 60 * 1000;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`✅ ${message}`);
+}
+
+/**
+ * Whether a document matches a query of plain values, $or, $in, $ne, $gte, $lt and $lte
+ */
+function matches(doc, query) {
+  return Object.entries(query).every(([path, condition]) => {
+    if (path === '$or') {
+      return condition.some(alternative => matches(doc, alternative));
+    }
+    const value = doc.get ? doc.get(path) : doc[path];
+    // Plain objects hold operators; anything else (ObjectIds, dates) is compared as a value
+    if (condition === null || Object.getPrototypeOf(condition) !== Object.prototype) {
+      return String(value) === String(condition);
+    }
+    return Object.entries(condition).every(([op, operand]) => ({
+      $in: () => operand.map(String).includes(String(value)),
+      $ne: () => String(value) !== String(operand),
+      $gte: () => value >= operand,
+      $lt: () => value < operand,
+      $lte: () => value <= operand
+    })[op]());
+  });
+}
+
+/**
+ * Answer a model's queries from an array
+ * @returns {Array} The array, which save() adds new documents to
+ */
+function useMemoryStore(Model, docs = []) {
+  const query = found => ({
+    sort: () => query(found),
+    limit: n => query(found.slice(0, n)),
+    lean: async () => found,
+    then: (resolve, reject) => Promise.resolve(found).then(resolve, reject)
+  });
+  Model.find = (filter = {}) => query(docs.filter(doc => matches(doc, filter)));
+  Model.findOne = async (filter = {}) => docs.find(doc => matches(doc, filter)) || null;
+  Model.exists = async (filter = {}) => docs.some(doc => matches(doc, filter));
+  Model.insertMany = async items => {
+    const inserted = items.map(item => new Model(item));
+    docs.push(...inserted);
+    return inserted;
+  };
+  Model.updateOne = async (filter, update) => {
+    const doc = docs.find(d => matches(d, filter));
+    if (doc) {
+      doc.set(update.$set);
+    }
+    return { modifiedCount: doc ? 1 : 0 };
+  };
+  Model.prototype.save = async function() {
+    if (!docs.includes(this)) {
+      docs.push(this);
+    }
+    return this;
+  };
+  return docs;
+}
+
+/**
+ * A funded crowdfunded AI poll with its blockchain poll, votes and deposits
+ * @returns {Object} { aiPoll, blockchainPoll, votes }
+ */
+function createFundedPoll(blockchainPollId, settings, voterCount) {
+  const aiPoll = new AiGeneratedPoll({
+    subject: `Poll ${blockchainPollId}`,
+    options: [{ text: 'Yes' }, { text: 'No' }],
+    originalPrompt: 'test',
+    fundingType: 'crowdfunded',
+    fundingStatus: 'funded',
+    blockchainPollId,
+    ...settings
+  });
+  const start = new Date(Date.now() - 2 * HOUR);
+  const blockchainPoll = new BlockchainPoll({
+    blockchainPollId,
+    contractAddress: getChainAdapter().contractAddress,
+    creator: OPERATOR,
+    optionCount: 2,
+    startTime: start,
+    endTime: new Date(start.getTime() + HOUR),
+    payoutStatus: 'pending'
+  });
+  const votes = Array.from({ length: voterCount }, (_, i) => new BlockchainVote({
+    voteId: `${blockchainPollId}-${i}`,
+    blockchainPollId,
+    voterAddress: `0:${String(blockchainPollId * 100 + i).padStart(64, '0')}`,
+    optionIndex: i % 2,
+    status: 'confirmed',
+    txTimestamp: new Date(start.getTime() + (i + 1) * 60 * 1000)
+  }));
+  const deposit = new Contribution({
+    aiPollId: aiPoll._id,
+    contributorAddress: OPERATOR,
+    amount: fundingService.quoteForPoll(aiPoll).targetFund,
+    destination: OPERATOR,
+    memo: `deposit-${blockchainPollId}`,
+    status: 'confirmed'
+  });
+  return { aiPoll, blockchainPoll, votes, deposit };
+}
+
+async function testPayouts() {
+  console.log('🧪 Testing Contributions and Reward Payouts (Offline)\n');
+
+  const fake = getChainAdapter();
+  await fake.init();
+
+  const aiPolls = useMemoryStore(AiGeneratedPoll);
+  const blockchainPolls = useMemoryStore(BlockchainPoll);
+  const votes = useMemoryStore(BlockchainVote);
+  const contributions = useMemoryStore(Contribution);
+  const payouts = useMemoryStore(RewardPayout);
+  useMemoryStore(RewardDistribution);
+
+  // The operator wallet signs nothing here; its transfers land on the fake chain
+  let seqno = 1;
+  Object.assign(operatorWallet, {
+    isInitialized: true,
+    getAddress: () => OPERATOR,
+    getBalance: async () => 10n ** 12n,
+    getSeqno: async () => seqno,
+    sendMessages: async messages => {
+      const messageHashes = messages.map(m => crypto.createHash('sha256').update(m.payload).digest('hex'));
+      const hash = fake.sendMessages(OPERATOR, messageHashes);
+      return { hash, seqno: seqno++, processed: true, expired: false, messageHashes };
+    }
+  });
+
+  const add = ({ aiPoll, blockchainPoll, votes: pollVotes, deposit }) => {
+    aiPolls.push(aiPoll);
+    blockchainPolls.push(blockchainPoll);
+    votes.push(...pollVotes);
+    contributions.push(deposit);
+  };
+
+  try {
+    // 1. Fixed rewards: rewardPerResponse for each of the first maxResponses voters
+    console.log('1. Fixed distribution...');
+    const fixed = createFundedPoll(1, { rewardDistribution: 'fixed', maxResponses: 3, rewardPerResponse: '1000000' }, 5);
+    fixed.votes[4].txTimestamp = new Date(fixed.blockchainPoll.endTime.getTime() + 1000);
+    add(fixed);
+
+    const fixedShares = await payoutService.computeShares(fixed.blockchainPoll);
+    assert(fixedShares.shares.length === 3, 'Voters past maxResponses get nothing');
+    assert(fixedShares.shares.every(share => share.amount === '1000000'), 'Each voter gets rewardPerResponse');
+    assert(fixedShares.shares.map(share => share.vote.voteId).join() === '1-0,1-1,1-2', 'The first voters are paid');
+
+    fixed.votes[0].status = 'invalid';
+    const afterInvalid = await payoutService.computeShares(fixed.blockchainPoll);
+    assert(afterInvalid.shares.map(share => share.vote.voteId).join() === '1-1,1-2,1-3', 'Invalid votes and votes outside the window do not count');
+    fixed.votes[0].status = 'confirmed';
+
+    // 2. Equal-share: the pool is split, and the rounding remainder stays with the poll
+    console.log('\n2. Equal-share distribution...');
+    const shared = createFundedPoll(2, { rewardDistribution: 'equal-share', maxResponses: 10, targetFund: '1000000000' }, 3);
+    add(shared);
+
+    const { rewardPool } = fundingService.quoteForPoll(shared.aiPoll);
+    const equalShares = await payoutService.computeShares(shared.blockchainPoll);
+    const each = BigInt(equalShares.shares[0].amount);
+    assert(equalShares.shares.length === 3 && each === BigInt(rewardPool) / 3n, 'The pool is split between the voters, rounding down');
+    const paidOut = equalShares.shares.reduce((sum, share) => sum + BigInt(share.amount), 0n);
+    const remainder = BigInt(rewardPool) - paidOut;
+    assert(remainder > 0n && remainder === BigInt(rewardPool) % 3n, 'Only the rounding remainder is left over');
+
+    // 3. Only deposits the operator wallet holds are paid out
+    console.log('\n3. Deposits...');
+    shared.deposit.destination = 'EQ_SEPARATE_ESCROW';
+    assert((await payoutService.computeShares(shared.blockchainPoll)).shares.length === 0, 'Deposits held elsewhere are not paid');
+    shared.deposit.destination = OPERATOR;
+    shared.deposit.refundableAmount = '1';
+    assert((await payoutService.computeShares(shared.blockchainPoll)).shares.length === 0, 'Refundable amounts do not count as deposits');
+    shared.deposit.refundableAmount = '0';
+    shared.aiPoll.fundingType = 'self-funded';
+    assert((await payoutService.computeShares(shared.blockchainPoll)).shares.length === 0, 'Self-funded polls are not paid');
+    shared.aiPoll.fundingType = 'crowdfunded';
+
+    // 4. Scheduled payouts are sent and confirmed by their message
+    console.log('\n4. Sending payouts...');
+    assert(await payoutService.schedulePayouts() === 2, 'Both closed polls are scheduled');
+    assert(payouts.length === 6 && fixed.blockchainPoll.payoutStatus === 'processing', 'One payout is stored per rewarded vote');
+
+    const sent = await payoutService.processPayouts();
+    assert(sent.paid === 6 && payouts.every(payout => payout.status === 'paid'), 'Payouts are paid once their message is on chain');
+    assert(fixed.blockchainPoll.payoutStatus === 'completed', 'A fully paid poll is completed');
+    assert(votes.find(vote => vote.voteId === '1-0').status === 'rewarded', 'The reward is recorded on the vote');
+
+    // 5. Failed attempts back off, and give up after PAYOUT_MAX_ATTEMPTS
+    console.log('\n5. Retries...');
+    fixed.blockchainPoll.payoutStatus = 'processing';
+    const retried = new RewardPayout({ blockchainPollId: 1, voteId: '1-9', voterAddress: fixed.votes[3].voterAddress, amount: '1000000' });
+    payouts.push(retried);
+
+    const result = { paid: 0, sent: 0, failed: 0 };
+    const delays = [];
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      retried.attempts = attempt;
+      const before = Date.now();
+      await payoutService._failAttempt(retried, 'Operator wallet is empty', result);
+      delays.push(retried.status === 'pending' ? Math.round((retried.nextAttemptAt - before) / 60000) : retried.status);
+    }
+    assert(delays.join() === '5,10,failed', 'Retries wait PAYOUT_RETRY_MINUTES, doubling, then fail');
+    assert(result.failed === 1 && fixed.blockchainPoll.payoutStatus === 'partial', 'A poll with a failed payout ends as partial');
+
+    // 6. A missing message is only re-sent when the wallet never used the transfer's seqno
+    console.log('\n6. Missing messages...');
+    const lost = new RewardPayout({
+      blockchainPollId: 1,
+      voteId: '1-8',
+      voterAddress: fixed.votes[3].voterAddress,
+      amount: '1000000',
+      status: 'sent',
+      attempts: 1,
+      seqno,
+      messageHash: 'ee'.repeat(32),
+      sentAt: new Date(Date.now() - 10 * 60 * 1000)
+    });
+    payouts.push(lost);
+
+    seqno += 1;
+    await payoutService.processPayouts();
+    assert(lost.status === 'sent' && lost.lastError === 'Payout transfer was processed but its message was not found', 'A processed transfer is left for review, not paid twice');
+
+    seqno -= 1;
+    await payoutService.processPayouts();
+    assert(lost.status === 'pending' && lost.attempts === 1, 'An unprocessed transfer is retried');
+
+    // 7. Claim mode: proofs are checked against the published root
+    console.log('\n7. Reward claims...');
+    const distribution = await rewardClaimService.createDistribution(2, equalShares.shares);
+    assert(distribution.root === getRewardRoot(distribution.entries), 'The root is the reward tree of the entries');
+    assert(distribution.total === paidOut.toString(), 'The distribution holds the sum of the shares');
+
+    const voter = shared.votes[1].voterAddress;
+    const { entry, proof } = await rewardClaimService.getProof(2, voter);
+    const proofCell = Cell.fromBase64(proof);
+    assert(entry.amount === each.toString(), 'A voter\'s entry carries their share');
+    assert(proofCell.isExotic && proofCell.refs[0].hash(0).toString('hex') === distribution.root, 'The proof is anchored to the root');
+    assert(await rewardClaimService.getProof(2, fixed.votes[0].voterAddress) === null, 'Voters of another poll get no proof');
+
+    // 8. Contributions past the target fund are refundable
+    console.log('\n8. Refund splitting...');
+    const collecting = new AiGeneratedPoll({
+      subject: 'Poll 3',
+      options: [{ text: 'Yes' }, { text: 'No' }],
+      originalPrompt: 'test',
+      fundingType: 'crowdfunded',
+      fundingStatus: 'collecting',
+      rewardDistribution: 'equal-share',
+      targetFund: '1000',
+      blockchainPollId: 3
+    });
+    const pending = new BlockchainPoll({ blockchainPollId: 3, creator: OPERATOR, optionCount: 2, isActive: false });
+    aiPolls.push(collecting);
+    blockchainPolls.push(pending);
+
+    const confirm = async amount => {
+      const contribution = new Contribution({
+        aiPollId: collecting._id,
+        contributorAddress: OPERATOR,
+        amount,
+        destination: OPERATOR,
+        memo: `contribution-${contributions.length}`,
+        status: 'confirmed'
+      });
+      contributions.push(contribution);
+      return { contribution, progress: await contributionService.recordConfirmed(contribution, collecting) };
+    };
+
+    const first = await confirm('600');
+    assert(first.contribution.refundableAmount === '0' && first.progress.raised === '600', 'A contribution below the target counts in full');
+    assert(collecting.fundingStatus === 'collecting' && !pending.isActive, 'The poll keeps collecting');
+
+    const second = await confirm('600');
+    assert(second.contribution.refundableAmount === '200' && second.contribution.status === 'confirmed', 'Only the part past the target is refundable');
+    assert(second.progress.raised === '1000' && collecting.fundingStatus === 'funded', 'The poll is funded at exactly the target');
+    assert(pending.isActive, 'A funded poll opens for voting');
+
+    const late = await confirm('300');
+    assert(late.contribution.refundableAmount === '300' && late.contribution.status === 'refundable', 'Contributions after the target are refundable as a whole');
+    assert(late.progress.raised === '1000', 'Refundable amounts are not raised');
+
+    collecting.fundingStatus = 'refundable';
+    const afterDeadline = await confirm('100');
+    assert(afterDeadline.contribution.status === 'refundable' && afterDeadline.contribution.refundableAmount === '100', 'Contributions to a refundable poll are refundable as a whole');
+
+    console.log('\n🎉 Payout tests passed');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testPayouts();
@@ -23,10 +23,10 @@ async function testPollRegistration() {
       description: 'Vote for the DeFi protocol you think will have the biggest impact in 2024. Consider factors like TVL growth, innovation, and user adoption.',
       category: 'defi',
       options: ['Uniswap', 'Aave', 'Compound', 'MakerDAO'],
-      rewardPerResponse: '0.005',
+      rewardPerResponse: '5000000', // 0.005 TON in nanotons
       durationDays: 7,
       maxResponses: 500,
-      targetFund: '2.5',
+      targetFund: '2500000000',
       fundingType: 'self-funded',
       rewardDistribution: 'fixed',
       originalPrompt: 'Create a poll about DeFi protocols for 2024'
@@ -25,7 +25,7 @@ async function testSimpleIntegration() {
     console.log(`   Options: ${pollData.options.join(', ')}`);
     console.log(`   Category: ${pollData.category}`);
     console.log(`   Duration: ${pollData.durationDays} days`);
-    console.log(`   Reward: ${pollData.rewardPerResponse} per vote`);
+    console.log(`   Reward: ${pollData.formattedAmounts.rewardPerResponse} per vote`);
 
     // 3. Test blockchain status with API key
     console.log('\n3. Testing blockchain status (with API key)...');